@@ -3,6 +3,12 @@
 // Import centralized configuration
 importScripts('config.js');
 
+// Shared DNR rule manager (must load before any module that owns rules)
+importScripts('core/ruleManager.js');
+
+// Focus session scheduler, pomodoro timeline and blocklist pattern parsing
+importScripts('core/scheduler.js', 'core/pomodoro.js', 'core/sitePatterns.js', 'core/sessionHistory.js', 'core/settingsSync.js', 'core/configBackup.js', 'core/migrations.js', 'core/keywordFilter.js', 'core/usageHistory.js', 'core/weeklyBudget.js', 'core/usageAccounting.js', 'core/blockedAttempts.js');
+
 // Security module imports
 importScripts(
   'security/securityConfig.js',
@@ -23,13 +29,27 @@ let timeGuardianEnabled = false;
 let dailyUsage = {}; // { domain: seconds }
 let guardianLimits = { global: DEFAULT_GLOBAL_LIMIT, overrides: {} };
 let activeDomain = null;
-let trackingInterval = null;
-let lastTrackingTime = Date.now();
+let openUsageIntervals = []; // see core/usageAccounting.js
+let limitCheckTimer = null;
+// In-session allowances: { domain: { allowedSeconds, usedSeconds } } or null
+let sessionAllowances = null;
+let activeAllowanceDomain = null;
+// Attention signals: only time the user is actually looking at a tab is charged
+let idleState = 'active'; // chrome.idle: active, idle or locked
+let browserFocused = true;
+let activeTabId = null;
+const hiddenTabs = new Set(); // tabs whose page reported itself hidden
+const audibleTabs = new Map(); // tabId -> tracked domain playing audio
+let audiblePolicy = AUDIBLE_TAB_POLICIES.TRACK;
+let dailyAudioUsage = {}; // { domain: seconds }
 
 
 // Rate limiting for logs
-let lastLogTime = 0;
+// Throttled per event and domain, so one action can log several distinct
+// stages and events on different sites are all kept
+const lastLogTimes = {};
 const LOG_THROTTLE_MS = 1000;
+let securityLogQueue = Promise.resolve();
 
 // Global state for blocking
 let currentBlockedSites = [];
@@ -46,105 +66,260 @@ chrome.webRequest.onBeforeRequest.addListener(
 );
 */
 
-// Update blocking rules using declarativeNetRequest
-async function updateBlockingRules(blockedSites, strictMode = false) {
-    currentBlockedSites = blockedSites || [];
-    currentStrictMode = strictMode || false;
+// Blocked page loads are redirected here instead of Chrome's error page
+const BLOCKED_PAGE_PATH = 'blocked/blocked.html';
+const SUBRESOURCE_TYPES = ["sub_frame", "xmlhttprequest", "script", "image", "stylesheet", "other"];
 
-    // 1. Get existing dynamic rules to remove them
-    const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-    const removeRuleIds = existingRules.map(rule => rule.id);
-
-    // 2. Prepare new rules
-    const addRules = [];
-    let ruleId = 1;
+// DNR condition filter for a parsed site pattern
+function getSitePatternFilter(parsed) {
+    return parsed.regexFilter
+        ? { regexFilter: parsed.regexFilter }
+        : { urlFilter: parsed.urlFilter };
+}
 
-    // Helper to add a rule
-    const addBlockRule = (domainFilter) => {
-        addRules.push({
-            id: ruleId++,
-            priority: 1,
-            action: { type: "block" },
-            condition: {
-                urlFilter: domainFilter,
-                resourceTypes: ["main_frame", "sub_frame", "xmlhttprequest", "script", "image", "stylesheet", "other"]
-            }
-        });
+// Redirect matching page loads to the blocked page. The original URL is
+// captured whole (\0) and appended last, so it survives unencoded.
+function buildBlockedPageRedirect(regexFilter, ruleLabel) {
+    const blockedPageUrl = chrome.runtime.getURL(BLOCKED_PAGE_PATH);
+    return {
+        action: {
+            type: "redirect",
+            redirect: { regexSubstitution: `${blockedPageUrl}?rule=${encodeURIComponent(ruleLabel)}&url=\\0` }
+        },
+        condition: { regexFilter, resourceTypes: ["main_frame"] }
     };
+}
 
-    // 3. Convert blockedSites to DNR rules
-    for (const sitePattern of currentBlockedSites) {
-        // Validate and clean domain
-        let domain = '';
-        try {
-            // Handle various input formats
-            let urlToParse = sitePattern;
-            if (!urlToParse.startsWith('http')) {
-                urlToParse = 'http://' + urlToParse.replace(/^\*:\/\/\*\./, '').replace(/^\*\./, '');
-            }
-            const urlObj = new URL(urlToParse);
-            domain = urlObj.hostname;
-        } catch (e) {
-            console.warn('Skipping invalid domain pattern:', sitePattern);
-            continue;
+// Rules for one blocked pattern: page loads go to the blocked page,
+// everything else is blocked outright
+function buildSiteBlockRules(parsed, ruleLabel) {
+    return [
+        buildBlockedPageRedirect(getSitePatternRegex(parsed), ruleLabel),
+        {
+            action: { type: "block" },
+            condition: { ...getSitePatternFilter(parsed), resourceTypes: SUBRESOURCE_TYPES }
         }
+    ];
+}
+
+// Update focus blocking rules using declarativeNetRequest
+// Focus and strict mode rules live in their own rule manager ranges,
+// so tracker rules and other owners are left untouched.
+// liftedDomains are whole-site entries whose in-session allowance has time left.
+// keywords block any page whose URL contains one of them; terms (from the
+// distraction lists) only when they appear as whole words.
+async function updateBlockingRules(blockedSites, strictMode = false, sessionMode = SESSION_MODES.BLOCKLIST, allowedSites = [], liftedDomains = [], keywords = [], terms = []) {
+    currentBlockedSites = blockedSites || [];
+    currentStrictMode = strictMode || false;
+
+    if (sessionMode === SESSION_MODES.ALLOWLIST) {
+        await updateAllowlistRules(allowedSites || []);
+        return;
+    }
 
-        if (!domain || domain.includes('*') || domain.length < 3) {
-            console.warn('Skipping potentially dangerous or invalid domain:', domain);
+    // 1. Convert blockedSites to DNR rules
+    const focusRules = [];
+    for (const sitePattern of currentBlockedSites) {
+        const parsed = parseSitePattern(sitePattern);
+        if (!parsed) {
+            console.warn('Skipping invalid site pattern:', sitePattern);
             continue;
         }
 
         // Special Case: Distraction-Free YouTube
         // If the user wants to block YouTube, we interpret it as "Distraction Free" mode
-        // So we SKIP the network block and let content.js handle it
-        if (domain.includes('youtube.com')) {
+        // So we SKIP the network block and let content.js handle it.
+        // Narrower entries (e.g. youtube.com/shorts/*) are still blocked.
+        if (parsed.action === 'block' && parsed.type === SITE_PATTERN_TYPES.DOMAIN && parsed.domain.includes('youtube.com')) {
             console.log('Skipping DNR block for YouTube (Distraction Free Mode active)');
             continue;
         }
 
-        // Block the domain and subdomains
-        addBlockRule(`||${domain}^`);
+        if (parsed.regexFilter) {
+            const { isSupported } = await chrome.declarativeNetRequest.isRegexSupported({ regex: parsed.regexFilter });
+            if (!isSupported) {
+                console.warn('Skipping unsupported regex pattern:', sitePattern);
+                continue;
+            }
+        }
+
+        if (parsed.action === 'allow') {
+            // Exceptions outrank every focus/strict block; allowAllRequests also
+            // lets the allowed page load its own subresources
+            focusRules.push({
+                priority: RULE_RANGES[RULE_OWNERS.FOCUS_SESSION].priority + 1,
+                action: { type: "allowAllRequests" },
+                condition: { ...getSitePatternFilter(parsed), resourceTypes: ["main_frame", "sub_frame"] }
+            });
+        } else {
+            focusRules.push(...buildSiteBlockRules(parsed, `Blocklist: ${parsed.canonical}`));
+        }
     }
 
-    // 4. Strict mode rules
-    if (currentStrictMode) {
-        // Use centralized strict mode sites config
-        // YouTube excluded to allow Distraction-Free mode via content script
-        for (const domain of STRICT_MODE_SITES) {
-            addBlockRule(`||${domain}^`);
+    // 2. Allowances with time left are exceptions like @@ entries
+    for (const domain of liftedDomains) {
+        focusRules.push({
+            priority: RULE_RANGES[RULE_OWNERS.FOCUS_SESSION].priority + 1,
+            action: { type: "allowAllRequests" },
+            condition: { urlFilter: `||${domain}^`, resourceTypes: ["main_frame", "sub_frame"] }
+        });
+    }
+
+    // 3. Keyword rules. Page loads only: subresource URLs often contain
+    // common words and blocking them would break unrelated sites.
+    const keywordEntries = [
+        ...keywords.map(keyword => ({ keyword, regex: getKeywordUrlRegex(keyword) })),
+        ...terms.map(keyword => ({ keyword, regex: getKeywordUrlRegex(keyword, { wholeWord: true }) }))
+    ];
+    for (const { keyword, regex } of keywordEntries) {
+        const { isSupported } = await chrome.declarativeNetRequest.isRegexSupported({ regex, isCaseSensitive: false });
+        if (!isSupported) {
+            console.warn('Skipping unsupported keyword:', keyword);
+            continue;
         }
+        const rule = buildBlockedPageRedirect(regex, `Keyword: "${keyword}"`);
+        rule.condition.isUrlFilterCaseSensitive = false;
+        focusRules.push(rule);
     }
 
+    // 4. Strict mode rules
+    // Use centralized strict mode sites config
+    // YouTube excluded to allow Distraction-Free mode via content script
+    const strictRules = currentStrictMode
+        ? STRICT_MODE_SITES.flatMap(domain => buildSiteBlockRules(parseSitePattern(domain), `Strict mode: ${domain}`))
+        : [];
+
     // 5. Update rules
     try {
-        await chrome.declarativeNetRequest.updateDynamicRules({
-            removeRuleIds: removeRuleIds,
-            addRules: addRules
+        await setOwnerRules(RULE_OWNERS.FOCUS_SESSION, focusRules);
+        await setOwnerRules(RULE_OWNERS.STRICT_MODE, strictRules);
+        console.log('Blocking rules updated:', focusRules.length + strictRules.length, 'rules active');
+    } catch (error) {
+        console.error('Failed to update DNR rules:', error);
+    }
+}
+
+// Allowlist-only mode: one catch-all redirect for http(s) page loads plus
+// higher-priority allows for the listed sites. chrome-extension:// pages
+// (options, emergency unlock) never match the catch-all.
+async function updateAllowlistRules(allowedSites) {
+    const allowPriority = RULE_RANGES[RULE_OWNERS.FOCUS_SESSION].priority + 1;
+    const focusRules = [
+        buildBlockedPageRedirect('^https?://.*$', 'Allowlist-only session')
+    ];
+
+    for (const sitePattern of allowedSites) {
+        // Every allowlist entry is an exception, with or without the @@ prefix
+        const parsed = parseSitePattern(sitePattern.replace(/^@@/, ''));
+        if (!parsed) {
+            console.warn('Skipping invalid site pattern:', sitePattern);
+            continue;
+        }
+
+        if (parsed.regexFilter) {
+            const { isSupported } = await chrome.declarativeNetRequest.isRegexSupported({ regex: parsed.regexFilter });
+            if (!isSupported) {
+                console.warn('Skipping unsupported regex pattern:', sitePattern);
+                continue;
+            }
+        }
+
+        focusRules.push({
+            priority: allowPriority,
+            action: { type: "allowAllRequests" },
+            condition: { ...getSitePatternFilter(parsed), resourceTypes: ["main_frame", "sub_frame"] }
         });
-        console.log('Blocking rules updated:', addRules.length, 'rules active');
+    }
+
+    try {
+        await setOwnerRules(RULE_OWNERS.FOCUS_SESSION, focusRules);
+        await clearOwnerRules(RULE_OWNERS.STRICT_MODE);
+        console.log('Allowlist rules updated:', focusRules.length - 1, 'sites allowed');
     } catch (error) {
         console.error('Failed to update DNR rules:', error);
     }
 }
 
+// Re-apply the blocking rules of the stored session
+async function applySessionBlockingRules() {
+    const { blockedSites, strictMode, sessionMode, allowedSites, sessionAllowances, blockedKeywords, blockedTerms } = await readStorage([
+        STORAGE_KEYS.BLOCKED_SITES,
+        STORAGE_KEYS.STRICT_MODE,
+        STORAGE_KEYS.SESSION_MODE,
+        STORAGE_KEYS.ALLOWED_SITES,
+        STORAGE_KEYS.SESSION_ALLOWANCES,
+        STORAGE_KEYS.BLOCKED_KEYWORDS,
+        STORAGE_KEYS.BLOCKED_TERMS
+    ]);
+    await updateBlockingRules(blockedSites || [], strictMode, sessionMode, allowedSites || [], getLiftedDomains(sessionAllowances), blockedKeywords || [], blockedTerms || []);
+}
+
+// Handle a note left on the blocked page ("why I tried to open this")
+async function handleSaveBlockNote({ url, rule, note }) {
+    try {
+        const text = (note || '').trim().slice(0, 500);
+        if (!text) {
+            return { success: false, error: 'Note is empty' };
+        }
+
+        let domain = null;
+        try {
+            domain = new URL(url).hostname.replace(/^www\./, '');
+        } catch (e) {
+            // Keep the note even if the URL is malformed
+        }
+
+        const { blockNotes = [] } = await chrome.storage.local.get(STORAGE_KEYS.BLOCK_NOTES);
+        blockNotes.push({ timestamp: new Date().toISOString(), domain, rule, note: text });
+
+        // Limit to 200 entries
+        if (blockNotes.length > 200) {
+            blockNotes.splice(0, blockNotes.length - 200);
+        }
+
+        await chrome.storage.local.set({ [STORAGE_KEYS.BLOCK_NOTES]: blockNotes });
+        addSecurityLog('block_note_added', { domain });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Handle active rules request (options page rule inspector)
+async function handleGetActiveRules() {
+    try {
+        const rules = await getActiveRules();
+        return { success: true, rules };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
 // Initialize on install
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(async () => {
+    // Migrate first, so everything below sees the current storage layout
+    await runStorageMigrations();
+    removeOrphanedRules();
     updateBlockingRules([]);
-    enforceActiveSession();
+    enforceActiveSession().then(enforceFocusSchedules);
     addSecurityLog('extension_startup', {});
-    initTimeGuardian();
-    setupMidnightAlarm();
-    initTimeGuardian();
     setupMidnightAlarm();
+    registerGuardianScripts();
+    guardianReady.then(() => {
+        if (timeGuardianEnabled) injectGuardianScripts(); // Ensure open tabs get the script
+    });
     // Initialize security modules
     initializeSecurity();
 });
 
 // On startup
 chrome.runtime.onStartup.addListener(() => {
-    enforceActiveSession();
+    enforceActiveSession().then(enforceFocusSchedules);
     addSecurityLog('extension_startup', {});
-    initTimeGuardian();
+    guardianReady.then(() => {
+        if (timeGuardianEnabled) injectGuardianScripts();
+    });
+    runSettingsSync();
     // Initialize security modules
     initializeSecurity();
 });
@@ -157,7 +332,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             handleStartSession(message.payload).then(sendResponse);
             return true;
         case 'END_SESSION':
-            handleEndSession().then(sendResponse);
+            handleEndSession(SESSION_END_REASONS.MANUAL).then(sendResponse);
             return true;
         case 'DYNAMIC_BLOCK':
             handleDynamicBlock(message.payload).then(sendResponse);
@@ -165,6 +340,21 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         case 'EMERGENCY_UNLOCK':
             handleEmergencyUnlock(message.payload).then(sendResponse);
             return true;
+        case 'GET_TYPING_CHALLENGE':
+            handleGetTypingChallenge().then(sendResponse);
+            return true;
+        case 'GET_UNLOCK_STATE':
+            handleGetUnlockState().then(sendResponse);
+            return true;
+        case 'REQUEST_COOLDOWN_UNLOCK':
+            handleRequestCooldownUnlock().then(sendResponse);
+            return true;
+        case 'CONFIRM_COOLDOWN_UNLOCK':
+            handleConfirmCooldownUnlock().then(sendResponse);
+            return true;
+        case 'CANCEL_COOLDOWN_UNLOCK':
+            handleCancelCooldownUnlock().then(sendResponse);
+            return true;
         case 'SET_PASSWORD':
             handleSetPassword(message.payload).then(sendResponse);
             return true;
@@ -174,12 +364,63 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         case 'GET_LOGS':
             getSecurityLogs().then(sendResponse);
             return true;
+        case 'CHECK_PAGE_TITLE':
+            handleCheckPageTitle(message.payload, sender).then(sendResponse);
+            return true;
+        case 'SEARCH_CHECK_DECISION':
+            handleSearchCheckDecision(message.payload).then(sendResponse);
+            return true;
+        case 'RESTORE_PARKED_TABS':
+            handleRestoreParkedTabs().then(sendResponse);
+            return true;
+        case 'SAVE_SESSION_REFLECTION':
+            handleSaveSessionReflection(message.payload).then(sendResponse);
+            return true;
+        case 'RUN_MIGRATIONS':
+            runStorageMigrations(message.payload).then(sendResponse);
+            return true;
+        case 'EXPORT_BACKUP':
+            handleExportBackup(message.payload).then(sendResponse);
+            return true;
+        case 'PREVIEW_BACKUP':
+            handlePreviewBackup(message.payload).then(sendResponse);
+            return true;
+        case 'RESTORE_BACKUP':
+            handleRestoreBackup(message.payload).then(sendResponse);
+            return true;
+        case 'GET_SYNC_STATUS':
+            handleGetSyncStatus().then(sendResponse);
+            return true;
+        case 'SET_SYNC_SETTINGS':
+            handleSetSyncSettings(message.payload).then(sendResponse);
+            return true;
+        case 'GET_SESSION_HISTORY':
+            handleGetSessionHistory(message.payload).then(sendResponse);
+            return true;
         case 'GET_RISK_SCORE':
             getRiskScore().then(sendResponse);
             return true;
+        case 'GET_ACTIVE_RULES':
+            handleGetActiveRules().then(sendResponse);
+            return true;
+        case 'GET_NEXT_SCHEDULED_SESSION':
+            handleGetNextScheduledSession().then(sendResponse);
+            return true;
+        case 'REPORT_BLOCKED_ATTEMPT':
+            handleReportBlockedAttempt(message.payload).then(sendResponse);
+            return true;
+        case 'SAVE_BLOCK_NOTE':
+            handleSaveBlockNote(message.payload).then(sendResponse);
+            return true;
         case 'GUARDIAN_CHECK_LIMIT': // Content script asks if it should block
             checkGuardianLimit(message.payload).then(sendResponse);
             return true;
+        case 'GET_GUARDIAN_STATUS': // Popup shows time left for the current tab
+            handleGetGuardianStatus().then(sendResponse);
+            return true;
+        case 'GUARDIAN_VISIBILITY': // guardian.js reports visibilitychange
+            handleGuardianVisibility(message.payload, sender).then(sendResponse);
+            return true;
         case 'GUARDIAN_BYPASS':
             handleGuardianBypass(message.payload).then(sendResponse);
             return true;
@@ -232,26 +473,95 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 // Handle start session
-async function handleStartSession({ duration, password, blockedSites, strictMode, maxAttempts = 3 }) {
+// Scheduled sessions pass no password and a scheduleId. Without a password
+// the password unlock method falls back to the cooldown, so they can always
+// be ended early; the master emergency code works for every method.
+// Pomodoro sessions (sessionType 'pomodoro') derive their duration from the
+// cycle config and are driven by chained phase alarms instead of ALARM_NAME.
+async function handleStartSession({ duration, password, blockedSites, strictMode, maxAttempts = 3, scheduleId = null, profileId = null, sessionType = 'standard', pomodoro = null, sessionMode = SESSION_MODES.BLOCKLIST, allowedSites = [], intent = '', keywords = [] }) {
     try {
+        const isPomodoro = sessionType === 'pomodoro';
+        const startTime = Date.now();
+        const pomodoroConfig = isPomodoro ? { ...DEFAULT_POMODORO_CONFIG, ...pomodoro } : null;
+        if (isPomodoro && !isValidPomodoroConfig(pomodoroConfig)) {
+            return { success: false, error: 'Invalid pomodoro settings' };
+        }
+        if (isPomodoro) {
+            duration = getPomodoroTotalMinutes(pomodoroConfig);
+        }
+
         const durationMs = duration * 60 * 1000;
-        const endTime = Date.now() + durationMs;
-        const { hash, salt } = await hashPassword(password);
+        const endTime = startTime + durationMs;
 
-        await chrome.storage.local.set({
+        const sessionData = {
             [STORAGE_KEYS.SESSION_END_TIME]: endTime,
-            'sessionTotalDuration': durationMs,
-            [STORAGE_KEYS.PASSWORD_HASH]: hash,
-            [STORAGE_KEYS.PASSWORD_SALT]: salt,
+            [STORAGE_KEYS.SESSION_TOTAL_DURATION]: durationMs,
             [STORAGE_KEYS.BLOCKED_SITES]: blockedSites || [],
             [STORAGE_KEYS.STRICT_MODE]: strictMode || false,
             [STORAGE_KEYS.FAILED_UNLOCK_ATTEMPTS]: 0,
-            [STORAGE_KEYS.MAX_ATTEMPTS]: maxAttempts
-        });
+            [STORAGE_KEYS.MAX_ATTEMPTS]: maxAttempts,
+            [STORAGE_KEYS.SESSION_SCHEDULE_ID]: scheduleId,
+            [STORAGE_KEYS.SESSION_PROFILE_ID]: profileId,
+            [STORAGE_KEYS.SESSION_ID]: crypto.randomUUID(),
+            [STORAGE_KEYS.SESSION_START_TIME]: startTime,
+            [STORAGE_KEYS.SESSION_BLOCKED_ATTEMPTS]: 0,
+            [STORAGE_KEYS.POMODORO_STATE]: isPomodoro ? { ...pomodoroConfig, startTime, lastPhase: null } : null,
+            [STORAGE_KEYS.SESSION_MODE]: sessionMode,
+            [STORAGE_KEYS.ALLOWED_SITES]: sessionMode === SESSION_MODES.ALLOWLIST ? allowedSites || [] : [],
+            [STORAGE_KEYS.SESSION_INTENT]: (intent || '').trim().slice(0, 200),
+            // Allowlist sessions already block everything unlisted
+            [STORAGE_KEYS.BLOCKED_KEYWORDS]: sessionMode === SESSION_MODES.ALLOWLIST ? [] : (keywords || []).map(normalizeKeyword).filter(Boolean)
+        };
 
-        chrome.alarms.create(ALARM_NAME, { when: endTime });
-        updateBlockingRules(blockedSites || [], strictMode);
-        addSecurityLog('session_started', { duration, blockedSitesCount: blockedSites?.length || 0 });
+        if (password) {
+            const { hash, salt } = await hashPassword(password);
+            sessionData[STORAGE_KEYS.PASSWORD_HASH] = hash;
+            sessionData[STORAGE_KEYS.PASSWORD_SALT] = salt;
+        } else {
+            await removeStorage([STORAGE_KEYS.PASSWORD_HASH, STORAGE_KEYS.PASSWORD_SALT]);
+        }
+
+        // The unlock method is fixed for the whole session
+        const { optionsUnlockMethod, optionsUnlockCooldownMinutes, optionsTypingChallengeLength, optionsSiteAllowances, optionsKeywordLists = [] } = await readStorage([
+            STORAGE_KEYS.OPTIONS_UNLOCK_METHOD,
+            STORAGE_KEYS.OPTIONS_UNLOCK_COOLDOWN,
+            STORAGE_KEYS.OPTIONS_TYPING_CHALLENGE_LENGTH,
+            STORAGE_KEYS.OPTIONS_SITE_ALLOWANCES,
+            STORAGE_KEYS.OPTIONS_KEYWORD_LISTS
+        ]);
+        const unlockMethod = optionsUnlockMethod || UNLOCK_METHODS.PASSWORD;
+        sessionData[STORAGE_KEYS.UNLOCK_METHOD] = unlockMethod === UNLOCK_METHODS.PASSWORD && !password
+            ? UNLOCK_METHODS.COOLDOWN
+            : unlockMethod;
+        sessionData[STORAGE_KEYS.UNLOCK_COOLDOWN_MINUTES] = optionsUnlockCooldownMinutes || DEFAULT_UNLOCK_COOLDOWN_MINUTES;
+        sessionData[STORAGE_KEYS.TYPING_CHALLENGE_LENGTH] = optionsTypingChallengeLength || DEFAULT_TYPING_CHALLENGE_LENGTH;
+        sessionData[STORAGE_KEYS.SESSION_ALLOWANCES] = sessionMode === SESSION_MODES.ALLOWLIST
+            ? null
+            : buildSessionAllowances(blockedSites || [], optionsSiteAllowances || {});
+        sessionData[STORAGE_KEYS.BLOCKED_TERMS] = sessionMode === SESSION_MODES.ALLOWLIST || optionsKeywordLists.length === 0
+            ? []
+            : getDistractionTerms(await loadDistractionTerms(), optionsKeywordLists);
+
+        await writeStorage(sessionData);
+        loadSessionAllowances(sessionData[STORAGE_KEYS.SESSION_ALLOWANCES]);
+
+        if (isPomodoro) {
+            await applyPomodoroPhase();
+        } else {
+            chrome.alarms.create(ALARM_NAME, { when: endTime });
+            await applySessionBlockingRules();
+        }
+        // Rules are in place, so reloading a parked tab is blocked too
+        handleOpenDistractingTabs();
+        addSecurityLog('session_started', {
+            duration: Math.round(duration),
+            blockedSitesCount: blockedSites?.length || 0,
+            blockedKeywordsCount: sessionData[STORAGE_KEYS.BLOCKED_KEYWORDS].length + sessionData[STORAGE_KEYS.BLOCKED_TERMS].length,
+            sessionType,
+            sessionMode,
+            ...(scheduleId ? { scheduleId } : {}),
+            ...(profileId ? { profileId } : {})
+        });
 
         return { success: true };
     } catch (error) {
@@ -260,9 +570,13 @@ async function handleStartSession({ duration, password, blockedSites, strictMode
 }
 
 // Handle end session
-async function handleEndSession() {
+// reason is one of SESSION_END_REASONS; a natural end of a scheduled
+// session is recorded as SCHEDULE
+async function handleEndSession(reason = SESSION_END_REASONS.COMPLETED) {
     try {
         chrome.alarms.clear(ALARM_NAME);
+        chrome.alarms.clear(POMODORO_ALARM_NAME);
+        chrome.alarms.clear(UNLOCK_COOLDOWN_ALARM_NAME);
 
         // Notify user if session ended naturally (check if it was time)
         // For simplicity, we just notify "Session Ended" whenever this is called and it wasn't an emergency unlock?
@@ -271,17 +585,51 @@ async function handleEndSession() {
         // Let's just add a generic notification for now, or refine later.
         // The user request asked for: "Add toast/notification when session ends"
 
-        await chrome.storage.local.remove([
+        // A scheduled session unlocked early must not restart until its window is over
+        const { sessionEndTime, sessionScheduleId, sessionProfileId } = await readStorage([
             STORAGE_KEYS.SESSION_END_TIME,
-            'sessionTotalDuration',
+            STORAGE_KEYS.SESSION_SCHEDULE_ID,
+            STORAGE_KEYS.SESSION_PROFILE_ID
+        ]);
+        if (sessionScheduleId && sessionEndTime && Date.now() < sessionEndTime) {
+            await chrome.storage.local.set({ [STORAGE_KEYS.SCHEDULE_SUPPRESSED_UNTIL]: sessionEndTime });
+        }
+
+        if (reason === SESSION_END_REASONS.COMPLETED && sessionScheduleId) {
+            reason = SESSION_END_REASONS.SCHEDULE;
+        }
+        await recordSessionHistory(reason);
+        // Credit the allowance still being spent before its record is removed
+        await loadSessionAllowances(null);
+
+        await removeStorage([
+            STORAGE_KEYS.SESSION_END_TIME,
+            STORAGE_KEYS.SESSION_TOTAL_DURATION,
             STORAGE_KEYS.PASSWORD_HASH,
             STORAGE_KEYS.PASSWORD_SALT,
             STORAGE_KEYS.BLOCKED_SITES,
             STORAGE_KEYS.STRICT_MODE,
-            STORAGE_KEYS.FAILED_UNLOCK_ATTEMPTS
+            STORAGE_KEYS.FAILED_UNLOCK_ATTEMPTS,
+            STORAGE_KEYS.SESSION_ID,
+            STORAGE_KEYS.SESSION_START_TIME,
+            STORAGE_KEYS.SESSION_BLOCKED_ATTEMPTS,
+            STORAGE_KEYS.SESSION_SCHEDULE_ID,
+            STORAGE_KEYS.SESSION_PROFILE_ID,
+            STORAGE_KEYS.POMODORO_STATE,
+            STORAGE_KEYS.SESSION_MODE,
+            STORAGE_KEYS.ALLOWED_SITES,
+            STORAGE_KEYS.UNLOCK_METHOD,
+            STORAGE_KEYS.UNLOCK_COOLDOWN_MINUTES,
+            STORAGE_KEYS.PENDING_UNLOCK,
+            STORAGE_KEYS.TYPING_CHALLENGE_LENGTH,
+            STORAGE_KEYS.TYPING_CHALLENGE,
+            STORAGE_KEYS.SESSION_ALLOWANCES,
+            STORAGE_KEYS.SESSION_INTENT,
+            STORAGE_KEYS.BLOCKED_KEYWORDS,
+            STORAGE_KEYS.BLOCKED_TERMS
         ]);
         updateBlockingRules([]);
-        addSecurityLog('session_ended', {});
+        addSecurityLog('session_ended', sessionProfileId ? { profileId: sessionProfileId } : {});
 
         // Simple notification
         chrome.notifications.create({
@@ -291,6 +639,9 @@ async function handleEndSession() {
             message: 'Focus session ended.'
         });
 
+        // A manual session may have ended inside a schedule window
+        enforceFocusSchedules();
+
         return { success: true };
     } catch (error) {
         return { success: false, error: error.message };
@@ -300,11 +651,18 @@ async function handleEndSession() {
 // Handle dynamic block updates
 async function handleDynamicBlock({ blockedSites, strictMode }) {
     try {
-        await chrome.storage.local.set({
+        await writeStorage({
             [STORAGE_KEYS.BLOCKED_SITES]: blockedSites,
             [STORAGE_KEYS.STRICT_MODE]: strictMode
         });
-        updateBlockingRules(blockedSites, strictMode);
+        const { blockedKeywords = [], blockedTerms = [] } = await readStorage([
+            STORAGE_KEYS.BLOCKED_KEYWORDS,
+            STORAGE_KEYS.BLOCKED_TERMS
+        ]);
+        await updateBlockingRules(blockedSites, strictMode, SESSION_MODES.BLOCKLIST, [], getLiftedDomains(sessionAllowances), blockedKeywords, blockedTerms);
+        if (strictMode) {
+            handleOpenDistractingTabs();
+        }
         return { success: true };
     } catch (error) {
         return { success: false, error: error.message };
@@ -315,7 +673,7 @@ async function handleDynamicBlock({ blockedSites, strictMode }) {
 async function handleSetPassword({ password }) {
     try {
         const { hash, salt } = await hashPassword(password);
-        await chrome.storage.local.set({
+        await writeStorage({
             [STORAGE_KEYS.PASSWORD_HASH]: hash,
             [STORAGE_KEYS.PASSWORD_SALT]: salt
         });
@@ -336,21 +694,32 @@ async function handleVerifyPassword({ password }) {
 }
 
 // Handle emergency unlock
-async function handleEmergencyUnlock({ password }) {
+async function handleEmergencyUnlock({ password, challengeResponse }) {
     try {
-        const { passwordHash, failedUnlockAttempts = 0, maxAttempts = 3 } = await chrome.storage.local.get([
+        const { passwordHash, failedUnlockAttempts = 0, maxAttempts = 3 } = await readStorage([
             STORAGE_KEYS.PASSWORD_HASH,
             STORAGE_KEYS.FAILED_UNLOCK_ATTEMPTS,
             STORAGE_KEYS.MAX_ATTEMPTS
         ]);
 
+        // Cooldown and typing sessions ignore the session password; only the
+        // master code skips the wait or the passage
+        const { unlockMethod } = await readStorage(STORAGE_KEYS.UNLOCK_METHOD);
+
+        if (unlockMethod === UNLOCK_METHODS.TYPING && typeof challengeResponse === 'string') {
+            return await verifyTypingChallenge(challengeResponse, failedUnlockAttempts, maxAttempts);
+        }
+
         // Check session password logic matches previous impl
-        if (!passwordHash) {
-            const { optionsEmergencyCode, optionsEmergencyCodeSalt } = await chrome.storage.local.get(['optionsEmergencyCode', 'optionsEmergencyCodeSalt']);
+        if (!passwordHash || [UNLOCK_METHODS.COOLDOWN, UNLOCK_METHODS.TYPING].includes(unlockMethod)) {
+            const { optionsEmergencyCode, optionsEmergencyCodeSalt } = await readStorage([
+                STORAGE_KEYS.OPTIONS_EMERGENCY_CODE,
+                STORAGE_KEYS.OPTIONS_EMERGENCY_CODE_SALT
+            ]);
             if (optionsEmergencyCode) {
                 const { hash: inputHash } = await hashPassword(password, optionsEmergencyCodeSalt);
                 if (inputHash === optionsEmergencyCode) {
-                    await handleEndSession();
+                    await handleEndSession(SESSION_END_REASONS.EMERGENCY_CODE);
                     addSecurityLog('unlock_attempt_success', { type: 'master_code' });
                     return { success: true };
                 }
@@ -364,60 +733,969 @@ async function handleEmergencyUnlock({ password }) {
         }
 
         // Get session salt
-        const { passwordSalt } = await chrome.storage.local.get(STORAGE_KEYS.PASSWORD_SALT);
+        const { passwordSalt } = await readStorage(STORAGE_KEYS.PASSWORD_SALT);
         const { hash: inputHash } = await hashPassword(password, passwordSalt);
 
         if (inputHash === passwordHash) {
-            await handleEndSession();
+            await handleEndSession(SESSION_END_REASONS.PASSWORD_UNLOCK);
             addSecurityLog('unlock_attempt_success', {});
             return { success: true };
         } else {
-            const { optionsEmergencyCode, optionsEmergencyCodeSalt } = await chrome.storage.local.get(['optionsEmergencyCode', 'optionsEmergencyCodeSalt']);
+            const { optionsEmergencyCode, optionsEmergencyCodeSalt } = await readStorage([
+                STORAGE_KEYS.OPTIONS_EMERGENCY_CODE,
+                STORAGE_KEYS.OPTIONS_EMERGENCY_CODE_SALT
+            ]);
             if (optionsEmergencyCode) {
                 const { hash: backupHash } = await hashPassword(password, optionsEmergencyCodeSalt);
                 if (backupHash === optionsEmergencyCode) {
-                    await handleEndSession();
+                    await handleEndSession(SESSION_END_REASONS.EMERGENCY_CODE);
                     addSecurityLog('unlock_attempt_success', { type: 'master_code_backup' });
                     return { success: true };
                 }
             }
 
-            const newAttempts = failedUnlockAttempts + 1;
-            await chrome.storage.local.set({ [STORAGE_KEYS.FAILED_UNLOCK_ATTEMPTS]: newAttempts });
-            addSecurityLog('unlock_attempt_failed', { attemptCount: newAttempts });
-            return { success: false, error: 'Invalid password' };
+            const newAttempts = failedUnlockAttempts + 1;
+            await writeStorage({ [STORAGE_KEYS.FAILED_UNLOCK_ATTEMPTS]: newAttempts });
+            addSecurityLog('unlock_attempt_failed', { attemptCount: newAttempts });
+            return { success: false, error: 'Invalid password' };
+        }
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Alarm listener
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === ALARM_NAME) {
+        endSessionWithReflection();
+    } else if (alarm.name === SCHEDULE_ALARM_NAME) {
+        enforceFocusSchedules();
+    } else if (alarm.name === POMODORO_ALARM_NAME) {
+        applyPomodoroPhase();
+    } else if (alarm.name === UNLOCK_COOLDOWN_ALARM_NAME) {
+        handleUnlockCooldownElapsed();
+    }
+});
+
+// Enforce lock
+async function enforceLock() {
+    await handleEndSession();
+    addSecurityLog('session_expired_lock', {});
+}
+
+// Check active session
+async function enforceActiveSession() {
+    const { sessionEndTime, pomodoroState } = await readStorage([
+        STORAGE_KEYS.SESSION_END_TIME,
+        STORAGE_KEYS.POMODORO_STATE
+    ]);
+
+    if (sessionEndTime && Date.now() < sessionEndTime) {
+        if (pomodoroState) {
+            await applyPomodoroPhase();
+        } else {
+            chrome.alarms.create(ALARM_NAME, { when: sessionEndTime });
+            await applySessionBlockingRules();
+        }
+    } else if (sessionEndTime) {
+        await enforceLock();
+    }
+}
+
+// ==========================================
+// Pomodoro Cycles
+// ==========================================
+
+// Apply the phase that should be running now: block rules during work,
+// no rules during breaks, then chain the alarm to the end of the phase.
+// The phase is derived from the stored start time, so a missed alarm
+// (suspended worker, closed browser) catches up on the next call.
+async function applyPomodoroPhase() {
+    try {
+        const { pomodoroState } = await readStorage(STORAGE_KEYS.POMODORO_STATE);
+        if (!pomodoroState) return;
+
+        const timeline = buildPomodoroTimeline(pomodoroState, pomodoroState.startTime);
+        const current = getPomodoroPhaseAt(timeline);
+
+        if (!current) {
+            await endSessionWithReflection();
+            return;
+        }
+
+        // Rules first: the phase is only recorded once it is enforced
+        if (current.phase === POMODORO_PHASES.WORK) {
+            await applySessionBlockingRules();
+        } else {
+            await updateBlockingRules([]);
+        }
+
+        const previous = pomodoroState.lastPhase;
+        if (previous && (previous.cycle !== current.cycle || previous.phase !== current.phase)) {
+            addSecurityLog('pomodoro_phase_changed', {
+                cycle: current.cycle,
+                from: previous.phase,
+                to: current.phase,
+                completedCycle: previous.phase === POMODORO_PHASES.WORK ? previous.cycle : null
+            });
+        }
+
+        await writeStorage({
+            [STORAGE_KEYS.POMODORO_STATE]: {
+                ...pomodoroState,
+                lastPhase: { cycle: current.cycle, phase: current.phase }
+            }
+        });
+
+        chrome.alarms.create(POMODORO_ALARM_NAME, { when: current.end });
+    } catch (error) {
+        console.error('Failed to apply pomodoro phase:', error);
+    }
+}
+
+// Whether a pomodoro break is running. Worked out from the stored state on
+// every call: a break outlasts the worker's idle timeout, and in-memory state
+// is gone when an event wakes the worker mid-break.
+async function isPomodoroBreak(now = Date.now()) {
+    const { pomodoroState } = await readStorage(STORAGE_KEYS.POMODORO_STATE);
+    if (!pomodoroState) return false;
+
+    const current = getPomodoroPhaseAt(buildPomodoroTimeline(pomodoroState, pomodoroState.startTime), now);
+    return !!current && current.phase !== POMODORO_PHASES.WORK;
+}
+
+// ==========================================
+// Recurring Focus Schedules
+// ==========================================
+
+// Schedule checks are chained so overlapping triggers (startup, alarm,
+// session end) never start two sessions for the same window
+let scheduleEnforcementQueue = Promise.resolve();
+
+function enforceFocusSchedules() {
+    scheduleEnforcementQueue = scheduleEnforcementQueue.then(runFocusScheduleCheck);
+    return scheduleEnforcementQueue;
+}
+
+// Start a scheduled session if we are inside a schedule window, then
+// re-arm the alarm for the next window start
+async function runFocusScheduleCheck() {
+    try {
+        const {
+            focusSchedules = [],
+            sessionEndTime,
+            scheduleSuppressedUntil,
+            optionsBlockedSites = [],
+            optionsMaxAttempts = 3,
+            optionsBlockedKeywords = []
+        } = await readStorage([
+            STORAGE_KEYS.FOCUS_SCHEDULES,
+            STORAGE_KEYS.SESSION_END_TIME,
+            STORAGE_KEYS.SCHEDULE_SUPPRESSED_UNTIL,
+            STORAGE_KEYS.OPTIONS_BLOCKED_SITES,
+            STORAGE_KEYS.OPTIONS_MAX_ATTEMPTS,
+            STORAGE_KEYS.OPTIONS_BLOCKED_KEYWORDS
+        ]);
+
+        const now = Date.now();
+        const activeWindow = getActiveScheduleWindow(focusSchedules, now);
+        const sessionRunning = sessionEndTime && now < sessionEndTime;
+        const suppressed = scheduleSuppressedUntil && now < scheduleSuppressedUntil;
+
+        if (activeWindow && !sessionRunning && !suppressed) {
+            const { schedule } = activeWindow;
+            const blockedSites = schedule.blockedSites?.length ? schedule.blockedSites : optionsBlockedSites;
+
+            await handleStartSession({
+                duration: (activeWindow.end - now) / (60 * 1000),
+                blockedSites,
+                strictMode: schedule.strictMode || false,
+                maxAttempts: optionsMaxAttempts,
+                scheduleId: schedule.id,
+                keywords: optionsBlockedKeywords
+            });
+        }
+
+        await syncScheduleAlarm(focusSchedules, now);
+    } catch (error) {
+        console.error('Failed to enforce focus schedules:', error);
+    }
+}
+
+// Handle next scheduled session request (popup)
+async function handleGetNextScheduledSession() {
+    try {
+        const { focusSchedules = [] } = await chrome.storage.local.get(STORAGE_KEYS.FOCUS_SCHEDULES);
+        const next = getNextScheduleWindow(focusSchedules);
+
+        if (!next) {
+            return { success: true, next: null };
+        }
+        return {
+            success: true,
+            next: { scheduleId: next.scheduleId, name: next.name, start: next.start, end: next.end }
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// ==========================================
+// Cooldown Unlock
+// ==========================================
+
+const UNLOCK_COOLDOWN_ALARM_NAME = 'unlock-cooldown-ready';
+// Once the wait is over, the unlock must be confirmed within this window
+const UNLOCK_CONFIRM_WINDOW_MS = 10 * 60 * 1000;
+
+// Current unlock method and pending request (expired requests are dropped)
+async function getUnlockState() {
+    const { sessionEndTime, unlockMethod, unlockCooldownMinutes, pendingUnlock } = await readStorage([
+        STORAGE_KEYS.SESSION_END_TIME,
+        STORAGE_KEYS.UNLOCK_METHOD,
+        STORAGE_KEYS.UNLOCK_COOLDOWN_MINUTES,
+        STORAGE_KEYS.PENDING_UNLOCK
+    ]);
+
+    let pending = pendingUnlock || null;
+    if (pending && Date.now() > pending.readyAt + UNLOCK_CONFIRM_WINDOW_MS) {
+        await removeStorage(STORAGE_KEYS.PENDING_UNLOCK);
+        addSecurityLog('unlock_cooldown_expired', { requestedAt: pending.requestedAt });
+        pending = null;
+    }
+
+    return {
+        sessionActive: !!sessionEndTime && Date.now() < sessionEndTime,
+        method: unlockMethod || UNLOCK_METHODS.PASSWORD,
+        cooldownMinutes: unlockCooldownMinutes || DEFAULT_UNLOCK_COOLDOWN_MINUTES,
+        pending
+    };
+}
+
+// Handle unlock state request (popup)
+async function handleGetUnlockState() {
+    try {
+        const state = await getUnlockState();
+        return { success: true, ...state, confirmWindowMs: UNLOCK_CONFIRM_WINDOW_MS };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Stage 1: start the waiting period
+async function handleRequestCooldownUnlock() {
+    try {
+        const state = await getUnlockState();
+        if (!state.sessionActive) {
+            return { success: false, error: 'No active session' };
+        }
+        if (state.method !== UNLOCK_METHODS.COOLDOWN) {
+            return { success: false, error: 'Cooldown unlock is not enabled for this session' };
+        }
+        if (state.pending) {
+            return { success: true, pending: state.pending };
+        }
+
+        const requestedAt = Date.now();
+        const pending = { requestedAt, readyAt: requestedAt + state.cooldownMinutes * 60 * 1000 };
+
+        await writeStorage({ [STORAGE_KEYS.PENDING_UNLOCK]: pending });
+        chrome.alarms.create(UNLOCK_COOLDOWN_ALARM_NAME, { when: pending.readyAt });
+        addSecurityLog('unlock_cooldown_requested', { cooldownMinutes: state.cooldownMinutes });
+
+        return { success: true, pending };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Stage 2: wait is over, ask the user to confirm
+async function handleUnlockCooldownElapsed() {
+    const { pending } = await getUnlockState();
+    if (!pending) return;
+
+    addSecurityLog('unlock_cooldown_ready', { requestedAt: pending.requestedAt });
+    chrome.notifications.create({
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: 'Cognitive Defense',
+        message: 'Your unlock cooldown is over. Open the popup to confirm or cancel.'
+    });
+}
+
+// Stage 3: confirm after the wait ends the session
+async function handleConfirmCooldownUnlock() {
+    try {
+        const { pending } = await getUnlockState();
+        if (!pending) {
+            return { success: false, error: 'No pending unlock request' };
+        }
+        if (Date.now() < pending.readyAt) {
+            return { success: false, error: 'Cooldown has not finished yet' };
+        }
+
+        await handleEndSession(SESSION_END_REASONS.COOLDOWN_UNLOCK);
+        addSecurityLog('unlock_cooldown_confirmed', { waitedMs: Date.now() - pending.requestedAt });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Cancelling resets the timer; a new request starts a full wait again
+async function handleCancelCooldownUnlock() {
+    try {
+        const { pendingUnlock } = await readStorage(STORAGE_KEYS.PENDING_UNLOCK);
+        await removeStorage(STORAGE_KEYS.PENDING_UNLOCK);
+        chrome.alarms.clear(UNLOCK_COOLDOWN_ALARM_NAME);
+
+        if (pendingUnlock) {
+            addSecurityLog('unlock_cooldown_cancelled', { requestedAt: pendingUnlock.requestedAt });
+        }
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// ==========================================
+// Typing Challenge Unlock
+// ==========================================
+
+const TYPING_CHALLENGE_WORDS = [
+    'focus', 'attention', 'habit', 'patience', 'discipline', 'practice', 'progress', 'quiet',
+    'steady', 'deliberate', 'effort', 'moment', 'purpose', 'choice', 'clarity', 'balance',
+    'window', 'garden', 'river', 'mountain', 'morning', 'evening', 'letter', 'journey',
+    'notebook', 'lantern', 'harbor', 'meadow', 'compass', 'bridge', 'signal', 'pattern',
+    'careful', 'gentle', 'honest', 'simple', 'patient', 'curious', 'certain', 'distant',
+    'build', 'write', 'listen', 'finish', 'begin', 'return', 'measure', 'notice',
+    'remember', 'choose', 'follow', 'gather', 'carry', 'repair', 'wander', 'settle',
+    'the', 'a', 'and', 'of', 'to', 'with', 'before', 'after', 'while', 'because'
+];
+
+// Cryptographically random integer in [0, max)
+function randomIndex(max) {
+    const values = new Uint32Array(1);
+    crypto.getRandomValues(values);
+    return values[0] % max;
+}
+
+// Random words until the passage reaches the requested length
+function generateTypingPassage(length) {
+    const words = [];
+    let size = 0;
+    while (size < length) {
+        const word = TYPING_CHALLENGE_WORDS[randomIndex(TYPING_CHALLENGE_WORDS.length)];
+        words.push(word);
+        size += word.length + 1;
+    }
+    const passage = words.join(' ');
+    return passage.charAt(0).toUpperCase() + passage.slice(1) + '.';
+}
+
+// Handle typing challenge request (popup). The passage is kept in storage
+// until it is answered, so reopening the popup cannot re-roll it.
+async function handleGetTypingChallenge() {
+    try {
+        const { sessionEndTime, unlockMethod, typingChallengeLength, typingChallenge } = await readStorage([
+            STORAGE_KEYS.SESSION_END_TIME,
+            STORAGE_KEYS.UNLOCK_METHOD,
+            STORAGE_KEYS.TYPING_CHALLENGE_LENGTH,
+            STORAGE_KEYS.TYPING_CHALLENGE
+        ]);
+
+        if (!sessionEndTime || Date.now() >= sessionEndTime) {
+            return { success: false, error: 'No active session' };
+        }
+        if (unlockMethod !== UNLOCK_METHODS.TYPING) {
+            return { success: false, error: 'Typing challenge is not enabled for this session' };
+        }
+
+        if (typingChallenge) {
+            return { success: true, passage: typingChallenge.text };
+        }
+
+        const text = generateTypingPassage(typingChallengeLength || DEFAULT_TYPING_CHALLENGE_LENGTH);
+        await writeStorage({
+            [STORAGE_KEYS.TYPING_CHALLENGE]: { text, issuedAt: Date.now() }
+        });
+        addSecurityLog('unlock_challenge_issued', { length: text.length });
+
+        return { success: true, passage: text };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Compare the typed passage with the stored one. Failures count toward
+// failedUnlockAttempts and discard the passage, so every retry gets a new one.
+async function verifyTypingChallenge(response, failedUnlockAttempts, maxAttempts) {
+    if (failedUnlockAttempts >= maxAttempts) {
+        addSecurityLog('unlock_attempt_failed', { attemptCount: failedUnlockAttempts, reason: 'max_attempts_exceeded' });
+        return { success: false, error: 'Maximum unlock attempts exceeded' };
+    }
+
+    const { typingChallenge } = await readStorage(STORAGE_KEYS.TYPING_CHALLENGE);
+    if (!typingChallenge) {
+        return { success: false, error: 'No typing challenge issued' };
+    }
+
+    if (response === typingChallenge.text) {
+        await handleEndSession(SESSION_END_REASONS.TYPING_CHALLENGE);
+        addSecurityLog('unlock_attempt_success', { type: 'typing_challenge' });
+        return { success: true };
+    }
+
+    const newAttempts = failedUnlockAttempts + 1;
+    await writeStorage({ [STORAGE_KEYS.FAILED_UNLOCK_ATTEMPTS]: newAttempts });
+    await removeStorage(STORAGE_KEYS.TYPING_CHALLENGE);
+    addSecurityLog('unlock_attempt_failed', { attemptCount: newAttempts, type: 'typing_challenge' });
+    return { success: false, error: 'Passage does not match' };
+}
+
+// ==========================================
+// Session History
+// ==========================================
+
+// Build the history record for the session that is about to end.
+// Called before the session keys are removed.
+async function recordSessionHistory(endReason) {
+    const {
+        sessionId,
+        sessionStartTime,
+        sessionEndTime,
+        sessionTotalDuration,
+        sessionProfileId = null,
+        sessionScheduleId = null,
+        sessionMode = SESSION_MODES.BLOCKLIST,
+        sessionBlockedAttempts = 0,
+        sessionIntent = '',
+        pomodoroState
+    } = await readStorage([
+        STORAGE_KEYS.SESSION_ID,
+        STORAGE_KEYS.SESSION_START_TIME,
+        STORAGE_KEYS.SESSION_END_TIME,
+        STORAGE_KEYS.SESSION_TOTAL_DURATION,
+        STORAGE_KEYS.SESSION_PROFILE_ID,
+        STORAGE_KEYS.SESSION_SCHEDULE_ID,
+        STORAGE_KEYS.SESSION_MODE,
+        STORAGE_KEYS.SESSION_BLOCKED_ATTEMPTS,
+        STORAGE_KEYS.SESSION_INTENT,
+        STORAGE_KEYS.POMODORO_STATE
+    ]);
+    if (!sessionId || !sessionEndTime) return;
+
+    // Sessions started before the start time was stored derive it from the duration
+    const startTime = sessionStartTime || sessionEndTime - (sessionTotalDuration || 0);
+    // A session that expired while the browser was closed ended at its planned time
+    const endTime = Math.min(Date.now(), sessionEndTime);
+
+    let pomodoroCycles = null;
+    if (pomodoroState) {
+        pomodoroCycles = buildPomodoroTimeline(pomodoroState, pomodoroState.startTime)
+            .filter(p => p.phase === POMODORO_PHASES.WORK && p.end <= endTime).length;
+    }
+
+    await appendSessionRecord({
+        id: sessionId,
+        profileId: sessionProfileId,
+        scheduleId: sessionScheduleId,
+        sessionType: pomodoroState ? 'pomodoro' : 'standard',
+        sessionMode,
+        startTime,
+        endTime,
+        plannedMinutes: Math.round((sessionEndTime - startTime) / (60 * 1000)),
+        actualMinutes: Math.round((endTime - startTime) / (60 * 1000)),
+        endReason,
+        blockedAttempts: sessionBlockedAttempts,
+        pomodoroCycles,
+        intent: sessionIntent || null,
+        reflection: null
+    });
+}
+
+// A session that ran its full length asks how it went. The prompt is a
+// small extension window, since the popup cannot be opened from here.
+async function endSessionWithReflection() {
+    const { sessionId } = await readStorage(STORAGE_KEYS.SESSION_ID);
+    await handleEndSession();
+    if (!sessionId) return;
+
+    try {
+        await chrome.windows.create({
+            url: chrome.runtime.getURL(`reflection/reflection.html?session=${encodeURIComponent(sessionId)}`),
+            type: 'popup',
+            width: 420,
+            height: 520
+        });
+    } catch (error) {
+        console.warn('Failed to open reflection prompt:', error);
+    }
+}
+
+// Handle reflection answer (reflection page)
+async function handleSaveSessionReflection({ sessionId, outcome, note }) {
+    try {
+        if (!Object.values(REFLECTION_OUTCOMES).includes(outcome)) {
+            return { success: false, error: 'Invalid outcome' };
+        }
+
+        const reflection = { outcome, note: (note || '').trim().slice(0, 500), timestamp: Date.now() };
+        const found = await updateSessionRecord(sessionId, { reflection });
+        if (!found) {
+            return { success: false, error: 'Session not found' };
+        }
+
+        addSecurityLog('session_reflection_saved', { outcome });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Handle session history request (options page)
+async function handleGetSessionHistory({ from = null, to = null, profileId } = {}) {
+    try {
+        const { sessionHistory = [] } = await chrome.storage.local.get(STORAGE_KEYS.SESSION_HISTORY);
+        return { success: true, sessions: querySessionHistory(sessionHistory, { from, to, profileId }) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// ==========================================
+// Blocked Attempts
+// ==========================================
+
+const BLOCKED_ATTEMPT_DEDUPE_MS = 60 * 1000;
+const lastBlockedAttempts = new Map(); // domain -> time of the last counted attempt
+
+// Log a blocked navigation as site_blocked and count it per domain
+// (core/blockedAttempts.js). Repeat attempts on the same domain within a
+// minute (reloads, redirect + error for one navigation) count once. The
+// dedupe is checked and set before any await, so two reports of the same
+// navigation arriving together cannot both pass.
+async function recordBlockedAttempt(url) {
+    let domain;
+    try {
+        domain = new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+        return;
+    }
+    if (!domain) return;
+
+    const now = Date.now();
+    if (now - (lastBlockedAttempts.get(domain) || 0) < BLOCKED_ATTEMPT_DEDUPE_MS) return;
+    lastBlockedAttempts.forEach((at, seenDomain) => {
+        if (now - at >= BLOCKED_ATTEMPT_DEDUPE_MS) lastBlockedAttempts.delete(seenDomain);
+    });
+    lastBlockedAttempts.set(domain, now);
+
+    try {
+        const { sessionId = null, sessionProfileId = null } = await readStorage([
+            STORAGE_KEYS.SESSION_ID,
+            STORAGE_KEYS.SESSION_PROFILE_ID
+        ]);
+
+        addSecurityLog('site_blocked', {
+            domain,
+            sessionId,
+            ...(sessionProfileId ? { profileId: sessionProfileId } : {})
+        });
+
+        // Counts go through the log queue, so concurrent attempts never
+        // overwrite each other's increment
+        securityLogQueue = securityLogQueue.then(() => countBlockedAttempt(domain, now, !!sessionId));
+        await securityLogQueue;
+    } catch (error) {
+        console.error('Failed to record blocked attempt:', error);
+    }
+}
+
+async function countBlockedAttempt(domain, now, inSession) {
+    try {
+        const { blockedAttemptCounts = {}, sessionBlockedAttempts = 0 } = await readStorage([
+            STORAGE_KEYS.BLOCKED_ATTEMPTS,
+            STORAGE_KEYS.SESSION_BLOCKED_ATTEMPTS
+        ]);
+        await writeStorage({
+            [STORAGE_KEYS.BLOCKED_ATTEMPTS]: addBlockedAttempt(blockedAttemptCounts, domain, now),
+            ...(inSession ? { [STORAGE_KEYS.SESSION_BLOCKED_ATTEMPTS]: sessionBlockedAttempts + 1 } : {})
+        });
+    } catch (error) {
+        console.error('Failed to count blocked attempt:', error);
+    }
+}
+
+// Page loads stopped by a plain DNR block rule
+chrome.webNavigation.onErrorOccurred.addListener((details) => {
+    if (details.frameId !== 0) return;
+    if (details.error === 'net::ERR_BLOCKED_BY_CLIENT') {
+        recordBlockedAttempt(details.url);
+    }
+});
+
+// Page loads redirected to the blocked page (reported by the page itself)
+async function handleReportBlockedAttempt({ url }) {
+    await recordBlockedAttempt(url);
+    return { success: true };
+}
+
+// ==========================================
+// In-Session Allowances
+// ==========================================
+
+// Whole-site blocklist entries may carry an allowance (minutes per session).
+// Time is counted by the Guardian usage accounting, as ALLOWANCE intervals while
+// the allowed site is attended; while some is left the domain gets an allow
+// rule, and the block returns once it runs out (see applyUsageIntervals).
+const ALLOWANCE_ALARM_NAME = 'session-allowance-end';
+
+function buildSessionAllowances(blockedSites, siteAllowances) {
+    const allowances = {};
+    for (const sitePattern of blockedSites) {
+        const parsed = parseSitePattern(sitePattern);
+        if (!parsed || parsed.action !== 'block' || parsed.type !== SITE_PATTERN_TYPES.DOMAIN) continue;
+
+        const minutes = parseInt(siteAllowances[parsed.domain], 10);
+        if (minutes > 0) {
+            allowances[parsed.domain] = { allowedSeconds: minutes * 60, usedSeconds: 0 };
+        }
+    }
+    return Object.keys(allowances).length ? allowances : null;
+}
+
+function getLiftedDomains(allowances) {
+    if (!allowances) return [];
+    return Object.keys(allowances).filter(domain => allowances[domain].usedSeconds < allowances[domain].allowedSeconds);
+}
+
+function findAllowanceDomain(hostname) {
+    if (!sessionAllowances) return null;
+    return Object.keys(sessionAllowances).find(domain => hostname === domain || hostname.endsWith(`.${domain}`)) || null;
+}
+
+// Keep the in-memory copy in sync and start or stop charging the allowance
+function loadSessionAllowances(allowances) {
+    sessionAllowances = allowances;
+    activeAllowanceDomain = null;
+    return refreshGuardianTracking();
+}
+
+// Wake the worker when the allowance being spent runs out. Alarms survive
+// suspension; the limit check timer covers the common case more precisely.
+async function syncAllowanceAlarm() {
+    const interval = openUsageIntervals.find(i => i.counter === USAGE_COUNTERS.ALLOWANCE);
+    const allowance = interval && sessionAllowances?.[interval.domain];
+    if (allowance) {
+        chrome.alarms.create(ALLOWANCE_ALARM_NAME, {
+            when: interval.start + (allowance.allowedSeconds - allowance.usedSeconds) * 1000
+        });
+    } else {
+        await chrome.alarms.clear(ALLOWANCE_ALARM_NAME);
+    }
+}
+
+// Re-block the domain and send its open tabs to the blocked page
+async function handleAllowanceUsedUp(domain) {
+    try {
+        // Breaks keep everything unblocked; the next work phase applies the rules
+        if (!(await isPomodoroBreak())) await applySessionBlockingRules();
+
+        const tabs = await chrome.tabs.query({ url: [`*://${domain}/*`, `*://*.${domain}/*`] });
+        for (const tab of tabs) {
+            chrome.tabs.update(tab.id, { url: getOpenTabBlockedPageUrl(`Allowance used up: ${domain}`, tab.url) })
+                .catch(() => {
+                    // Tab may have been closed meanwhile
+                });
+        }
+        addSecurityLog('session_allowance_used', { domain });
+    } catch (error) {
+        console.error('Failed to end allowance:', error);
+    }
+}
+
+// ==========================================
+// Open Distracting Tabs
+// ==========================================
+
+// DNR rules only stop new requests, so tabs already showing a blocked
+// site keep working. Return a matcher giving the rule label a page would
+// be blocked with (same rules as updateBlockingRules), or null. Keywords
+// and terms are also checked against the page title when one is given.
+function buildOpenTabMatcher(blockedSites, strictMode, sessionMode, allowedSites, liftedDomains = [], keywords = [], terms = []) {
+    const toRegex = (parsed) => {
+        try {
+            return new RegExp(getSitePatternRegex(parsed));
+        } catch (e) {
+            return null;
+        }
+    };
+
+    if (sessionMode === SESSION_MODES.ALLOWLIST) {
+        const allows = allowedSites
+            .map(site => parseSitePattern(site.replace(/^@@/, '')))
+            .filter(Boolean)
+            .map(toRegex)
+            .filter(Boolean);
+        return url => /^https?:\/\//.test(url) && !allows.some(re => re.test(url)) ? 'Allowlist-only session' : null;
+    }
+
+    const blocks = [];
+    const allows = liftedDomains.map(domain => toRegex(parseSitePattern(domain))).filter(Boolean);
+    for (const sitePattern of blockedSites) {
+        const parsed = parseSitePattern(sitePattern);
+        if (!parsed) continue;
+        // Distraction-Free YouTube is handled by content.js, not blocked
+        if (parsed.action === 'block' && parsed.type === SITE_PATTERN_TYPES.DOMAIN && parsed.domain.includes('youtube.com')) continue;
+
+        const regex = toRegex(parsed);
+        if (!regex) continue;
+        if (parsed.action === 'allow') {
+            allows.push(regex);
+        } else {
+            blocks.push({ regex, label: `Blocklist: ${parsed.canonical}` });
+        }
+    }
+    if (strictMode) {
+        STRICT_MODE_SITES.forEach(domain => {
+            blocks.push({ regex: toRegex(parseSitePattern(domain)), label: `Strict mode: ${domain}` });
+        });
+    }
+
+    keywords.forEach(keyword => {
+        blocks.push({ regex: new RegExp(getKeywordUrlRegex(keyword), 'i'), label: `Keyword: "${keyword}"` });
+    });
+    terms.forEach(term => {
+        blocks.push({ regex: new RegExp(getKeywordUrlRegex(term, { wholeWord: true }), 'i'), label: `Keyword: "${term}"` });
+    });
+
+    return (url, title = '') => {
+        if (allows.some(re => re.test(url))) return null;
+        const match = blocks.find(block => block.regex.test(url));
+        if (match) return match.label;
+        const keyword = findMatchingKeyword(title, keywords) || findMatchingKeyword(title, terms, { wholeWord: true });
+        return keyword ? `Keyword in title: "${keyword}"` : null;
+    };
+}
+
+// The blocked page skips its attempt report for source=open-tab, since
+// the user did not try to open the page during the session
+function getOpenTabBlockedPageUrl(ruleLabel, url) {
+    return `${chrome.runtime.getURL(BLOCKED_PAGE_PATH)}?rule=${encodeURIComponent(ruleLabel)}&source=open-tab&url=${url}`;
+}
+
+// Close, redirect or park every open tab the current session blocks.
+// Parked tabs are discarded; the active tab of a window cannot be, so it
+// is redirected instead and still parked for restore.
+async function handleOpenDistractingTabs() {
+    try {
+        const { blockedSites = [], strictMode = false, sessionMode, allowedSites = [], sessionAllowances, blockedKeywords = [], blockedTerms = [], optionsOpenTabAction } = await readStorage([
+            STORAGE_KEYS.BLOCKED_SITES,
+            STORAGE_KEYS.STRICT_MODE,
+            STORAGE_KEYS.SESSION_MODE,
+            STORAGE_KEYS.ALLOWED_SITES,
+            STORAGE_KEYS.SESSION_ALLOWANCES,
+            STORAGE_KEYS.BLOCKED_KEYWORDS,
+            STORAGE_KEYS.BLOCKED_TERMS,
+            STORAGE_KEYS.OPTIONS_OPEN_TAB_ACTION
+        ]);
+        const action = optionsOpenTabAction || OPEN_TAB_ACTIONS.REDIRECT;
+        const matchTab = buildOpenTabMatcher(blockedSites, strictMode, sessionMode, allowedSites, getLiftedDomains(sessionAllowances), blockedKeywords, blockedTerms);
+
+        const tabs = await chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] });
+        const parked = [];
+        let handled = 0;
+
+        for (const tab of tabs) {
+            const ruleLabel = matchTab(tab.url, tab.title);
+            if (!ruleLabel) continue;
+
+            try {
+                if (action === OPEN_TAB_ACTIONS.CLOSE) {
+                    await chrome.tabs.remove(tab.id);
+                } else if (action === OPEN_TAB_ACTIONS.PARK) {
+                    let tabId = tab.id;
+                    if (tab.active) {
+                        await chrome.tabs.update(tab.id, { url: getOpenTabBlockedPageUrl(ruleLabel, tab.url) });
+                    } else {
+                        // A discarded tab can come back with a new id
+                        const discarded = await chrome.tabs.discard(tab.id);
+                        if (discarded) tabId = discarded.id;
+                    }
+                    parked.push({ tabId, url: tab.url, title: tab.title || tab.url, parkedAt: Date.now() });
+                } else {
+                    await chrome.tabs.update(tab.id, { url: getOpenTabBlockedPageUrl(ruleLabel, tab.url) });
+                }
+                handled++;
+            } catch (error) {
+                console.warn('Failed to handle open tab:', tab.url, error);
+            }
+        }
+
+        if (parked.length) {
+            const { parkedTabs = [] } = await chrome.storage.local.get(STORAGE_KEYS.PARKED_TABS);
+            const parkedUrls = new Set(parkedTabs.map(entry => entry.url));
+            await chrome.storage.local.set({
+                [STORAGE_KEYS.PARKED_TABS]: [...parkedTabs, ...parked.filter(entry => !parkedUrls.has(entry.url))]
+            });
+        }
+        if (handled) {
+            addSecurityLog('open_tabs_handled', { action, count: handled });
+        }
+    } catch (error) {
+        console.error('Failed to handle open distracting tabs:', error);
+    }
+}
+
+// Handle restore parked tabs request (popup). Tabs still open are sent
+// back to their page; closed ones are reopened in the background.
+async function handleRestoreParkedTabs() {
+    try {
+        const { sessionEndTime, parkedTabs = [] } = await readStorage([
+            STORAGE_KEYS.SESSION_END_TIME,
+            STORAGE_KEYS.PARKED_TABS
+        ]);
+        if (sessionEndTime && Date.now() < sessionEndTime) {
+            return { success: false, error: 'Parked tabs can be restored once the session ends' };
+        }
+
+        for (const entry of parkedTabs) {
+            let tab = null;
+            try {
+                tab = await chrome.tabs.get(entry.tabId);
+            } catch (e) {
+                // Tab was closed meanwhile
+            }
+
+            if (tab && (tab.discarded || tab.url === entry.url || tab.url.startsWith(chrome.runtime.getURL(BLOCKED_PAGE_PATH)))) {
+                await chrome.tabs.update(tab.id, { url: entry.url });
+            } else {
+                await chrome.tabs.create({ url: entry.url, active: false });
+            }
         }
+
+        await chrome.storage.local.remove(STORAGE_KEYS.PARKED_TABS);
+        addSecurityLog('parked_tabs_restored', { count: parkedTabs.length });
+        return { success: true, restored: parkedTabs.length };
     } catch (error) {
         return { success: false, error: error.message };
     }
 }
 
-// Alarm listener
-chrome.alarms.onAlarm.addListener((alarm) => {
-    if (alarm.name === ALARM_NAME) {
-        handleEndSession();
+// ==========================================
+// Keyword Blocking
+// ==========================================
+
+// Titles are not visible to DNR, so securityScanner reports each page title
+// (and later changes to it). A title containing a session keyword sends the
+// tab to the blocked page, which counts it as a blocked attempt.
+async function handleCheckPageTitle({ title }, sender) {
+    try {
+        const tab = sender.tab;
+        if (!tab || !title) return { success: true, blocked: false };
+
+        const { sessionEndTime, blockedKeywords = [], blockedTerms = [], blockedSites = [], sessionMode, sessionAllowances } = await readStorage([
+            STORAGE_KEYS.SESSION_END_TIME,
+            STORAGE_KEYS.BLOCKED_KEYWORDS,
+            STORAGE_KEYS.BLOCKED_TERMS,
+            STORAGE_KEYS.BLOCKED_SITES,
+            STORAGE_KEYS.SESSION_MODE,
+            STORAGE_KEYS.SESSION_ALLOWANCES
+        ]);
+        if (!sessionEndTime || Date.now() >= sessionEndTime || blockedKeywords.length + blockedTerms.length === 0) {
+            return { success: true, blocked: false };
+        }
+        // Breaks lift the DNR rules; keywords are lifted with them
+        if (await isPomodoroBreak()) return { success: true, blocked: false };
+
+        // Only allow entries and allowances matter here; URL blocks were handled by DNR
+        const allowEntries = blockedSites.filter(site => site.startsWith(ALLOW_PATTERN_PREFIX));
+        const matchTab = buildOpenTabMatcher(allowEntries, false, sessionMode, [], getLiftedDomains(sessionAllowances), blockedKeywords, blockedTerms);
+        const ruleLabel = matchTab(tab.url, title);
+        if (!ruleLabel) return { success: true, blocked: false };
+
+        const blockedPageUrl = `${chrome.runtime.getURL(BLOCKED_PAGE_PATH)}?rule=${encodeURIComponent(ruleLabel)}&url=${tab.url}`;
+        await chrome.tabs.update(tab.id, { url: blockedPageUrl });
+        return { success: true, blocked: true };
+    } catch (error) {
+        return { success: false, error: error.message };
     }
-});
+}
 
-// Enforce lock
-async function enforceLock() {
-    await handleEndSession();
-    addSecurityLog('session_expired_lock', {});
+// ==========================================
+// Search Check
+// ==========================================
+
+const SEARCH_CHECK_PAGE_PATH = 'search-check/search-check.html';
+const SEARCH_QUERY_PARAMS = ['q', 'query', 'search', 'p', 'text'];
+// How long a "yes, continue" answer lets the same search URL through
+const SEARCH_CHECK_PASS_MS = 60 * 1000;
+
+// Search URLs the user confirmed as related to their goal: url -> expiry.
+// In memory only; after a worker restart the search is simply checked again.
+const searchCheckPasses = new Map();
+
+// Returns { engine, query } for a search results URL, or null
+function getSearchQuery(url) {
+    if (typeof isSearchEngine !== 'function') return null;
+    const { isSearchEngine: isSearch, engine } = isSearchEngine(url);
+    if (!isSearch) return null;
+    const searchParams = new URL(url).searchParams;
+    const param = SEARCH_QUERY_PARAMS.find(name => searchParams.get(name));
+    return param ? { engine, query: searchParams.get(param) } : null;
 }
 
-// Check active session
-async function enforceActiveSession() {
-    const { sessionEndTime, blockedSites, strictMode } = await chrome.storage.local.get([
-        STORAGE_KEYS.SESSION_END_TIME,
-        STORAGE_KEYS.BLOCKED_SITES,
-        STORAGE_KEYS.STRICT_MODE
-    ]);
+// During a focus session, a search whose query matches one of the checked
+// distraction lists is sent to the search-check page, which asks whether it
+// is related to the session's intent before letting it through.
+chrome.webNavigation.onBeforeNavigate.addListener(async (details) => {
+    if (details.frameId !== 0) return;
 
-    if (sessionEndTime && Date.now() < sessionEndTime) {
-        chrome.alarms.create(ALARM_NAME, { when: sessionEndTime });
-        updateBlockingRules(blockedSites || [], strictMode);
-    } else if (sessionEndTime) {
-        enforceLock();
+    try {
+        const search = getSearchQuery(details.url);
+        if (!search) return;
+
+        const passUntil = searchCheckPasses.get(details.url);
+        if (passUntil && passUntil > Date.now()) return;
+
+        const { sessionEndTime, optionsSearchCheck } = await readStorage([
+            STORAGE_KEYS.SESSION_END_TIME,
+            STORAGE_KEYS.OPTIONS_SEARCH_CHECK
+        ]);
+        if (!sessionEndTime || Date.now() >= sessionEndTime || await isPomodoroBreak()) return;
+
+        const settings = { ...DEFAULT_SEARCH_CHECK, ...optionsSearchCheck };
+        if (!settings.enabled || settings.categories.length === 0) return;
+
+        const match = findDistractionCategory(search.query, await loadDistractionTerms(), settings.categories);
+        if (!match) return;
+
+        addSecurityLog('search_intercepted', {
+            engine: search.engine,
+            category: match.category,
+            ...(settings.logQueries ? { query: search.query } : {})
+        });
+        const checkPageUrl = `${chrome.runtime.getURL(SEARCH_CHECK_PAGE_PATH)}?category=${encodeURIComponent(match.category)}&url=${details.url}`;
+        await chrome.tabs.update(details.tabId, { url: checkPageUrl });
+    } catch (e) {
+        console.warn('Search check error:', e);
+    }
+});
+
+async function handleSearchCheckDecision({ url, category, related }) {
+    try {
+        if (related) {
+            if (!getSearchQuery(url)) throw new Error('Not a search URL');
+            searchCheckPasses.forEach((until, passUrl) => {
+                if (until <= Date.now()) searchCheckPasses.delete(passUrl);
+            });
+            searchCheckPasses.set(url, Date.now() + SEARCH_CHECK_PASS_MS);
+        }
+        addSecurityLog(related ? 'search_continued' : 'search_abandoned', { category });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
     }
 }
 
@@ -487,7 +1765,7 @@ async function hashPassword(password, salt = null) {
 // Verify password
 async function verifyPassword(password) {
     try {
-        const { passwordHash, passwordSalt } = await chrome.storage.local.get([
+        const { passwordHash, passwordSalt } = await readStorage([
             STORAGE_KEYS.PASSWORD_HASH,
             STORAGE_KEYS.PASSWORD_SALT
         ]);
@@ -512,21 +1790,28 @@ async function verifyPassword(password) {
 async function addSecurityLog(event, details) {
     // Rate limit
     const now = Date.now();
-    if (now - lastLogTime < LOG_THROTTLE_MS) {
+    const throttleKey = details?.domain ? `${event}:${details.domain}` : event;
+    if (now - (lastLogTimes[throttleKey] || 0) < LOG_THROTTLE_MS) {
         return; // Skip log if too frequent
     }
-    lastLogTime = now;
+    lastLogTimes[throttleKey] = now;
+
+    const logEntry = {
+        timestamp: new Date(now).toISOString(),
+        type: getLogType(event),
+        event: event,
+        details: details
+    };
 
+    // Writes are chained so concurrent logs never overwrite each other
+    securityLogQueue = securityLogQueue.then(() => appendSecurityLog(logEntry));
+    return securityLogQueue;
+}
+
+async function appendSecurityLog(logEntry) {
     try {
         const { securityLogs = [] } = await chrome.storage.local.get(STORAGE_KEYS.SECURITY_LOGS);
 
-        const logEntry = {
-            timestamp: new Date().toISOString(),
-            type: getLogType(event),
-            event: event,
-            details: details
-        };
-
         securityLogs.push(logEntry);
 
         // Limit to 100 entries
@@ -560,26 +1845,23 @@ async function getSecurityLogs() {
 async function getRiskScore() {
     try {
         const {
-            securityLogs = [],
+            blockedAttemptCounts = {},
+            sessionHistory = [],
             sessionEndTime,
             sessionTotalDuration,
             failedUnlockAttempts = 0
-        } = await chrome.storage.local.get([
-            STORAGE_KEYS.SECURITY_LOGS,
+        } = await readStorage([
+            STORAGE_KEYS.BLOCKED_ATTEMPTS,
+            STORAGE_KEYS.SESSION_HISTORY,
             STORAGE_KEYS.SESSION_END_TIME,
-            'sessionTotalDuration',
+            STORAGE_KEYS.SESSION_TOTAL_DURATION,
             STORAGE_KEYS.FAILED_UNLOCK_ATTEMPTS
         ]);
 
         let score = 0;
 
-        // 1. Frequency of blocked attempts (from logs)
-        const recentLogs = securityLogs.filter(log => {
-            const logTime = new Date(log.timestamp);
-            const now = new Date();
-            return (now - logTime) < (24 * 60 * 60 * 1000); // Last 24 hours
-        });
-        const blockedAttempts = recentLogs.filter(log => log.event === 'site_blocked').length;
+        // 1. Frequency of blocked attempts (last 24 hours)
+        const blockedAttempts = countBlockedAttempts(blockedAttemptCounts, Date.now() - 24 * 60 * 60 * 1000);
         score += Math.min(blockedAttempts * 10, 30); // Up to 30 points
 
         // 2. Time of day (higher risk late night)
@@ -608,11 +1890,10 @@ async function getRiskScore() {
         }
 
         // 5. Consistency Bonus (Long-term behavior)
-        // Check logs for successful session completions in last 3 days
+        // Check session history for sessions run to their end in last 3 days
         const threeDaysAgo = Date.now() - (72 * 60 * 60 * 1000);
-        const completedSessions = securityLogs.filter(log => {
-            return log.event === 'session_ended' && new Date(log.timestamp).getTime() > threeDaysAgo;
-        }).length;
+        const completedSessions = querySessionHistory(sessionHistory, { from: threeDaysAgo })
+            .filter(isCompletedSession).length;
 
         if (completedSessions >= 5) {
             score -= 15; // Consistent user bonus
@@ -620,6 +1901,13 @@ async function getRiskScore() {
             score -= 5;
         }
 
+        // 6. Unfinished Intentions
+        // Sessions the user reflected on as "not done" in the last 7 days
+        const weekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
+        const notDoneSessions = querySessionHistory(sessionHistory, { from: weekAgo })
+            .filter(session => session.reflection?.outcome === REFLECTION_OUTCOMES.NOT_DONE).length;
+        score += Math.min(notDoneSessions * 10, 20); // +10 each, max 20
+
         // Clamp score to 0-100
         score = Math.max(0, Math.min(100, score));
 
@@ -633,43 +1921,50 @@ async function getRiskScore() {
 // Time Guardian Implementation
 // ==========================================
 
+// Runs every time the service worker starts, not just on browser startup:
+// in-memory state is gone after a suspension, while intervals left open in
+// storage are credited (or dropped, after a crash) by the first update.
 async function initTimeGuardian() {
-    const result = await chrome.storage.local.get([
-        STORAGE_KEYS.TIME_GUARDIAN_ENABLED,
-        STORAGE_KEYS.DAILY_USAGE,
-        STORAGE_KEYS.GUARDIAN_LIMITS,
-        STORAGE_KEYS.LAST_RESET_DATE
-    ]);
+    try {
+        await loadDistractingSites();
+        const result = await readStorage([
+            STORAGE_KEYS.TIME_GUARDIAN_ENABLED,
+            STORAGE_KEYS.GUARDIAN_AUDIBLE_POLICY,
+            STORAGE_KEYS.GUARDIAN_LIMITS,
+            STORAGE_KEYS.SESSION_ALLOWANCES
+        ]);
 
-    timeGuardianEnabled = result[STORAGE_KEYS.TIME_GUARDIAN_ENABLED] || false;
-    dailyUsage = result[STORAGE_KEYS.DAILY_USAGE] || {};
-    guardianLimits = result[STORAGE_KEYS.GUARDIAN_LIMITS] || { global: DEFAULT_GLOBAL_LIMIT, overrides: {} };
+        timeGuardianEnabled = result[STORAGE_KEYS.TIME_GUARDIAN_ENABLED] || false;
+        audiblePolicy = result[STORAGE_KEYS.GUARDIAN_AUDIBLE_POLICY] || AUDIBLE_TAB_POLICIES.TRACK;
+        guardianLimits = result[STORAGE_KEYS.GUARDIAN_LIMITS] || { global: DEFAULT_GLOBAL_LIMIT, overrides: {} };
 
-    console.log('[Guardian] Init:', { enabled: timeGuardianEnabled, usage: dailyUsage, limits: guardianLimits });
+        await refreshAttentionState();
+        sessionAllowances = result[STORAGE_KEYS.SESSION_ALLOWANCES] || null;
+        await updateActiveDomain();
+        await applyUsageIntervals();
 
-    // Check reset
-    const today = new Date().toDateString();
-    if (result[STORAGE_KEYS.LAST_RESET_DATE] !== today) {
-        dailyUsage = {};
-        await chrome.storage.local.set({
-            [STORAGE_KEYS.DAILY_USAGE]: dailyUsage,
-            [STORAGE_KEYS.LAST_RESET_DATE]: today
-        });
+        console.log('[Guardian] Init:', { enabled: timeGuardianEnabled, usage: dailyUsage, limits: guardianLimits });
+    } catch (error) {
+        console.error('Failed to initialize Time Guardian:', error);
     }
+}
 
-    if (timeGuardianEnabled) {
-        startGuardianTracking();
-        injectGuardianScripts(); // Ensure open tabs get the script
-    }
+const guardianReady = initTimeGuardian();
+
+const GUARDIAN_SCRIPT_ID = 'guardian-custom-sites';
+
+function getSiteMatchPatterns(sites) {
+    return sites.map(site => `*://*.${site}/*`);
 }
 
-async function injectGuardianScripts() {
-    const tabs = await chrome.tabs.query({ url: DISTRACTING_SITES.map(site => `*://*.${site}/*`) });
+async function injectGuardianScripts(sites = getDistractingSites()) {
+    if (sites.length === 0) return;
+    const tabs = await chrome.tabs.query({ url: getSiteMatchPatterns(sites) });
     for (const tab of tabs) {
         try {
             await chrome.scripting.executeScript({
                 target: { tabId: tab.id },
-                files: ['content/guardian.js']
+                files: ['config.js', 'content/guardian.js']
             });
         } catch (e) {
             // Script might already be there or cannot access tab
@@ -677,6 +1972,29 @@ async function injectGuardianScripts() {
     }
 }
 
+// manifest.json injects guardian.js into the default sites; user-added sites
+// get it through one dynamic registration, replaced whenever the list changes.
+// content.js is left to the manifest: its selectors only exist for the defaults.
+async function registerGuardianScripts(sites = getDistractingSites()) {
+    try {
+        const customSites = sites.filter(site => !DISTRACTING_SITES.includes(site));
+        const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [GUARDIAN_SCRIPT_ID] });
+        if (existing.length > 0) {
+            await chrome.scripting.unregisterContentScripts({ ids: [GUARDIAN_SCRIPT_ID] });
+        }
+        if (customSites.length === 0) return;
+
+        await chrome.scripting.registerContentScripts([{
+            id: GUARDIAN_SCRIPT_ID,
+            matches: getSiteMatchPatterns(customSites),
+            js: ['config.js', 'content/guardian.js'],
+            runAt: 'document_start'
+        }]);
+    } catch (error) {
+        console.error('Failed to register guardian scripts:', error);
+    }
+}
+
 function setupMidnightAlarm() {
     chrome.alarms.create('guardian_daily_reset', {
         when: getNextMidnight(),
@@ -690,54 +2008,34 @@ function getNextMidnight() {
     return midnight.getTime();
 }
 
-function startGuardianTracking() {
-    if (trackingInterval) clearInterval(trackingInterval);
-
-    // Update active domain immediately
-    updateActiveDomain();
-
-    // Check every 1s
-    trackingInterval = setInterval(trackCurrentTab, 1000);
-
-    // Listeners
-    chrome.tabs.onActivated.addListener(updateActiveDomain);
-    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-        if (changeInfo.url || changeInfo.status === 'complete') updateActiveDomain();
-    });
-    chrome.windows.onFocusChanged.addListener(updateActiveDomain);
-}
-
-function stopGuardianTracking() {
-    if (trackingInterval) clearInterval(trackingInterval);
-    trackingInterval = null;
-    activeDomain = null;
-    chrome.tabs.onActivated.removeListener(updateActiveDomain);
-    chrome.windows.onFocusChanged.removeListener(updateActiveDomain);
-    // Note: onUpdated logic difficult to remove cleanly without named function, 
-    // but overhead is low if timeGuardianEnabled is checked inside.
-}
-
 async function updateActiveDomain() {
-    if (!timeGuardianEnabled) return;
+    if (!timeGuardianEnabled && !sessionAllowances) {
+        activeDomain = null;
+        return;
+    }
 
     try {
         // Get the truly active tab in the focused window
         const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
 
+        activeTabId = tab ? tab.id : null;
         if (!tab || !tab.url) {
             activeDomain = null;
+            activeAllowanceDomain = null;
             return;
         }
 
         const urlObj = new URL(tab.url);
         const hostname = urlObj.hostname.replace('www.', '');
+        activeAllowanceDomain = findAllowanceDomain(hostname);
 
         // Check if it's a distracting site
-        const isDistracting = DISTRACTING_SITES.some(site => hostname.endsWith(site));
+        const isDistracting = isDistractingSite(hostname);
         console.log('[Guardian] Active Tab:', tab.id, hostname, 'Is Distracting:', isDistracting);
 
-        if (isDistracting) {
-            activeDomain = hostname;
+        if (timeGuardianEnabled && isDistracting) {
+            // Usage is kept per listed site, the same key guardian.js checks
+            activeDomain = findMatchingDomain(hostname);
             checkLimitAndShowOverlay(activeDomain, tab.id); // Check immediately
         } else {
             activeDomain = null;
@@ -745,35 +2043,51 @@ async function updateActiveDomain() {
     } catch (e) {
         console.warn('Error updating active domain:', e);
         activeDomain = null;
+        activeAllowanceDomain = null;
     }
 }
 
-async function checkLimitAndShowOverlay(domain, tabId = null) {
-    if (!domain || !timeGuardianEnabled) return;
+// Today's limit for a domain in seconds: day-of-week rules first, then the
+// multiplier of the time schedule running now (if schedules are enabled)
+async function getGuardianLimit(domain, now = Date.now()) {
+    const baseLimit = getGuardianBaseLimit(domain, guardianLimits, now);
 
-    // Get base limit
-    let baseLimit = guardianLimits.overrides[domain] !== undefined
-        ? guardianLimits.overrides[domain]
-        : guardianLimits.global;
-
-    // Apply time-based scheduling if enabled
     const { timeSchedulesEnabled, timeSchedules } = await chrome.storage.local.get([
         STORAGE_KEYS.TIME_SCHEDULES_ENABLED,
         STORAGE_KEYS.TIME_SCHEDULES
     ]);
+    if (!timeSchedulesEnabled || !timeSchedules) return baseLimit;
 
-    let actualLimit = baseLimit;
-    if (timeSchedulesEnabled && timeSchedules) {
-        const multiplier = getCurrentScheduleMultiplier(timeSchedules);
-        actualLimit = Math.floor(baseLimit * multiplier);
-    }
+    return Math.floor(baseLimit * getCurrentScheduleMultiplier(timeSchedules, now));
+}
+
+// Daily standing of a domain (with rollover) and of its weekly budget
+async function getGuardianStatus(domain, now = Date.now()) {
+    const { [STORAGE_KEYS.USAGE_HISTORY]: history = {} } = await chrome.storage.local.get(STORAGE_KEYS.USAGE_HISTORY);
+    const budget = findWeeklyBudget(domain, guardianLimits);
+    const domains = budget ? [domain, ...budget.domains] : [domain];
+
+    return getGuardianBudgetStatus(domain, {
+        limits: guardianLimits,
+        dailyLimit: await getGuardianLimit(domain, now),
+        history,
+        todayUsage: Object.fromEntries(domains.map(d => [d, getCurrentUsage(d)])),
+        now
+    });
+}
 
-    const usage = dailyUsage[domain] || 0;
+// The limit that was hit, as shown by the overlay
+function getExceededLimit(status) {
+    const exceeded = status.exceeded === 'week' ? status.weekly : status.daily;
+    return { timeSpent: exceeded.used, limit: exceeded.limit, period: status.exceeded };
+}
+
+async function checkLimitAndShowOverlay(domain, tabId = null) {
+    if (!domain || !timeGuardianEnabled) return;
 
-    // Debug
-    // console.log(`Checking limit for ${domain}: ${usage}/${actualLimit}`);
+    const status = await getGuardianStatus(domain);
 
-    if (usage > actualLimit) {
+    if (status.exceeded) {
         // If tabId not provided, verify we are targeting the CURRENT active tab
         let targetTabId = tabId;
         if (!targetTabId) {
@@ -783,15 +2097,14 @@ async function checkLimitAndShowOverlay(domain, tabId = null) {
 
         if (targetTabId) {
             // Check for grace period
-            const graceKey = `grace_${domain}`;
-            const { [graceKey]: graceTime } = await chrome.storage.local.get(graceKey);
+            const { guardianGrace = {} } = await chrome.storage.local.get(STORAGE_KEYS.GUARDIAN_GRACE);
+            const graceTime = guardianGrace[domain];
 
             if (!graceTime || Date.now() > graceTime) {
                 chrome.tabs.sendMessage(targetTabId, {
                     type: 'GUARDIAN_SHOW_OVERLAY',
                     payload: {
-                        timeSpent: usage,
-                        limit: actualLimit,
+                        ...getExceededLimit(status),
                         domain: domain
                     }
                 }).catch(() => {
@@ -802,74 +2115,217 @@ async function checkLimitAndShowOverlay(domain, tabId = null) {
     }
 }
 
-async function trackCurrentTab() {
-    if (!activeDomain || !timeGuardianEnabled) return;
+// Usage of a domain right now, including time not yet checkpointed
+function getCurrentUsage(domain) {
+    return getLiveUsage({ usage: dailyUsage, openIntervals: openUsageIntervals }, domain);
+}
+
+// What should be counting at this moment: the attended tab's allowance (not
+// during pomodoro breaks, when nothing is blocked) and Guardian domain, plus
+// audible tracked tabs under the background audio policy
+async function getDesiredUsageIntervals() {
+    const attending = isUserAttending();
+    const desired = [];
+    if (attending && getLiftedDomains(sessionAllowances).includes(activeAllowanceDomain) && !(await isPomodoroBreak())) {
+        desired.push({ domain: activeAllowanceDomain, counter: USAGE_COUNTERS.ALLOWANCE });
+    }
+    if (!timeGuardianEnabled) return desired;
+
+    const attendedDomain = attending ? activeDomain : null;
+    if (attendedDomain) desired.push({ domain: attendedDomain, counter: USAGE_COUNTERS.USAGE });
+    if (audiblePolicy === AUDIBLE_TAB_POLICIES.IGNORE) return desired;
 
-    // Increment usage
-    if (!dailyUsage[activeDomain]) dailyUsage[activeDomain] = 0;
-    dailyUsage[activeDomain]++;
-    console.log('[Guardian] Tracking:', activeDomain, 'Usage:', dailyUsage[activeDomain]);
+    const counter = audiblePolicy === AUDIBLE_TAB_POLICIES.CHARGE ? USAGE_COUNTERS.USAGE : USAGE_COUNTERS.AUDIO;
+    new Set(audibleTabs.values()).forEach(domain => {
+        if (domain !== attendedDomain) desired.push({ domain, counter });
+    });
+    return desired;
+}
 
-    // Save every 30s to storage to reduce I/O (or use a dirty flag, but simple is fine for now)
-    if (dailyUsage[activeDomain] % 10 === 0) {
-        chrome.storage.local.set({ [STORAGE_KEYS.DAILY_USAGE]: dailyUsage });
+// Checkpoint the stored intervals and switch to what should count now
+async function applyUsageIntervals() {
+    try {
+        const { state, exhausted, interrupted } = await updateUsageIntervals(await getDesiredUsageIntervals());
+        dailyUsage = state.usage;
+        dailyAudioUsage = state.audioUsage;
+        openUsageIntervals = state.openIntervals;
+        if (sessionAllowances) sessionAllowances = state.allowances;
+        if (interrupted.length > 0) {
+            console.log('[Guardian] Dropped interrupted intervals:', interrupted);
+        }
+        exhausted.forEach(handleAllowanceUsedUp);
+        scheduleLimitCheck();
+        syncAllowanceAlarm();
+    } catch (e) {
+        console.warn('Error updating usage intervals:', e);
     }
+}
 
-    // Check limits
-    checkLimitAndShowOverlay(activeDomain);
+// Every tab, window, idle or visibility event re-evaluates what is counting
+async function refreshGuardianTracking() {
+    await guardianReady;
+    await updateActiveDomain();
+    await applyUsageIntervals();
 }
 
-async function checkGuardianLimit({ domain }) {
-    if (!timeGuardianEnabled) return { blocked: false };
+// Check each counting domain when its limit, or the allowance being spent,
+// will run out. The timer dies with the worker; the heartbeat and allowance
+// alarms and guardian.js polling cover that case.
+async function scheduleLimitCheck() {
+    if (limitCheckTimer) clearTimeout(limitCheckTimer);
+    limitCheckTimer = null;
+
+    const domains = [...new Set(openUsageIntervals
+        .filter(interval => interval.counter === USAGE_COUNTERS.USAGE)
+        .map(interval => interval.domain))];
+    let nextCheck = Infinity;
+
+    for (const domain of domains) {
+        const { daily, weekly } = await getGuardianStatus(domain);
+        const remaining = Math.min(daily.limit - daily.used, weekly ? weekly.limit - weekly.used : Infinity);
+        const tabId = domain === activeDomain
+            ? activeTabId
+            : [...audibleTabs.entries()].find(([, audibleDomain]) => audibleDomain === domain)?.[0];
+        if (remaining < 0) {
+            checkLimitAndShowOverlay(domain, tabId);
+        } else {
+            nextCheck = Math.min(nextCheck, remaining);
+        }
+    }
 
-    const usage = dailyUsage[domain] || 0;
+    const allowanceInterval = openUsageIntervals.find(interval => interval.counter === USAGE_COUNTERS.ALLOWANCE);
+    const allowance = allowanceInterval && sessionAllowances?.[allowanceInterval.domain];
+    if (allowance) {
+        nextCheck = Math.min(nextCheck, allowance.allowedSeconds - allowance.usedSeconds);
+    }
 
-    // Get base limit
-    let baseLimit = guardianLimits.overrides[domain] !== undefined
-        ? guardianLimits.overrides[domain]
-        : guardianLimits.global;
+    if (nextCheck !== Infinity) {
+        limitCheckTimer = setTimeout(refreshGuardianTracking, (nextCheck + 1) * 1000);
+    }
+}
 
-    // Apply time-based scheduling if enabled
-    const { timeSchedulesEnabled, timeSchedules } = await chrome.storage.local.get([
-        STORAGE_KEYS.TIME_SCHEDULES_ENABLED,
-        STORAGE_KEYS.TIME_SCHEDULES
-    ]);
+// The active tab only counts while the browser has focus, the page is visible
+// and the user is not idle or locked
+function isUserAttending() {
+    return idleState === 'active' && browserFocused && activeTabId !== null && !hiddenTabs.has(activeTabId);
+}
+
+function updateAudibleTab(tab) {
+    let hostname = '';
+    try {
+        hostname = new URL(tab.url || '').hostname.replace('www.', '');
+    } catch (e) {
+        // No URL access or not a web page
+    }
+    if (tab.audible && hostname && isDistractingSite(hostname)) {
+        audibleTabs.set(tab.id, findMatchingDomain(hostname));
+    } else {
+        audibleTabs.delete(tab.id);
+    }
+}
+
+// Re-read every signal; events only report changes
+async function refreshAttentionState() {
+    try {
+        idleState = await chrome.idle.queryState(GUARDIAN_IDLE_SECONDS);
+        const focusedWindow = await chrome.windows.getLastFocused();
+        browserFocused = !!focusedWindow?.focused;
+        audibleTabs.clear();
+        (await chrome.tabs.query({ audible: true })).forEach(updateAudibleTab);
+    } catch (e) {
+        console.warn('Error refreshing attention state:', e);
+    }
+}
+
+async function handleGuardianVisibility({ visible }, sender) {
+    if (!sender.tab) return { success: false, error: 'Not sent from a tab' };
+    const wasHidden = hiddenTabs.has(sender.tab.id);
+    if (visible) hiddenTabs.delete(sender.tab.id);
+    else hiddenTabs.add(sender.tab.id);
+    if (wasHidden === visible) refreshGuardianTracking();
+    return { success: true };
+}
+
+// Listeners are registered at the top level so each event can wake the worker
+chrome.idle.setDetectionInterval(GUARDIAN_IDLE_SECONDS);
+chrome.idle.onStateChanged.addListener((state) => {
+    idleState = state;
+    refreshGuardianTracking();
+});
+
+chrome.windows.onFocusChanged.addListener((windowId) => {
+    browserFocused = windowId !== chrome.windows.WINDOW_ID_NONE;
+    refreshGuardianTracking();
+});
+
+chrome.tabs.onActivated.addListener(() => {
+    refreshGuardianTracking();
+});
 
-    let actualLimit = baseLimit;
-    if (timeSchedulesEnabled && timeSchedules) {
-        const multiplier = getCurrentScheduleMultiplier(timeSchedules);
-        actualLimit = Math.floor(baseLimit * multiplier);
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.audible !== undefined || changeInfo.url) updateAudibleTab(tab);
+    if (changeInfo.url || changeInfo.status === 'complete' || changeInfo.audible !== undefined) {
+        refreshGuardianTracking();
     }
+});
 
-    if (usage > actualLimit) {
-        const graceKey = `grace_${domain}`;
-        const { [graceKey]: graceTime } = await chrome.storage.local.get(graceKey);
+chrome.tabs.onRemoved.addListener((tabId) => {
+    audibleTabs.delete(tabId);
+    hiddenTabs.delete(tabId);
+    refreshGuardianTracking();
+});
+
+async function checkGuardianLimit({ domain }) {
+    if (!timeGuardianEnabled || !isDistractingSite(domain)) return { blocked: false };
+
+    const status = await getGuardianStatus(domain);
+
+    if (status.exceeded) {
+        const { guardianGrace = {} } = await chrome.storage.local.get(STORAGE_KEYS.GUARDIAN_GRACE);
+        const graceTime = guardianGrace[domain];
 
         if (graceTime && Date.now() < graceTime) {
             return { blocked: false };
         }
-        return { blocked: true, timeSpent: usage, limit: actualLimit };
+        return { blocked: true, ...getExceededLimit(status) };
     }
     return { blocked: false };
 }
 
+async function handleGetGuardianStatus() {
+    if (!timeGuardianEnabled) return { success: true, domain: null, status: null };
+
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        const hostname = tab?.url?.startsWith('http') ? new URL(tab.url).hostname.replace('www.', '') : null;
+        if (!hostname || !isDistractingSite(hostname)) return { success: true, domain: null, status: null };
+
+        const domain = findMatchingDomain(hostname);
+        return { success: true, domain, status: await getGuardianStatus(domain) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
 async function handleGuardianBypass({ domain }) {
     // Grant 5 minutes grace
     const graceTime = Date.now() + (5 * 60 * 1000);
-    const graceKey = `grace_${domain}`;
-    await chrome.storage.local.set({ [graceKey]: graceTime });
+    const { guardianGrace = {} } = await chrome.storage.local.get(STORAGE_KEYS.GUARDIAN_GRACE);
+    await chrome.storage.local.set({
+        [STORAGE_KEYS.GUARDIAN_GRACE]: { ...pruneGraceEntries(guardianGrace), [domain]: graceTime }
+    });
     return { success: true };
 }
 
 // Alarm handler for Midnight Reset
 chrome.alarms.onAlarm.addListener((alarm) => {
-    if (alarm.name === 'guardian_daily_reset') {
-        dailyUsage = {};
-        chrome.storage.local.set({
-            [STORAGE_KEYS.DAILY_USAGE]: dailyUsage,
-            [STORAGE_KEYS.LAST_RESET_DATE]: new Date().toDateString()
-        });
-        // Also clear grace periods?
+    if (alarm.name === USAGE_HEARTBEAT_ALARM || alarm.name === ALLOWANCE_ALARM_NAME) {
+        refreshGuardianTracking();
+    } else if (alarm.name === 'guardian_daily_reset') {
+        // The checkpoint rolls the counters over to the new day
+        refreshGuardianTracking();
+        // Grace periods only matter once a limit is hit, which a fresh day undoes
+        chrome.storage.local.remove(STORAGE_KEYS.GUARDIAN_GRACE);
     }
 });
 
@@ -911,16 +2367,241 @@ async function handleVerifyGuardianPassword({ password }) {
 }
 
 
+// ==========================================
+// Storage Migrations
+// ==========================================
+
+// Run pending migrations (onInstalled, or RUN_MIGRATIONS with { dryRun: true }
+// to preview them) and record the outcome in the audit log
+async function runStorageMigrations({ dryRun = false } = {}) {
+    try {
+        const report = await runMigrations({ dryRun });
+        if (!dryRun && (report.results.length > 0 || report.error)) {
+            addSecurityLog(report.error ? 'storage_migration_failed' : 'storage_migrated', {
+                fromVersion: report.fromVersion,
+                toVersion: report.toVersion,
+                migrations: report.results.map(result => `${result.version}:${result.name}`),
+                error: report.error ? report.error.message : null
+            });
+        }
+        return { success: !report.error, report, error: report.error ? report.error.message : undefined };
+    } catch (error) {
+        console.error('Storage migration failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+
+// ==========================================
+// Backup & Restore
+// ==========================================
+
+// Handle full configuration export (options page)
+async function handleExportBackup({ includeHistory = false } = {}) {
+    try {
+        const keys = getBackupFields(includeHistory).map(field => field.key);
+        const items = await readStorage(keys);
+        const backup = buildBackup(items, {
+            includeHistory,
+            extensionVersion: chrome.runtime.getManifest().version
+        });
+        return { success: true, backup };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Validate a backup and compare it with the current settings
+async function getBackupPreview(data) {
+    const { valid, errors, backup } = validateBackup(data);
+    if (!valid) {
+        return { valid, errors };
+    }
+
+    const keys = getBackupFields(true).map(field => field.key);
+    const current = await readStorage(keys);
+    const changes = diffBackup(current, backup);
+    // A Guardian password guards limits and schedules against quick edits;
+    // a restore must not be a way around it
+    const requiresPassword = !!current[STORAGE_KEYS.GUARDIAN_PASSWORD_HASH] && changes.some(change => change.protected);
+
+    return { valid, errors, backup, changes, requiresPassword };
+}
+
+// Handle restore preview (options page)
+async function handlePreviewBackup({ backup: data }) {
+    try {
+        const { valid, errors, backup, changes, requiresPassword } = await getBackupPreview(data);
+        if (!valid) {
+            return { success: true, valid, errors };
+        }
+        return {
+            success: true,
+            valid,
+            errors,
+            changes,
+            requiresPassword,
+            schemaVersion: backup.schemaVersion,
+            exportDate: backup.exportDate,
+            includesHistory: backup.includesHistory
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Handle restore (options page). Only settings that differ are written.
+async function handleRestoreBackup({ backup: data, password = '' }) {
+    try {
+        const { sessionEndTime } = await readStorage(STORAGE_KEYS.SESSION_END_TIME);
+        if (sessionEndTime && Date.now() < sessionEndTime) {
+            return { success: false, error: 'Settings cannot be restored during a focus session' };
+        }
+
+        const { valid, errors, backup, changes, requiresPassword } = await getBackupPreview(data);
+        if (!valid) {
+            return { success: false, error: errors.join('; ') };
+        }
+
+        if (requiresPassword) {
+            const result = await handleVerifyGuardianPassword({ password });
+            if (!result.success) {
+                addSecurityLog('backup_restore_denied', { reason: 'invalid_password' });
+                return { success: false, error: 'Invalid Time Guardian password' };
+            }
+        }
+
+        const securityKeys = [SECURITY_STORAGE_KEYS.SETTINGS, SECURITY_STORAGE_KEYS.WHITELIST];
+        const updates = {};
+        changes.forEach(change => {
+            if (!securityKeys.includes(change.key)) {
+                updates[change.key] = backup.settings[change.key];
+            }
+        });
+        await writeStorage(updates);
+
+        // Security settings go through the security module so its in-memory copy follows
+        if (changes.some(change => securityKeys.includes(change.key)) && typeof importSecurityData === 'function') {
+            const imported = await importSecurityData({
+                settings: backup.settings[SECURITY_STORAGE_KEYS.SETTINGS],
+                whitelist: backup.settings[SECURITY_STORAGE_KEYS.WHITELIST]
+            });
+            if (!imported) {
+                return { success: false, error: 'Security settings could not be restored' };
+            }
+        }
+
+        addSecurityLog('backup_restored', {
+            schemaVersion: backup.schemaVersion,
+            exportDate: backup.exportDate,
+            changed: changes.map(change => change.key)
+        });
+        return { success: true, applied: changes.length };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+
+// ==========================================
+// Settings Sync
+// ==========================================
+
+// Mirror synced keys in both directions. Local writes of other keys (usage
+// heartbeats, the sync state itself) never start a sync.
+chrome.storage.onChanged.addListener(async (changes, namespace) => {
+    if (namespace === 'local') {
+        const { syncSettings } = await chrome.storage.local.get(STORAGE_KEYS.SYNC_SETTINGS);
+        const settings = { ...DEFAULT_SYNC_SETTINGS, ...syncSettings };
+        if (!settings.enabled) return;
+
+        const syncedKeys = getSyncedKeys(settings);
+        const keys = Object.keys(getStorageChanges(changes)).filter(key => syncedKeys.includes(key));
+        if (keys.length) scheduleSettingsSync(keys);
+    } else if (namespace === 'sync') {
+        const keys = Object.keys(changes).map(getKeyFromSyncItem).filter(Boolean);
+        if (keys.length) scheduleSettingsSync([...new Set(keys)]);
+    }
+});
+
+// Handle sync status request (options page)
+async function handleGetSyncStatus() {
+    try {
+        const { syncSettings, syncState, syncConflicts = [] } = await chrome.storage.local.get([
+            STORAGE_KEYS.SYNC_SETTINGS,
+            STORAGE_KEYS.SYNC_STATE,
+            STORAGE_KEYS.SYNC_CONFLICTS
+        ]);
+        const bytesInUse = await chrome.storage.sync.getBytesInUse(null);
+
+        return {
+            success: true,
+            settings: { ...DEFAULT_SYNC_SETTINGS, ...syncSettings },
+            lastSyncAt: syncState?.lastSyncAt || null,
+            lastError: syncState?.lastError || null,
+            conflicts: syncConflicts,
+            bytesInUse,
+            quotaBytes: chrome.storage.sync.QUOTA_BYTES
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Handle sync settings change (options page). Turning sync on, or adding
+// secrets/usage, merges every synced key right away.
+async function handleSetSyncSettings({ enabled, includeSecrets, includeUsage }) {
+    try {
+        const settings = {
+            enabled: !!enabled,
+            includeSecrets: !!includeSecrets,
+            includeUsage: !!includeUsage
+        };
+        await chrome.storage.local.set({ [STORAGE_KEYS.SYNC_SETTINGS]: settings });
+        addSecurityLog('sync_settings_changed', settings);
+
+        if (settings.enabled) {
+            await runSettingsSync();
+        }
+        return handleGetSyncStatus();
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
 // Listener for settings changes from Options/Popup
 chrome.storage.onChanged.addListener((changes, namespace) => {
     if (namespace === 'local') {
         if (changes[STORAGE_KEYS.TIME_GUARDIAN_ENABLED]) {
             timeGuardianEnabled = changes[STORAGE_KEYS.TIME_GUARDIAN_ENABLED].newValue;
-            if (timeGuardianEnabled) startGuardianTracking();
-            else stopGuardianTracking();
+            if (timeGuardianEnabled) injectGuardianScripts();
+            refreshGuardianTracking();
         }
         if (changes[STORAGE_KEYS.GUARDIAN_LIMITS]) {
             guardianLimits = changes[STORAGE_KEYS.GUARDIAN_LIMITS].newValue;
+            scheduleLimitCheck(); // limits, budgets or rollover may have changed
+        }
+        if (changes[STORAGE_KEYS.GUARDIAN_AUDIBLE_POLICY]) {
+            audiblePolicy = changes[STORAGE_KEYS.GUARDIAN_AUDIBLE_POLICY].newValue || AUDIBLE_TAB_POLICIES.TRACK;
+            refreshGuardianTracking();
+        }
+        if (changes[STORAGE_KEYS.DISTRACTING_SITES]) {
+            const { oldValue = DISTRACTING_SITES, newValue = DISTRACTING_SITES } = changes[STORAGE_KEYS.DISTRACTING_SITES];
+            registerGuardianScripts(newValue);
+            if (timeGuardianEnabled) {
+                injectGuardianScripts(newValue.filter(site => !oldValue.includes(site)));
+            }
+            refreshGuardianTracking();
+        }
+        // Usage pulled in by settings sync (our own writes carry the same object)
+        if (changes[STORAGE_KEYS.DAILY_USAGE]) {
+            dailyUsage = changes[STORAGE_KEYS.DAILY_USAGE].newValue || {};
+        }
+        if (changes[STORAGE_KEYS.DAILY_AUDIO_USAGE]) {
+            dailyAudioUsage = changes[STORAGE_KEYS.DAILY_AUDIO_USAGE].newValue || {};
+        }
+        if (changes[STORAGE_KEYS.FOCUS_SCHEDULES]) {
+            enforceFocusSchedules();
         }
     }
 });
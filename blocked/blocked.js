@@ -0,0 +1,335 @@
+// blocked.js - Page shown in place of a site blocked by a focus session
+// QUOTES and STORAGE_KEYS are loaded from config.js
+
+// The blocking rule appends the original URL last and unencoded,
+// so everything after "&url=" belongs to it, including a #fragment
+// that ends up in location.hash
+function parseBlockedParams() {
+    const search = location.search + location.hash;
+    const urlIndex = search.indexOf('&url=');
+    const params = new URLSearchParams(urlIndex === -1 ? search : search.slice(0, urlIndex));
+
+    return {
+        rule: params.get('rule') || 'Focus session',
+        source: params.get('source'),
+        url: urlIndex === -1 ? '' : search.slice(urlIndex + '&url='.length)
+    };
+}
+
+const { rule: blockedRule, source: blockSource, url: originalUrl } = parseBlockedParams();
+
+// DOM elements
+const blockedUrlEl = document.getElementById('blocked-url');
+const blockedRuleEl = document.getElementById('blocked-rule');
+const timeLeftEl = document.getElementById('time-left');
+const quoteEl = document.getElementById('blocked-quote');
+const reopenBtn = document.getElementById('reopen-btn');
+const noteBtn = document.getElementById('note-btn');
+const unlockBtn = document.getElementById('unlock-btn');
+const notePanel = document.getElementById('note-panel');
+const noteInput = document.getElementById('note-input');
+const saveNoteBtn = document.getElementById('save-note-btn');
+const noteStatus = document.getElementById('note-status');
+const unlockPanel = document.getElementById('unlock-panel');
+const unlockInput = document.getElementById('unlock-input');
+const confirmUnlockBtn = document.getElementById('confirm-unlock-btn');
+const unlockError = document.getElementById('unlock-error');
+const cooldownPanel = document.getElementById('cooldown-panel');
+const cooldownStatus = document.getElementById('cooldown-status');
+const cooldownTimer = document.getElementById('cooldown-timer');
+const cooldownActionBtn = document.getElementById('cooldown-action');
+const cooldownCancelBtn = document.getElementById('cooldown-cancel');
+const cooldownError = document.getElementById('cooldown-error');
+const cooldownUseCodeLink = document.getElementById('cooldown-use-code');
+const typingPanel = document.getElementById('typing-panel');
+const typingPassage = document.getElementById('typing-passage');
+const typingInput = document.getElementById('typing-input');
+const typingSubmitBtn = document.getElementById('typing-submit');
+const typingError = document.getElementById('typing-error');
+const typingUseCodeLink = document.getElementById('typing-use-code');
+
+let sessionEndTime = null;
+let countdownInterval = null;
+let cooldownState = null;
+let cooldownInterval = null;
+
+function isReopenableUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+function formatCountdown(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const s = totalSeconds % 60;
+
+    return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
+}
+
+function updateCountdown() {
+    const remaining = sessionEndTime ? sessionEndTime - Date.now() : 0;
+
+    if (remaining > 0) {
+        timeLeftEl.textContent = formatCountdown(remaining);
+        reopenBtn.disabled = true;
+        reopenBtn.textContent = 'Reopen after session';
+        unlockBtn.classList.remove('hidden');
+        return;
+    }
+
+    clearInterval(countdownInterval);
+    countdownInterval = null;
+    timeLeftEl.textContent = 'Session over';
+    reopenBtn.disabled = !isReopenableUrl(originalUrl);
+    reopenBtn.textContent = 'Reopen page';
+    unlockBtn.classList.add('hidden');
+    hideUnlockPanels();
+}
+
+async function loadSessionState() {
+    const result = await readStorage(STORAGE_KEYS.SESSION_END_TIME);
+    sessionEndTime = result[STORAGE_KEYS.SESSION_END_TIME] || null;
+
+    if (countdownInterval) clearInterval(countdownInterval);
+    updateCountdown();
+    if (sessionEndTime && Date.now() < sessionEndTime) {
+        countdownInterval = setInterval(updateCountdown, 1000);
+    }
+}
+
+function saveNote() {
+    const note = noteInput.value.trim();
+    if (!note) return;
+
+    chrome.runtime.sendMessage({
+        type: 'SAVE_BLOCK_NOTE',
+        payload: { url: originalUrl, rule: blockedRule, note }
+    }, (response) => {
+        noteStatus.classList.remove('hidden', 'error-text');
+        if (response && response.success) {
+            noteStatus.textContent = 'Note saved.';
+            noteInput.value = '';
+        } else {
+            noteStatus.classList.add('error-text');
+            noteStatus.textContent = 'Failed to save note: ' + (response ? response.error : 'Unknown error');
+        }
+    });
+}
+
+// Emergency unlock follows the session's unlock method, with the same
+// messages as the popup
+
+function hideUnlockPanels() {
+    [unlockPanel, cooldownPanel, typingPanel].forEach(panel => panel.classList.add('hidden'));
+    clearInterval(cooldownInterval);
+    cooldownInterval = null;
+}
+
+// Show the panel for the session's unlock method, or close the open one
+function toggleUnlockPanel() {
+    const isOpen = [unlockPanel, cooldownPanel, typingPanel].some(panel => !panel.classList.contains('hidden'));
+    hideUnlockPanels();
+    if (isOpen) return;
+
+    chrome.runtime.sendMessage({ type: 'GET_UNLOCK_STATE' }, (response) => {
+        if (response && response.success && response.method === 'cooldown') {
+            openCooldownPanel(response);
+        } else if (response && response.success && response.method === 'typing') {
+            openTypingPanel();
+        } else {
+            openCodePanel();
+        }
+    });
+}
+
+// Session password, or the master code for any method
+function openCodePanel() {
+    hideUnlockPanels();
+    unlockInput.value = '';
+    unlockError.classList.add('hidden');
+    unlockPanel.classList.remove('hidden');
+    unlockInput.focus();
+}
+
+function emergencyUnlock() {
+    const password = unlockInput.value;
+    if (!password) return;
+
+    chrome.runtime.sendMessage({
+        type: 'EMERGENCY_UNLOCK',
+        payload: { password }
+    }, (response) => {
+        unlockInput.value = '';
+        if (response && response.success) {
+            unlockError.classList.add('hidden');
+            loadSessionState();
+        } else {
+            unlockError.textContent = response ? response.error : 'Unlock failed';
+            unlockError.classList.remove('hidden');
+        }
+    });
+}
+
+// Typing challenge: the passage comes from (and is checked by) the background
+function openTypingPanel() {
+    typingInput.value = '';
+    typingError.classList.add('hidden');
+    typingPanel.classList.remove('hidden');
+    loadTypingChallenge();
+}
+
+function loadTypingChallenge() {
+    typingPassage.textContent = 'Loading...';
+    chrome.runtime.sendMessage({ type: 'GET_TYPING_CHALLENGE' }, (response) => {
+        if (response && response.success) {
+            typingPassage.textContent = response.passage;
+            typingInput.focus();
+        } else {
+            typingPassage.textContent = '';
+            typingError.textContent = response ? response.error : 'Failed to load challenge';
+            typingError.classList.remove('hidden');
+        }
+    });
+}
+
+function submitTypingChallenge() {
+    chrome.runtime.sendMessage({
+        type: 'EMERGENCY_UNLOCK',
+        payload: { challengeResponse: typingInput.value }
+    }, (response) => {
+        if (response && response.success) {
+            loadSessionState();
+            return;
+        }
+
+        typingError.textContent = response ? response.error : 'Unlock failed';
+        typingError.classList.remove('hidden');
+        typingInput.value = '';
+        // A failed attempt discards the passage; fetch the new one
+        loadTypingChallenge();
+    });
+}
+
+// Cooldown unlock: request -> wait -> confirm (cancel resets)
+function openCooldownPanel(state) {
+    cooldownState = state;
+    cooldownError.classList.add('hidden');
+    cooldownPanel.classList.remove('hidden');
+
+    renderCooldown();
+    clearInterval(cooldownInterval);
+    cooldownInterval = setInterval(renderCooldown, 1000);
+}
+
+function renderCooldown() {
+    const { pending, cooldownMinutes, confirmWindowMs } = cooldownState;
+    const now = Date.now();
+
+    if (!pending || now > pending.readyAt + confirmWindowMs) {
+        cooldownState.pending = null;
+        cooldownStatus.textContent = `Unlocking requires waiting ${cooldownMinutes} minutes, then confirming.`;
+        cooldownTimer.classList.add('hidden');
+        cooldownActionBtn.textContent = 'Request unlock';
+        cooldownActionBtn.disabled = false;
+        cooldownCancelBtn.classList.add('hidden');
+        return;
+    }
+
+    cooldownTimer.classList.remove('hidden');
+    cooldownCancelBtn.classList.remove('hidden');
+
+    if (now < pending.readyAt) {
+        cooldownStatus.textContent = 'Unlock requested. You can confirm once the wait is over.';
+        cooldownTimer.textContent = formatCountdown(pending.readyAt - now);
+        cooldownActionBtn.textContent = 'Waiting...';
+        cooldownActionBtn.disabled = true;
+    } else {
+        cooldownStatus.textContent = 'Cooldown complete. Confirm before the request expires.';
+        cooldownTimer.textContent = formatCountdown(pending.readyAt + confirmWindowMs - now);
+        cooldownActionBtn.textContent = 'Confirm unlock';
+        cooldownActionBtn.disabled = false;
+    }
+}
+
+function handleCooldownAction() {
+    const type = cooldownState.pending ? 'CONFIRM_COOLDOWN_UNLOCK' : 'REQUEST_COOLDOWN_UNLOCK';
+
+    chrome.runtime.sendMessage({ type }, (response) => {
+        if (!response || !response.success) {
+            cooldownError.textContent = response ? response.error : 'Unlock failed';
+            cooldownError.classList.remove('hidden');
+            return;
+        }
+
+        cooldownError.classList.add('hidden');
+        if (type === 'CONFIRM_COOLDOWN_UNLOCK') {
+            loadSessionState();
+        } else {
+            cooldownState.pending = response.pending;
+            renderCooldown();
+        }
+    });
+}
+
+function cancelCooldownUnlock() {
+    chrome.runtime.sendMessage({ type: 'CANCEL_COOLDOWN_UNLOCK' }, () => {
+        cooldownState.pending = null;
+        renderCooldown();
+    });
+}
+
+function init() {
+    blockedUrlEl.textContent = originalUrl;
+    blockedRuleEl.textContent = blockedRule;
+    quoteEl.textContent = `"${QUOTES[Math.floor(Math.random() * QUOTES.length)]}"`;
+
+    reopenBtn.addEventListener('click', () => {
+        if (isReopenableUrl(originalUrl)) {
+            location.replace(originalUrl);
+        }
+    });
+    noteBtn.addEventListener('click', () => {
+        notePanel.classList.toggle('hidden');
+        noteInput.focus();
+    });
+    unlockBtn.addEventListener('click', toggleUnlockPanel);
+    saveNoteBtn.addEventListener('click', saveNote);
+    confirmUnlockBtn.addEventListener('click', emergencyUnlock);
+    unlockInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') emergencyUnlock();
+    });
+    cooldownActionBtn.addEventListener('click', handleCooldownAction);
+    cooldownCancelBtn.addEventListener('click', cancelCooldownUnlock);
+    typingSubmitBtn.addEventListener('click', submitTypingChallenge);
+    // The passage must be typed, not pasted
+    ['paste', 'drop'].forEach(eventName => {
+        typingInput.addEventListener(eventName, (e) => e.preventDefault());
+    });
+    [cooldownUseCodeLink, typingUseCodeLink].forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            openCodePanel();
+        });
+    });
+
+    // Session may end (alarm, popup unlock) while this page is open
+    chrome.storage.onChanged.addListener((changes) => {
+        if (getStorageChanges(changes)[STORAGE_KEYS.SESSION_END_TIME]) {
+            loadSessionState();
+        }
+    });
+
+    loadSessionState();
+
+    // Count this attempt toward the risk score. Tabs that were already open
+    // when the session started (source=open-tab) are not attempts.
+    if (originalUrl && blockSource !== 'open-tab') {
+        chrome.runtime.sendMessage({ type: 'REPORT_BLOCKED_ATTEMPT', payload: { url: originalUrl } });
+    }
+}
+
+init();
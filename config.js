@@ -2,8 +2,10 @@
 // This file is shared across all extension components
 
 /**
- * Core distracting sites list
+ * Default distracting sites list
  * Used by: background.js (Guardian tracking), manifest.json (content scripts)
+ * Users can edit the list in the options Guardian tab (STORAGE_KEYS.DISTRACTING_SITES);
+ * sites not listed here get guardian.js through a dynamic content script.
  */
 const DISTRACTING_SITES = [
     'facebook.com',
@@ -78,110 +80,484 @@ const SITE_CONFIGS = {
 
 /**
  * Default Time Guardian limits
+ * Stored limits: { global, overrides: { domain: seconds }, dayLimits: [...],
+ * weeklyBudgets: [...], rollover }
+ * dayLimits entries { id, name, days: [0-6, Sunday = 0], global } replace the
+ * global limit on their days; per-domain overrides still apply.
+ * weeklyBudgets and rollover are described in core/weeklyBudget.js.
  */
 const DEFAULT_GLOBAL_LIMIT = 600; // 10 minutes in seconds
 
+const DEFAULT_GUARDIAN_ROLLOVER = { enabled: false, cap: 1800 }; // cap in seconds
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
 /**
  * Time-based schedule presets for Guardian limits
- * Format: { startHour, endHour, limitMultiplier }
+ * Format: { days, start: 'HH:MM', end: 'HH:MM', limitMultiplier }
+ * A window ending before it starts runs past midnight; days are the days it starts on.
  */
 const DEFAULT_TIME_SCHEDULES = {
     workHours: {
-        name: 'Work Hours (9 AM - 5 PM)',
-        startHour: 9,
-        endHour: 17,
+        name: 'Work Hours (Mon-Fri 9 AM - 5 PM)',
+        days: [1, 2, 3, 4, 5],
+        start: '09:00',
+        end: '17:00',
         limitMultiplier: 0.5 // 50% of normal limit during work hours
     },
     evening: {
         name: 'Evening (5 PM - 10 PM)',
-        startHour: 17,
-        endHour: 22,
+        days: ALL_DAYS,
+        start: '17:00',
+        end: '22:00',
         limitMultiplier: 1.0 // Normal limit
     },
     lateNight: {
-        name: 'Late Night (10 PM - 9 AM)',
-        startHour: 22,
-        endHour: 9,
+        name: 'Late Night (10:30 PM - 9 AM)',
+        days: ALL_DAYS,
+        start: '22:30',
+        end: '09:00',
         limitMultiplier: 0.3 // Very strict late at night
     }
 };
 
+/**
+ * Motivational quotes
+ * Used by: content/guardian.js (limit overlay), blocked/blocked.js (blocked page)
+ */
+const QUOTES = [
+    "The bitterest tears shed over graves are for words left unsaid and deeds left undone.",
+    "Lost time is never found again.",
+    "Your time is limited, so don't waste it living someone else's life.",
+    "You may delay, but time will not.",
+    "Time is the most valuable thing a man can spend.",
+    "The bad news is time flies. The good news is you're the pilot.",
+    "Don't be fooled by the calendar. There are only as many days in the year as you make use of.",
+    "Determine never to be idle. No person will have occasion to complain of the want of time who never loses any.",
+    "Time is what we want most, but what we use worst.",
+    "A man who dares to waste one hour of time has not discovered the value of life.",
+    "Procrastination is the thief of time.",
+    "Time stays long enough for anyone who will use it.",
+    "It is not that we have a short time to live, but that we waste a lot of it.",
+    "Dost thou love life? Then do not squander time, for that's the stuff life is made of.",
+    "Regret for wasted time is more wasted time."
+];
+
+/**
+ * Focus session blocking modes
+ * - blocklist: block the listed sites
+ * - allowlist: block every site except the listed ones
+ */
+const SESSION_MODES = {
+    BLOCKLIST: 'blocklist',
+    ALLOWLIST: 'allowlist'
+};
+
+/**
+ * Session unlock methods
+ * - password: session password (or master code) ends the session immediately
+ * - cooldown: unlock is requested, then confirmed after a waiting period
+ * - typing: a random passage must be retyped exactly
+ */
+const UNLOCK_METHODS = {
+    PASSWORD: 'password',
+    COOLDOWN: 'cooldown',
+    TYPING: 'typing'
+};
+
+/**
+ * What happens to already-open blocked tabs when a session starts
+ * - redirect: the tab is replaced with the blocked page
+ * - park: the tab is discarded and remembered for one-click restore
+ * - close: the tab is closed
+ */
+const OPEN_TAB_ACTIONS = {
+    REDIRECT: 'redirect',
+    PARK: 'park',
+    CLOSE: 'close'
+};
+
+/**
+ * Time Guardian only charges attention time: the browser window is focused,
+ * the tab is visible and the user has not been idle this long (seconds)
+ */
+const GUARDIAN_IDLE_SECONDS = 60;
+
+/**
+ * What happens to time on audible distracting tabs the user is not looking at
+ * - ignore: not recorded
+ * - track: recorded as background audio, not counted against limits
+ * - charge: counted against the site's limit like attention time
+ */
+const AUDIBLE_TAB_POLICIES = {
+    IGNORE: 'ignore',
+    TRACK: 'track',
+    CHARGE: 'charge'
+};
+
+/**
+ * Search check during focus sessions
+ * - enabled: off until the user turns it on in the options page
+ * - categories: distraction term lists (data/distractionTerms.json) checked
+ * - logQueries: store the search text in the audit log, not just the category
+ */
+const DEFAULT_SEARCH_CHECK = {
+    enabled: false,
+    categories: ['sports', 'celebrity', 'shopping', 'entertainment'],
+    logQueries: false
+};
+
+const DEFAULT_UNLOCK_COOLDOWN_MINUTES = 15;
+const DEFAULT_TYPING_CHALLENGE_LENGTH = 300; // characters
+
 /**
  * Storage keys constants
  */
 const STORAGE_KEYS = {
-    // Session keys
+    // Session keys (fields of the session namespace, see STORAGE_NAMESPACES)
     SESSION_END_TIME: 'sessionEndTime',
     PASSWORD_HASH: 'passwordHash',
     PASSWORD_SALT: 'passwordSalt',
     BLOCKED_SITES: 'blockedSites',
     STRICT_MODE: 'strictMode',
-    SECURITY_LOGS: 'securityLogs',
     FAILED_UNLOCK_ATTEMPTS: 'failedUnlockAttempts',
     MAX_ATTEMPTS: 'maxAttempts',
+    SESSION_ID: 'sessionId',
+    SESSION_PROFILE_ID: 'sessionProfileId',
+    UNLOCK_METHOD: 'unlockMethod',
+    UNLOCK_COOLDOWN_MINUTES: 'unlockCooldownMinutes',
+    PENDING_UNLOCK: 'pendingUnlock',
+    TYPING_CHALLENGE_LENGTH: 'typingChallengeLength',
+    TYPING_CHALLENGE: 'typingChallenge',
+    SESSION_SCHEDULE_ID: 'sessionScheduleId',
+    POMODORO_STATE: 'pomodoroState',
+    SESSION_MODE: 'sessionMode',
+    ALLOWED_SITES: 'allowedSites',
+    SESSION_START_TIME: 'sessionStartTime',
+    SESSION_BLOCKED_ATTEMPTS: 'sessionBlockedAttempts',
+    SESSION_ALLOWANCES: 'sessionAllowances',
+    SESSION_INTENT: 'sessionIntent',
+    SESSION_TOTAL_DURATION: 'sessionTotalDuration',
+    BLOCKED_KEYWORDS: 'blockedKeywords',
+    BLOCKED_TERMS: 'blockedTerms', // whole-word terms from the distraction lists
+
+    // Session records, kept after the session ends
+    SECURITY_LOGS: 'securityLogs',
+    BLOCKED_ATTEMPTS: 'blockedAttemptCounts', // see core/blockedAttempts.js
+    BLOCK_NOTES: 'blockNotes',
+    SESSION_HISTORY: 'sessionHistory',
+    PARKED_TABS: 'parkedTabs',
+
+    // Focus schedule keys
+    FOCUS_SCHEDULES: 'focusSchedules',
+    SCHEDULE_SUPPRESSED_UNTIL: 'scheduleSuppressedUntil',
 
     // Time Guardian keys
     TIME_GUARDIAN_ENABLED: 'timeGuardianEnabled',
     DAILY_USAGE: 'dailyUsage',
+    DAILY_AUDIO_USAGE: 'dailyAudioUsage', // { domain: seconds } of unattended background audio
+    GUARDIAN_AUDIBLE_POLICY: 'guardianAudiblePolicy',
     GUARDIAN_LIMITS: 'timeGuardianLimits',
     LAST_RESET_DATE: 'lastResetDate',
     GUARDIAN_PASSWORD_HASH: 'guardianPasswordHash',
     GUARDIAN_PASSWORD_SALT: 'guardianPasswordSalt',
     TIME_SCHEDULES: 'timeSchedules',
     TIME_SCHEDULES_ENABLED: 'timeSchedulesEnabled',
+    GUARDIAN_GRACE: 'guardianGrace', // { domain: grace period end timestamp }
+    GUARDIAN_OPEN_INTERVALS: 'guardianOpenIntervals', // see core/usageAccounting.js
+    USAGE_HISTORY: 'guardianUsageHistory', // see core/usageHistory.js
 
-    // Options keys
+    // Options keys (fields of the options namespace, see STORAGE_NAMESPACES)
     OPTIONS_BLOCKED_SITES: 'optionsBlockedSites',
+    OPTIONS_ALLOWED_SITES: 'optionsAllowedSites',
     OPTIONS_FOCUS_DURATION: 'optionsFocusDuration',
     OPTIONS_STRICT_MODE: 'optionsStrictMode',
     OPTIONS_EMERGENCY_CODE: 'optionsEmergencyCode',
-    OPTIONS_MAX_ATTEMPTS: 'optionsMaxAttempts'
+    OPTIONS_EMERGENCY_CODE_SALT: 'optionsEmergencyCodeSalt',
+    OPTIONS_MAX_ATTEMPTS: 'optionsMaxAttempts',
+    OPTIONS_PROFILES: 'optionsProfiles',
+    OPTIONS_UNLOCK_METHOD: 'optionsUnlockMethod',
+    OPTIONS_UNLOCK_COOLDOWN: 'optionsUnlockCooldownMinutes',
+    OPTIONS_TYPING_CHALLENGE_LENGTH: 'optionsTypingChallengeLength',
+    OPTIONS_OPEN_TAB_ACTION: 'optionsOpenTabAction',
+    OPTIONS_SITE_ALLOWANCES: 'optionsSiteAllowances',
+    OPTIONS_BLOCKED_KEYWORDS: 'optionsBlockedKeywords',
+    OPTIONS_KEYWORD_LISTS: 'optionsKeywordLists', // distraction list categories blocked as keywords
+    OPTIONS_SEARCH_CHECK: 'optionsSearchCheck',
+
+    // Settings sync keys (local only, never synced themselves)
+    SYNC_SETTINGS: 'syncSettings',
+    SYNC_STATE: 'syncState',
+    SYNC_CONFLICTS: 'syncConflicts',
+
+    // Storage migration keys
+    SCHEMA_VERSION: 'schemaVersion',
+    MIGRATION_LOG: 'migrationLog',
+
+    // Time Guardian tracked sites (unset = DISTRACTING_SITES)
+    DISTRACTING_SITES: 'distractingSites'
 };
 
 /**
- * Helper: Find matching domain from DISTRACTING_SITES
+ * Storage namespaces: keys stored as fields of one object per namespace
+ * (schema version 3, see core/migrations.js) instead of top-level items.
+ * Code keeps using the STORAGE_KEYS names through readStorage, writeStorage,
+ * removeStorage and getStorageChanges, which map them to
+ *   session: { endTime, passwordHash, ... }
+ *   options: { blockedSites, emergencyCode, ... }
+ * Format: { <namespace>: { <storage key>: <field> } }
  */
-function findMatchingDomain(hostname) {
-    return DISTRACTING_SITES.find(site => hostname.endsWith(site)) || hostname;
+const STORAGE_NAMESPACES = {
+    session: {
+        [STORAGE_KEYS.SESSION_END_TIME]: 'endTime',
+        [STORAGE_KEYS.PASSWORD_HASH]: 'passwordHash',
+        [STORAGE_KEYS.PASSWORD_SALT]: 'passwordSalt',
+        [STORAGE_KEYS.BLOCKED_SITES]: 'blockedSites',
+        [STORAGE_KEYS.STRICT_MODE]: 'strictMode',
+        [STORAGE_KEYS.FAILED_UNLOCK_ATTEMPTS]: 'failedUnlockAttempts',
+        [STORAGE_KEYS.MAX_ATTEMPTS]: 'maxAttempts',
+        [STORAGE_KEYS.SESSION_ID]: 'id',
+        [STORAGE_KEYS.SESSION_PROFILE_ID]: 'profileId',
+        [STORAGE_KEYS.UNLOCK_METHOD]: 'unlockMethod',
+        [STORAGE_KEYS.UNLOCK_COOLDOWN_MINUTES]: 'unlockCooldownMinutes',
+        [STORAGE_KEYS.PENDING_UNLOCK]: 'pendingUnlock',
+        [STORAGE_KEYS.TYPING_CHALLENGE_LENGTH]: 'typingChallengeLength',
+        [STORAGE_KEYS.TYPING_CHALLENGE]: 'typingChallenge',
+        [STORAGE_KEYS.SESSION_SCHEDULE_ID]: 'scheduleId',
+        [STORAGE_KEYS.POMODORO_STATE]: 'pomodoroState',
+        [STORAGE_KEYS.SESSION_MODE]: 'mode',
+        [STORAGE_KEYS.ALLOWED_SITES]: 'allowedSites',
+        [STORAGE_KEYS.SESSION_START_TIME]: 'startTime',
+        [STORAGE_KEYS.SESSION_BLOCKED_ATTEMPTS]: 'blockedAttempts',
+        [STORAGE_KEYS.SESSION_ALLOWANCES]: 'allowances',
+        [STORAGE_KEYS.SESSION_INTENT]: 'intent',
+        [STORAGE_KEYS.SESSION_TOTAL_DURATION]: 'totalDuration',
+        [STORAGE_KEYS.BLOCKED_KEYWORDS]: 'blockedKeywords',
+        [STORAGE_KEYS.BLOCKED_TERMS]: 'blockedTerms'
+    },
+    options: {
+        [STORAGE_KEYS.OPTIONS_BLOCKED_SITES]: 'blockedSites',
+        [STORAGE_KEYS.OPTIONS_ALLOWED_SITES]: 'allowedSites',
+        [STORAGE_KEYS.OPTIONS_FOCUS_DURATION]: 'focusDuration',
+        [STORAGE_KEYS.OPTIONS_STRICT_MODE]: 'strictMode',
+        [STORAGE_KEYS.OPTIONS_EMERGENCY_CODE]: 'emergencyCode',
+        [STORAGE_KEYS.OPTIONS_EMERGENCY_CODE_SALT]: 'emergencyCodeSalt',
+        [STORAGE_KEYS.OPTIONS_MAX_ATTEMPTS]: 'maxAttempts',
+        [STORAGE_KEYS.OPTIONS_PROFILES]: 'profiles',
+        [STORAGE_KEYS.OPTIONS_UNLOCK_METHOD]: 'unlockMethod',
+        [STORAGE_KEYS.OPTIONS_UNLOCK_COOLDOWN]: 'unlockCooldownMinutes',
+        [STORAGE_KEYS.OPTIONS_TYPING_CHALLENGE_LENGTH]: 'typingChallengeLength',
+        [STORAGE_KEYS.OPTIONS_OPEN_TAB_ACTION]: 'openTabAction',
+        [STORAGE_KEYS.OPTIONS_SITE_ALLOWANCES]: 'siteAllowances',
+        [STORAGE_KEYS.OPTIONS_BLOCKED_KEYWORDS]: 'blockedKeywords',
+        [STORAGE_KEYS.OPTIONS_KEYWORD_LISTS]: 'keywordLists',
+        [STORAGE_KEYS.OPTIONS_SEARCH_CHECK]: 'searchCheck'
+    }
+};
+
+/**
+ * Helper: Namespace and field a storage key is stored under
+ * Returns null for keys stored as top-level items
+ */
+function getStorageLocation(key) {
+    const namespace = Object.keys(STORAGE_NAMESPACES).find(name => key in STORAGE_NAMESPACES[name]);
+    return namespace ? { namespace, field: STORAGE_NAMESPACES[namespace][key] } : null;
 }
 
 /**
- * Helper: Check if site is in distracting sites list
+ * Helper: chrome.storage.local.get by STORAGE_KEYS names
+ * Returns { key: value } like chrome.storage.local.get, for namespaced keys
+ * too; null reads everything. A field not yet moved into its namespace (the
+ * migration runs after the worker starts) is read from its old top-level key.
  */
-function isDistractingSite(hostname) {
-    return DISTRACTING_SITES.some(site => hostname.endsWith(site));
+async function readStorage(keys) {
+    const stored = await chrome.storage.local.get(keys === null ? null : [
+        ...new Set([].concat(keys).flatMap(key => {
+            const location = getStorageLocation(key);
+            return location ? [location.namespace, key] : [key];
+        }))
+    ]);
+
+    const result = {};
+    Object.entries(stored).forEach(([key, value]) => {
+        if (!(key in STORAGE_NAMESPACES)) result[key] = value;
+    });
+    Object.entries(STORAGE_NAMESPACES).forEach(([namespace, fields]) => {
+        Object.entries(fields).forEach(([key, field]) => {
+            if (stored[namespace] && field in stored[namespace]) result[key] = stored[namespace][field];
+        });
+    });
+    if (keys === null) return result;
+
+    return Object.fromEntries([].concat(keys).filter(key => key in result).map(key => [key, result[key]]));
 }
 
+// Namespace objects are read, changed and written back, so writes from one
+// context are chained to not overwrite each other's fields
+let storageWriteQueue = Promise.resolve();
+
 /**
- * Helper: Get current time schedule multiplier
- * Returns the limit multiplier based on current time
+ * Helper: Apply a change to the namespace objects and top-level items
+ * update(namespaces, items) edits copies of the stored namespaces in place
+ * and returns { set, remove } for the top-level items
  */
-function getCurrentScheduleMultiplier(schedules = null) {
-    if (!schedules || schedules.length === 0) {
-        return 1.0; // No schedule, use default multiplier
-    }
+function updateStorage(namespaceNames, update) {
+    const run = storageWriteQueue.then(async () => {
+        const stored = namespaceNames.length ? await chrome.storage.local.get(namespaceNames) : {};
+        const namespaces = Object.fromEntries(namespaceNames.map(name => [name, { ...stored[name] }]));
+        const { set, remove } = update(namespaces);
 
-    const currentHour = new Date().getHours();
-
-    // Find matching schedule
-    for (const schedule of schedules) {
-        if (schedule.enabled) {
-            // Handle schedules that span midnight
-            if (schedule.startHour <= schedule.endHour) {
-                // Normal schedule (e.g., 9-17)
-                if (currentHour >= schedule.startHour && currentHour < schedule.endHour) {
-                    return schedule.limitMultiplier;
-                }
+        await chrome.storage.local.set({ ...set, ...namespaces });
+        if (remove.length) await chrome.storage.local.remove(remove);
+    });
+    storageWriteQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Helper: chrome.storage.local.set by STORAGE_KEYS names
+ * Namespaced keys are written as fields of their namespace in the same call
+ */
+function writeStorage(values) {
+    const namespaceNames = [...new Set(Object.keys(values).map(getStorageLocation).filter(Boolean).map(location => location.namespace))];
+    return updateStorage(namespaceNames, (namespaces) => {
+        const set = {};
+        Object.entries(values).forEach(([key, value]) => {
+            const location = getStorageLocation(key);
+            if (location) {
+                namespaces[location.namespace][location.field] = value;
             } else {
-                // Spans midnight (e.g., 22-9)
-                if (currentHour >= schedule.startHour || currentHour < schedule.endHour) {
-                    return schedule.limitMultiplier;
-                }
+                set[key] = value;
             }
+        });
+        return { set, remove: [] };
+    });
+}
+
+/**
+ * Helper: chrome.storage.local.remove by STORAGE_KEYS names
+ * Namespaced keys lose their field and any old top-level key left behind
+ */
+function removeStorage(keys) {
+    const list = [].concat(keys);
+    const namespaceNames = [...new Set(list.map(getStorageLocation).filter(Boolean).map(location => location.namespace))];
+    return updateStorage(namespaceNames, (namespaces) => {
+        list.forEach(key => {
+            const location = getStorageLocation(key);
+            if (location) delete namespaces[location.namespace][location.field];
+        });
+        return { set: {}, remove: list };
+    });
+}
+
+/**
+ * Helper: chrome.storage.onChanged changes by STORAGE_KEYS names
+ * A namespace change is split into { oldValue, newValue } per field that
+ * actually changed; other items are passed through
+ */
+function getStorageChanges(changes) {
+    const result = {};
+    Object.entries(changes).forEach(([key, change]) => {
+        const fields = STORAGE_NAMESPACES[key];
+        if (!fields) {
+            result[key] = change;
+            return;
         }
+        Object.entries(fields).forEach(([fieldKey, field]) => {
+            const oldValue = change.oldValue?.[field];
+            const newValue = change.newValue?.[field];
+            if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+                result[fieldKey] = { oldValue, newValue };
+            }
+        });
+    });
+    return result;
+}
+
+/**
+ * Tracked sites as stored by the user, kept current by loadDistractingSites
+ * and a storage listener in every context that has chrome.storage
+ */
+let activeDistractingSites = DISTRACTING_SITES;
+
+/**
+ * Helper: Read the tracked sites from storage into the local copy
+ * Returns the list
+ */
+async function loadDistractingSites() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.DISTRACTING_SITES);
+    activeDistractingSites = result[STORAGE_KEYS.DISTRACTING_SITES] || DISTRACTING_SITES;
+    return activeDistractingSites;
+}
+
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+    loadDistractingSites().catch(() => {});
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+        if (namespace === 'local' && changes[STORAGE_KEYS.DISTRACTING_SITES]) {
+            activeDistractingSites = changes[STORAGE_KEYS.DISTRACTING_SITES].newValue || DISTRACTING_SITES;
+        }
+    });
+}
+
+/**
+ * Helper: Get the tracked sites
+ */
+function getDistractingSites() {
+    return activeDistractingSites;
+}
+
+/**
+ * Helper: Turn user input ("https://www.linkedin.com/feed") into a bare domain
+ * Returns null if it is not a domain
+ */
+function normalizeDistractingSite(raw) {
+    const host = String(raw || '').trim().toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .split(/[/?#:]/)[0]
+        .replace(/^www\./, '');
+    return /^([a-z0-9-]+\.)+[a-z]{2,}$/.test(host) ? host : null;
+}
+
+/**
+ * Helper: Find matching domain from the tracked sites
+ */
+function findMatchingDomain(hostname) {
+    return activeDistractingSites.find(site => hostname === site || hostname.endsWith('.' + site)) || hostname;
+}
+
+/**
+ * Helper: Check if site is in the tracked sites
+ */
+function isDistractingSite(hostname) {
+    return activeDistractingSites.some(site => hostname === site || hostname.endsWith('.' + site));
+}
+
+/**
+ * Helper: Bring a Guardian time schedule to the current format
+ * Schedules saved before day-of-week support have integer startHour/endHour
+ * and apply every day.
+ */
+function normalizeTimeSchedule(schedule) {
+    if (schedule.start !== undefined) {
+        return { ...schedule, days: schedule.days || ALL_DAYS };
     }
+    const { startHour = 0, endHour = 0, ...rest } = schedule;
+    const toTime = (hour) => `${String(hour).padStart(2, '0')}:00`;
+    return { ...rest, days: ALL_DAYS, start: toTime(startHour), end: toTime(endHour) };
+}
 
-    return 1.0; // No matching schedule, use default
+/**
+ * Helper: Get the daily Guardian limit for a domain, before schedules
+ * A per-domain override wins; otherwise the first day limit covering today,
+ * then the global limit. Returns seconds.
+ */
+function getGuardianBaseLimit(domain, limits, now = Date.now()) {
+    if (limits.overrides?.[domain] !== undefined) {
+        return limits.overrides[domain];
+    }
+    const weekday = new Date(now).getDay();
+    const dayLimit = (limits.dayLimits || []).find(rule => rule.days.includes(weekday));
+    return dayLimit ? dayLimit.global : limits.global;
 }
 
 // ==========================================
@@ -252,12 +628,20 @@ if (typeof module !== 'undefined' && module.exports) {
         STRICT_MODE_SITES,
         SITE_CONFIGS,
         DEFAULT_GLOBAL_LIMIT,
+        DEFAULT_GUARDIAN_ROLLOVER,
+        ALL_DAYS,
         DEFAULT_TIME_SCHEDULES,
         STORAGE_KEYS,
+        STORAGE_NAMESPACES,
         SECURITY_CONFIG,
         SECURITY_STORAGE_KEYS,
         findMatchingDomain,
         isDistractingSite,
-        getCurrentScheduleMultiplier
+        getDistractingSites,
+        normalizeDistractingSite,
+        getGuardianBaseLimit,
+        normalizeTimeSchedule,
+        getStorageLocation,
+        getStorageChanges
     };
 }
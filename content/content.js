@@ -51,7 +51,7 @@ function hideIndicator() {
 // Check if focus mode is active by querying storage
 async function checkFocusModeStatus() {
     try {
-        const result = await chrome.storage.local.get(['sessionEndTime']);
+        const result = await readStorage(['sessionEndTime']);
         const sessionEndTime = result.sessionEndTime;
 
         if (sessionEndTime && Date.now() < sessionEndTime) {
@@ -140,7 +140,7 @@ function setupObserver() {
 
 // Listen for storage changes to update focus mode status
 chrome.storage.onChanged.addListener((changes, namespace) => {
-    if (namespace === 'local' && changes.sessionEndTime) {
+    if (namespace === 'local' && getStorageChanges(changes).sessionEndTime) {
         checkFocusModeStatus().then(() => {
             if (isFocusModeActive) {
                 showIndicator();
@@ -1,27 +1,11 @@
 /* content/guardian.js - Time Guardian Overlay */
-// DISTRACTING_SITES and findMatchingDomain are loaded from config.js (included in manifest.json)
-
-const QUOTES = [
-    "The bitterest tears shed over graves are for words left unsaid and deeds left undone.",
-    "Lost time is never found again.",
-    "Your time is limited, so don't waste it living someone else's life.",
-    "You may delay, but time will not.",
-    "Time is the most valuable thing a man can spend.",
-    "The bad news is time flies. The good news is you're the pilot.",
-    "Don't be fooled by the calendar. There are only as many days in the year as you make use of.",
-    "Determine never to be idle. No person will have occasion to complain of the want of time who never loses any.",
-    "Time is what we want most, but what we use worst.",
-    "A man who dares to waste one hour of time has not discovered the value of life.",
-    "Procrastination is the thief of time.",
-    "Time stays long enough for anyone who will use it.",
-    "It is not that we have a short time to live, but that we waste a lot of it.",
-    "Dost thou love life? Then do not squander time, for that's the stuff life is made of.",
-    "Regret for wasted time is more wasted time."
-];
+// findMatchingDomain, loadDistractingSites and QUOTES are loaded from config.js
+// (included in manifest.json, or in the dynamic registration for user-added sites)
 
 let overlayElement = null;
 let currentLimit = 0;
 let currentTimeSpent = 0;
+let currentPeriod = 'day'; // 'week' when a weekly budget ran out
 let currentDomain = '';
 
 // Listen for messages
@@ -30,9 +14,10 @@ try {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         console.log('[Guardian Content] Message received:', message);
         if (message.type === 'GUARDIAN_SHOW_OVERLAY') {
-            const { timeSpent, limit, domain } = message.payload;
+            const { timeSpent, limit, period, domain } = message.payload;
             currentLimit = limit;
             currentTimeSpent = timeSpent;
+            currentPeriod = period;
             currentDomain = domain;
             showOverlay();
         }
@@ -41,14 +26,37 @@ try {
     // Context invalidated, ignore
 }
 
-// Check on load if we should block
-document.addEventListener('DOMContentLoaded', checkStatus);
-window.addEventListener('load', checkStatus);
+// Check on load if we should block, once the tracked-site list has been read
+const sitesLoaded = loadDistractingSites().catch(() => {});
+document.addEventListener('DOMContentLoaded', () => sitesLoaded.then(checkStatus));
+window.addEventListener('load', () => sitesLoaded.then(checkStatus));
 setInterval(checkStatus, 30000);
 
+// Time is only charged while the page is visible, so report changes
+document.addEventListener('visibilitychange', reportVisibility);
+reportVisibility();
+
+function reportVisibility() {
+    if (!chrome.runtime?.id) return; // Extension context invalidated
+
+    try {
+        chrome.runtime.sendMessage({
+            type: 'GUARDIAN_VISIBILITY',
+            payload: { visible: document.visibilityState === 'visible' }
+        }, () => {
+            if (chrome.runtime.lastError) return;
+        });
+    } catch (e) {
+        // Context invalidated
+    }
+}
+
 function checkStatus() {
     if (!chrome.runtime?.id) return; // Extension context invalidated
 
+    // Re-sent on each poll so a restarted service worker learns it again
+    reportVisibility();
+
     const domain = window.location.hostname.replace('www.', '');
 
     // We send current hostname to background for verification
@@ -64,6 +72,7 @@ function checkStatus() {
             if (response && response.blocked) {
                 currentLimit = response.limit;
                 currentTimeSpent = response.timeSpent;
+                currentPeriod = response.period;
                 currentDomain = findMatchingDomain(domain);
                 showOverlay();
             }
@@ -180,7 +189,7 @@ function showOverlay() {
             <div class="guardian-stats">
                 <span>Time Spent: <strong>${minutesSpent}m</strong></span>
                 <span class="divider">/</span>
-                <span>Daily Limit: <strong>${limitMinutes}m</strong></span>
+                <span>${currentPeriod === 'week' ? 'Weekly Budget' : 'Daily Limit'}: <strong>${limitMinutes}m</strong></span>
             </div>
             
             <div class="guardian-action">
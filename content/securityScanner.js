@@ -30,6 +30,9 @@
       /** @type {MutationObserver|null} */
       this.formObserver = null;
 
+      /** @type {MutationObserver|null} */
+      this.titleObserver = null;
+
       this.init();
     }
 
@@ -65,6 +68,9 @@
         // Collect page data
         const pageData = this.collectPageData();
 
+        // Focus-session keyword check on the title
+        this.watchTitle(pageData.title);
+
         // Send to background for analysis
         const response = await this.sendMessage('SECURITY_ANALYZE_PAGE', pageData);
 
@@ -306,6 +312,36 @@
       });
     }
 
+    /**
+     * Report the page title, and every later change to it, for the focus
+     * session keyword check. Single-page apps often set the real title late.
+     * @param {string} initialTitle - Title collected with the page data
+     */
+    watchTitle(initialTitle) {
+      if (this.titleObserver) return;
+
+      let lastTitle = initialTitle;
+      if (lastTitle) {
+        this.sendMessage('CHECK_PAGE_TITLE', { title: lastTitle });
+      }
+
+      this.titleObserver = new MutationObserver(() => {
+        if (document.title === lastTitle) return;
+        lastTitle = document.title;
+
+        clearTimeout(this._titleTimeout);
+        this._titleTimeout = setTimeout(() => {
+          this.sendMessage('CHECK_PAGE_TITLE', { title: lastTitle });
+        }, 500);
+      });
+
+      this.titleObserver.observe(document.head || document.documentElement, {
+        childList: true,
+        subtree: true,
+        characterData: true
+      });
+    }
+
     /**
      * Handle messages from background script
      * @param {Object} message - Message object
@@ -479,6 +515,10 @@
         this.formObserver.disconnect();
         this.formObserver = null;
       }
+      if (this.titleObserver) {
+        this.titleObserver.disconnect();
+        this.titleObserver = null;
+      }
       this.removeWarningOverlay();
       this.initialized = false;
     }
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Blocked Attempt Counts
+ * @description Per-domain counts of blocked navigation attempts. Kept apart
+ * from the activity log (STORAGE_KEYS.SECURITY_LOGS), which holds the last
+ * 100 events of every kind, so busy profiles keep their full counts.
+ *
+ * Stored shape, keyed by the start of the hour in milliseconds:
+ *   { "1792400400000": { "youtube.com": 3, "reddit.com": 1 }, ... }
+ * @version 1.0.0
+ */
+
+/**
+ * Hours older than this are dropped whenever an attempt is added
+ * @constant {number}
+ */
+const BLOCKED_ATTEMPTS_RETENTION_DAYS = 30;
+
+/**
+ * Width of one bucket
+ * @constant {number}
+ */
+const BLOCKED_ATTEMPT_BUCKET_MS = 60 * 60 * 1000;
+
+/**
+ * Count one attempt and drop hours past retention
+ * @param {Object} attempts - Stored counts
+ * @param {string} domain - Blocked domain
+ * @param {number} now - Time of the attempt
+ * @returns {Object} New counts
+ */
+function addBlockedAttempt(attempts, domain, now = Date.now()) {
+  const cutoff = now - BLOCKED_ATTEMPTS_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const next = {};
+  Object.entries(attempts).forEach(([bucket, counts]) => {
+    if (Number(bucket) + BLOCKED_ATTEMPT_BUCKET_MS > cutoff) next[bucket] = counts;
+  });
+
+  const bucket = String(Math.floor(now / BLOCKED_ATTEMPT_BUCKET_MS) * BLOCKED_ATTEMPT_BUCKET_MS);
+  const counts = { ...next[bucket] };
+  counts[domain] = (counts[domain] || 0) + 1;
+  next[bucket] = counts;
+  return next;
+}
+
+/**
+ * Attempts per domain since a time, to the hour
+ * @param {Object} attempts - Stored counts
+ * @param {number} since - Timestamp; hours overlapping it are included
+ * @returns {Object<string, number>} { domain: attempts }
+ */
+function getBlockedAttemptsByDomain(attempts, since = 0) {
+  const totals = {};
+  Object.entries(attempts).forEach(([bucket, counts]) => {
+    if (Number(bucket) + BLOCKED_ATTEMPT_BUCKET_MS <= since) return;
+    Object.entries(counts).forEach(([domain, count]) => {
+      totals[domain] = (totals[domain] || 0) + count;
+    });
+  });
+  return totals;
+}
+
+/**
+ * Total attempts since a time, to the hour
+ * @param {Object} attempts - Stored counts
+ * @param {number} since - Timestamp; hours overlapping it are included
+ * @returns {number} Attempts on all domains
+ */
+function countBlockedAttempts(attempts, since = 0) {
+  return Object.values(getBlockedAttemptsByDomain(attempts, since)).reduce((sum, count) => sum + count, 0);
+}
+
+// Export for use in other modules
+if (typeof self !== 'undefined') {
+  self.BLOCKED_ATTEMPTS_RETENTION_DAYS = BLOCKED_ATTEMPTS_RETENTION_DAYS;
+  self.addBlockedAttempt = addBlockedAttempt;
+  self.getBlockedAttemptsByDomain = getBlockedAttemptsByDomain;
+  self.countBlockedAttempts = countBlockedAttempts;
+}
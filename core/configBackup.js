@@ -0,0 +1,270 @@
+/**
+ * @fileoverview Configuration Backup
+ * @description Builds, validates and compares full configuration backups.
+ * A backup covers every feature's settings and, optionally, history:
+ *   { format, schemaVersion, exportDate, extensionVersion, includesHistory,
+ *     settings: { <storage key>: value } }
+ * Older files are upgraded to the current schema before validation; files
+ * from a newer schema are rejected. Settings marked protected need the Time
+ * Guardian password to be changed by a restore.
+ * @version 1.0.0
+ */
+
+const BACKUP_FORMAT = 'cognitive-defense-backup';
+
+/**
+ * Current backup schema. Bump it and add an entry to BACKUP_UPGRADES when the
+ * settings layout changes.
+ * @constant {number}
+ */
+const BACKUP_SCHEMA_VERSION = 1;
+
+/**
+ * Settings included in every backup
+ * type: expected JSON type; items: element type for arrays
+ * @constant {Array<Object>}
+ */
+const BACKUP_FIELDS = [
+  { key: STORAGE_KEYS.OPTIONS_BLOCKED_SITES, section: 'Blocklist', label: 'Blocked sites', type: 'array', items: 'string' },
+  { key: STORAGE_KEYS.OPTIONS_ALLOWED_SITES, section: 'Blocklist', label: 'Allowlist sites', type: 'array', items: 'string' },
+  { key: STORAGE_KEYS.OPTIONS_STRICT_MODE, section: 'Blocklist', label: 'Strict mode', type: 'boolean' },
+  { key: STORAGE_KEYS.OPTIONS_OPEN_TAB_ACTION, section: 'Blocklist', label: 'Already-open tabs', type: 'string' },
+  { key: STORAGE_KEYS.OPTIONS_SITE_ALLOWANCES, section: 'Blocklist', label: 'In-session allowances', type: 'object' },
+  { key: STORAGE_KEYS.OPTIONS_BLOCKED_KEYWORDS, section: 'Blocklist', label: 'Blocked keywords', type: 'array', items: 'string' },
+  { key: STORAGE_KEYS.OPTIONS_KEYWORD_LISTS, section: 'Blocklist', label: 'Term lists blocked as keywords', type: 'array', items: 'string' },
+  { key: STORAGE_KEYS.OPTIONS_SEARCH_CHECK, section: 'Blocklist', label: 'Search check', type: 'object' },
+  { key: STORAGE_KEYS.OPTIONS_FOCUS_DURATION, section: 'Focus', label: 'Default duration', type: 'number' },
+  { key: STORAGE_KEYS.OPTIONS_PROFILES, section: 'Focus', label: 'Profiles', type: 'array', items: 'object' },
+  { key: STORAGE_KEYS.FOCUS_SCHEDULES, section: 'Focus', label: 'Focus schedules', type: 'array', items: 'object' },
+  { key: STORAGE_KEYS.OPTIONS_MAX_ATTEMPTS, section: 'Emergency', label: 'Max unlock attempts', type: 'number' },
+  { key: STORAGE_KEYS.OPTIONS_UNLOCK_METHOD, section: 'Emergency', label: 'Unlock method', type: 'string' },
+  { key: STORAGE_KEYS.OPTIONS_UNLOCK_COOLDOWN, section: 'Emergency', label: 'Unlock cooldown', type: 'number' },
+  { key: STORAGE_KEYS.OPTIONS_TYPING_CHALLENGE_LENGTH, section: 'Emergency', label: 'Typing challenge length', type: 'number' },
+  { key: STORAGE_KEYS.OPTIONS_EMERGENCY_CODE, section: 'Emergency', label: 'Master unlock code', type: 'string', secret: true },
+  { key: STORAGE_KEYS.OPTIONS_EMERGENCY_CODE_SALT, section: 'Emergency', label: 'Master unlock code salt', type: 'string', secret: true },
+  { key: STORAGE_KEYS.TIME_GUARDIAN_ENABLED, section: 'Time Guardian', label: 'Enabled', type: 'boolean', protected: true },
+  { key: STORAGE_KEYS.GUARDIAN_LIMITS, section: 'Time Guardian', label: 'Limits and overrides', type: 'object', protected: true },
+  { key: STORAGE_KEYS.DISTRACTING_SITES, section: 'Time Guardian', label: 'Tracked sites', type: 'array', items: 'string', protected: true },
+  { key: STORAGE_KEYS.GUARDIAN_AUDIBLE_POLICY, section: 'Time Guardian', label: 'Background audio', type: 'string', protected: true },
+  { key: STORAGE_KEYS.TIME_SCHEDULES, section: 'Time Guardian', label: 'Time schedules', type: 'array', items: 'object', protected: true },
+  { key: STORAGE_KEYS.TIME_SCHEDULES_ENABLED, section: 'Time Guardian', label: 'Time schedules enabled', type: 'boolean', protected: true },
+  { key: STORAGE_KEYS.GUARDIAN_PASSWORD_HASH, section: 'Time Guardian', label: 'Password', type: 'string', secret: true, protected: true },
+  { key: STORAGE_KEYS.GUARDIAN_PASSWORD_SALT, section: 'Time Guardian', label: 'Password salt', type: 'string', secret: true, protected: true },
+  { key: SECURITY_STORAGE_KEYS.SETTINGS, section: 'Security', label: 'Security settings', type: 'object' },
+  { key: SECURITY_STORAGE_KEYS.WHITELIST, section: 'Security', label: 'Whitelist', type: 'array', items: 'string' }
+];
+
+/**
+ * History included only when requested
+ * @constant {Array<Object>}
+ */
+const BACKUP_HISTORY_FIELDS = [
+  { key: STORAGE_KEYS.SESSION_HISTORY, section: 'History', label: 'Session history', type: 'array', items: 'object' },
+  { key: STORAGE_KEYS.DAILY_USAGE, section: 'History', label: "Today's usage", type: 'object' },
+  { key: STORAGE_KEYS.DAILY_AUDIO_USAGE, section: 'History', label: "Today's background audio", type: 'object' },
+  { key: STORAGE_KEYS.LAST_RESET_DATE, section: 'History', label: 'Usage date', type: 'string' },
+  { key: STORAGE_KEYS.USAGE_HISTORY, section: 'History', label: 'Usage history', type: 'object' },
+  { key: STORAGE_KEYS.SECURITY_LOGS, section: 'History', label: 'Activity logs', type: 'array', items: 'object' },
+  { key: STORAGE_KEYS.BLOCKED_ATTEMPTS, section: 'History', label: 'Blocked attempt counts', type: 'object' },
+  { key: STORAGE_KEYS.BLOCK_NOTES, section: 'History', label: 'Blocked-page notes', type: 'array', items: 'object' }
+];
+
+/**
+ * Upgrades from each older schema version to the next one
+ * @constant {Object<number, Function>}
+ */
+const BACKUP_UPGRADES = {
+  // Version 0: Security Center "Export All Data" file
+  0: (data) => ({
+    format: BACKUP_FORMAT,
+    schemaVersion: 1,
+    exportDate: data.exportDate || null,
+    extensionVersion: null,
+    includesHistory: false,
+    settings: {
+      ...(data.settings ? { [SECURITY_STORAGE_KEYS.SETTINGS]: data.settings } : {}),
+      ...(data.whitelist ? { [SECURITY_STORAGE_KEYS.WHITELIST]: data.whitelist } : {})
+    }
+  })
+};
+
+/**
+ * Get the fields covered by a backup
+ * @param {boolean} includeHistory - Add the history fields
+ * @returns {Array<Object>} Field definitions
+ */
+function getBackupFields(includeHistory = false) {
+  return includeHistory ? [...BACKUP_FIELDS, ...BACKUP_HISTORY_FIELDS] : BACKUP_FIELDS;
+}
+
+/**
+ * Build a backup from stored values
+ * @param {Object} items - chrome.storage.local values
+ * @param {Object} options - { includeHistory, extensionVersion }
+ * @returns {Object} Backup object
+ */
+function buildBackup(items, { includeHistory = false, extensionVersion = null } = {}) {
+  const settings = {};
+  getBackupFields(includeHistory).forEach(({ key }) => {
+    if (items[key] !== undefined) settings[key] = items[key];
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    exportDate: new Date().toISOString(),
+    extensionVersion,
+    includesHistory: includeHistory,
+    settings
+  };
+}
+
+/**
+ * Get the JSON type name used in field definitions
+ * @private
+ * @param {*} value - Any value
+ * @returns {string} 'array', 'object', 'null' or the typeof result
+ */
+function getBackupValueType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Bring a parsed file up to the current schema
+ * @private
+ * @param {Object} data - Parsed backup file
+ * @returns {Object} Upgraded backup
+ * @throws {Error} If the file is not a backup or is from a newer schema
+ */
+function upgradeBackup(data) {
+  let backup = data;
+  if (backup.format === undefined && backup.version && (backup.settings || backup.whitelist)) {
+    backup = { ...backup, schemaVersion: 0 };
+  } else if (backup.format !== BACKUP_FORMAT) {
+    throw new Error('Not a Cognitive Defense backup file');
+  }
+
+  if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 0) {
+    throw new Error('Missing schema version');
+  }
+  if (backup.schemaVersion > BACKUP_SCHEMA_VERSION) {
+    throw new Error(`Backup uses schema version ${backup.schemaVersion}; this version of the extension supports up to ${BACKUP_SCHEMA_VERSION}`);
+  }
+
+  while (backup.schemaVersion < BACKUP_SCHEMA_VERSION) {
+    backup = BACKUP_UPGRADES[backup.schemaVersion](backup);
+  }
+  return backup;
+}
+
+/**
+ * Validate a parsed backup file
+ * @param {*} data - Parsed JSON
+ * @returns {{valid: boolean, errors: Array<string>, backup: Object|null}}
+ *   backup is the upgraded file when valid
+ */
+function validateBackup(data) {
+  if (!data || getBackupValueType(data) !== 'object') {
+    return { valid: false, errors: ['File does not contain a JSON object'], backup: null };
+  }
+
+  let backup;
+  try {
+    backup = upgradeBackup(data);
+  } catch (error) {
+    return { valid: false, errors: [error.message], backup: null };
+  }
+
+  if (getBackupValueType(backup.settings) !== 'object') {
+    return { valid: false, errors: ['Backup has no settings'], backup: null };
+  }
+
+  const errors = [];
+  const fields = getBackupFields(true);
+  Object.entries(backup.settings).forEach(([key, value]) => {
+    const field = fields.find(f => f.key === key);
+    if (!field) {
+      errors.push(`Unknown setting "${key}"`);
+      return;
+    }
+    if (getBackupValueType(value) !== field.type) {
+      errors.push(`${field.section} › ${field.label}: expected ${field.type}, found ${getBackupValueType(value)}`);
+      return;
+    }
+    if (field.items && value.some(item => getBackupValueType(item) !== field.items)) {
+      errors.push(`${field.section} › ${field.label}: every entry must be of type ${field.items}`);
+    }
+  });
+
+  const limits = backup.settings[STORAGE_KEYS.GUARDIAN_LIMITS];
+  if (limits && (typeof limits.global !== 'number' || getBackupValueType(limits.overrides) !== 'object')) {
+    errors.push('Time Guardian › Limits and overrides: needs a numeric global limit and an overrides object');
+  }
+  if (limits?.dayLimits !== undefined && (getBackupValueType(limits.dayLimits) !== 'array' ||
+      limits.dayLimits.some(rule => !Array.isArray(rule?.days) || typeof rule.global !== 'number'))) {
+    errors.push('Time Guardian › Limits and overrides: every day limit needs a days list and a numeric limit');
+  }
+  if (limits?.weeklyBudgets !== undefined && (getBackupValueType(limits.weeklyBudgets) !== 'array' ||
+      limits.weeklyBudgets.some(budget => !Array.isArray(budget?.domains) || typeof budget.limit !== 'number'))) {
+    errors.push('Time Guardian › Limits and overrides: every weekly budget needs a domains list and a numeric limit');
+  }
+  if (limits?.rollover !== undefined && typeof limits.rollover?.cap !== 'number') {
+    errors.push('Time Guardian › Limits and overrides: rollover needs a numeric cap');
+  }
+
+  return { valid: errors.length === 0, errors, backup: errors.length === 0 ? backup : null };
+}
+
+/**
+ * Short human-readable form of a setting value for the diff preview
+ * @param {Object} field - Field definition
+ * @param {*} value - Setting value
+ * @returns {string} Description
+ */
+function describeBackupValue(field, value) {
+  if (value === undefined || value === null) return 'not set';
+  if (field.secret) return 'set';
+  switch (field.type) {
+    case 'array':
+      return `${value.length} ${value.length === 1 ? 'entry' : 'entries'}`;
+    case 'object':
+      return `${Object.keys(value).length} ${Object.keys(value).length === 1 ? 'entry' : 'entries'}`;
+    case 'boolean':
+      return value ? 'on' : 'off';
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * List the settings a restore would change. Settings missing from the backup
+ * are left as they are and do not appear.
+ * @param {Object} current - Current chrome.storage.local values
+ * @param {Object} backup - Validated backup
+ * @returns {Array<Object>} { key, section, label, change, from, to, protected }
+ */
+function diffBackup(current, backup) {
+  return getBackupFields(true)
+    .filter(field => backup.settings[field.key] !== undefined)
+    .filter(field => JSON.stringify(current[field.key]) !== JSON.stringify(backup.settings[field.key]))
+    .map(field => ({
+      key: field.key,
+      section: field.section,
+      label: field.label,
+      change: current[field.key] === undefined ? 'added' : 'changed',
+      from: describeBackupValue(field, current[field.key]),
+      to: describeBackupValue(field, backup.settings[field.key]),
+      protected: !!field.protected
+    }));
+}
+
+// Export for use in other modules
+if (typeof self !== 'undefined') {
+  self.BACKUP_SCHEMA_VERSION = BACKUP_SCHEMA_VERSION;
+  self.getBackupFields = getBackupFields;
+  self.buildBackup = buildBackup;
+  self.validateBackup = validateBackup;
+  self.diffBackup = diffBackup;
+}
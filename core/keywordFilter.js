@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Keyword Filter
+ * @description Keyword lists matched against URLs and page text. Shared by the
+ * service worker (DNR rules, title checks) and the options page (input
+ * normalization).
+ *
+ * Keywords are lowercase and match as substrings, so "news" also matches
+ * "newsletter". Words in a multi-word keyword may be separated in a URL by
+ * -, +, _, . or an encoded space.
+ *
+ * The bundled distraction term lists (data/distractionTerms.json) are
+ * matched as whole words instead, since they hold short common words such as
+ * "sale" or "nba". They are used by the search check and can be added to the
+ * keyword blocker per category.
+ * @version 1.0.0
+ */
+
+const MIN_KEYWORD_LENGTH = 2;
+const MAX_KEYWORD_LENGTH = 50;
+const DISTRACTION_TERMS_PATH = 'data/distractionTerms.json';
+
+// Term lists are fetched once per context
+let distractionTermsPromise = null;
+
+/**
+ * Normalize one keyword
+ * @param {string} raw - User input
+ * @returns {string|null} Lowercase keyword with single spaces, or null if
+ *   too short or too long
+ */
+function normalizeKeyword(raw) {
+  const keyword = String(raw || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (keyword.length < MIN_KEYWORD_LENGTH || keyword.length > MAX_KEYWORD_LENGTH) {
+    return null;
+  }
+  return keyword;
+}
+
+/**
+ * Parse a comma or newline separated keyword list
+ * @param {string} text - User input
+ * @returns {Array<string>} Unique normalized keywords
+ */
+function parseKeywordList(text) {
+  const keywords = String(text || '')
+    .split(/[,\n]/)
+    .map(normalizeKeyword)
+    .filter(Boolean);
+  return [...new Set(keywords)];
+}
+
+/**
+ * Escape a literal string for use inside a regex
+ * @private
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeKeywordRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a regex matching the full URL of any http(s) page containing the
+ * keyword. The whole URL is matched so redirect rules can pass it on as \0.
+ * @param {string} keyword - Normalized keyword
+ * @param {Object} options - { wholeWord }: require non-alphanumeric
+ *   characters (or the end of the URL) around the keyword
+ * @returns {string} RE2-compatible regex, matched case-insensitively
+ */
+function getKeywordUrlRegex(keyword, { wholeWord = false } = {}) {
+  const pattern = keyword.split(' ').map(escapeKeywordRegex).join('(?:[-+_.]|%20)+');
+  return wholeWord
+    ? `^https?://[^#]*[^a-zA-Z0-9]${pattern}([^a-zA-Z0-9].*)?$`
+    : `^https?://[^#]*${pattern}.*$`;
+}
+
+/**
+ * Find the first keyword contained in a piece of text
+ * @param {string} text - Page title, search query or similar
+ * @param {Array<string>} keywords - Normalized keywords
+ * @param {Object} options - { wholeWord }
+ * @returns {string|null} Matching keyword
+ */
+function findMatchingKeyword(text, keywords, { wholeWord = false } = {}) {
+  const haystack = String(text || '').toLowerCase().replace(/\s+/g, ' ');
+  if (!haystack) return null;
+  if (!wholeWord) {
+    return keywords.find(keyword => haystack.includes(keyword)) || null;
+  }
+  return keywords.find(keyword =>
+    new RegExp(`(^|[^a-z0-9])${escapeKeywordRegex(keyword)}($|[^a-z0-9])`).test(haystack)
+  ) || null;
+}
+
+/**
+ * Load the bundled distraction term lists
+ * @returns {Promise<Object>} { <category>: { label, terms } }
+ */
+function loadDistractionTerms() {
+  if (!distractionTermsPromise) {
+    distractionTermsPromise = fetch(chrome.runtime.getURL(DISTRACTION_TERMS_PATH))
+      .then(response => response.json())
+      .then(data => data.categories || {})
+      .catch(error => {
+        console.error('Failed to load distraction terms:', error);
+        distractionTermsPromise = null;
+        return {};
+      });
+  }
+  return distractionTermsPromise;
+}
+
+/**
+ * Collect the terms of some categories
+ * @param {Object} lists - Result of loadDistractionTerms
+ * @param {Array<string>} categories - Category ids
+ * @returns {Array<string>} Unique normalized terms
+ */
+function getDistractionTerms(lists, categories) {
+  const terms = categories.flatMap(category => lists[category]?.terms || []);
+  return [...new Set(terms.map(normalizeKeyword).filter(Boolean))];
+}
+
+/**
+ * Find the first category whose terms appear in a piece of text
+ * @param {string} text - Search query, title or similar
+ * @param {Object} lists - Result of loadDistractionTerms
+ * @param {Array<string>} categories - Category ids to check
+ * @returns {{category: string, term: string}|null} Match
+ */
+function findDistractionCategory(text, lists, categories) {
+  for (const category of categories) {
+    const term = findMatchingKeyword(text, getDistractionTerms(lists, [category]), { wholeWord: true });
+    if (term) return { category, term };
+  }
+  return null;
+}
+
+// Export for use in other modules
+if (typeof self !== 'undefined') {
+  self.normalizeKeyword = normalizeKeyword;
+  self.parseKeywordList = parseKeywordList;
+  self.getKeywordUrlRegex = getKeywordUrlRegex;
+  self.findMatchingKeyword = findMatchingKeyword;
+  self.loadDistractionTerms = loadDistractionTerms;
+  self.getDistractionTerms = getDistractionTerms;
+  self.findDistractionCategory = findDistractionCategory;
+}
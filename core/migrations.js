@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Storage Migrations
+ * @description Versioned migrations for chrome.storage.local, run from
+ * chrome.runtime.onInstalled. The version reached is stored under
+ * STORAGE_KEYS.SCHEMA_VERSION; only migrations above it run, in version order.
+ *
+ * A migration is { version, name, plan(items, now) }. plan receives a snapshot
+ * of all stored items and returns the writes it needs:
+ *   { set: { key: value }, remove: [key], summary: string }
+ * Plans must be idempotent: run against already-migrated data they return no
+ * writes. Keeping plan free of side effects is what makes dry runs possible.
+ * @version 1.0.0
+ */
+
+/**
+ * Legacy per-domain grace keys, `grace_<domain>` holding an expiry timestamp
+ * @constant {string}
+ */
+const LEGACY_GRACE_PREFIX = 'grace_';
+
+const MAX_MIGRATION_LOG_ENTRIES = 50;
+
+/**
+ * All migrations, oldest first
+ * @constant {Array<Object>}
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'namespace-guardian-grace',
+    // grace_<domain> keys move into one GUARDIAN_GRACE object; expired ones are dropped
+    plan(items, now) {
+      const legacyKeys = Object.keys(items).filter(key => key.startsWith(LEGACY_GRACE_PREFIX));
+      const grace = pruneGraceEntries(items[STORAGE_KEYS.GUARDIAN_GRACE] || {}, now);
+      let expired = Object.keys(items[STORAGE_KEYS.GUARDIAN_GRACE] || {}).length - Object.keys(grace).length;
+      let moved = 0;
+
+      legacyKeys.forEach(key => {
+        const until = items[key];
+        if (typeof until === 'number' && until > now) {
+          const domain = key.slice(LEGACY_GRACE_PREFIX.length);
+          grace[domain] = Math.max(grace[domain] || 0, until);
+          moved++;
+        } else {
+          expired++;
+        }
+      });
+
+      if (legacyKeys.length === 0 && expired === 0) {
+        return { set: {}, remove: [], summary: 'Nothing to migrate' };
+      }
+      return {
+        set: { [STORAGE_KEYS.GUARDIAN_GRACE]: grace },
+        remove: legacyKeys,
+        summary: `Moved ${moved} grace entries, dropped ${expired} expired`
+      };
+    }
+  },
+  {
+    version: 2,
+    name: 'guardian-schedule-days',
+    // Time schedules move from integer startHour/endHour to days plus HH:MM times
+    plan(items) {
+      const schedules = items[STORAGE_KEYS.TIME_SCHEDULES] || [];
+      const legacy = schedules.filter(schedule => schedule.start === undefined);
+      if (legacy.length === 0) {
+        return { set: {}, remove: [], summary: 'Nothing to migrate' };
+      }
+      return {
+        set: { [STORAGE_KEYS.TIME_SCHEDULES]: schedules.map(normalizeTimeSchedule) },
+        remove: [],
+        summary: `Converted ${legacy.length} time schedules to every-day HH:MM windows`
+      };
+    }
+  },
+  {
+    version: 3,
+    name: 'namespace-session-options',
+    // Top-level session and options keys move into the objects in STORAGE_NAMESPACES;
+    // a field already in its namespace wins over the old key
+    plan(items) {
+      const set = {};
+      const remove = [];
+      const moved = {};
+
+      Object.entries(STORAGE_NAMESPACES).forEach(([namespace, fields]) => {
+        const legacyKeys = Object.keys(fields).filter(key => key in items);
+        moved[namespace] = legacyKeys.length;
+        if (legacyKeys.length === 0) return;
+
+        const merged = { ...items[namespace] };
+        legacyKeys.forEach(key => {
+          if (!(fields[key] in merged)) merged[fields[key]] = items[key];
+        });
+        set[namespace] = merged;
+        remove.push(...legacyKeys);
+      });
+
+      if (remove.length === 0) {
+        return { set: {}, remove: [], summary: 'Nothing to migrate' };
+      }
+      return {
+        set,
+        remove,
+        summary: `Moved ${moved.session} session keys and ${moved.options} options keys`
+      };
+    }
+  }
+];
+
+/**
+ * Latest schema version known to this build
+ * @constant {number}
+ */
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Drop grace periods that have ended
+ * @param {Object} grace - { domain: expiry timestamp }
+ * @param {number} now - Reference timestamp
+ * @returns {Object} Entries still running
+ */
+function pruneGraceEntries(grace, now = Date.now()) {
+  const active = {};
+  Object.entries(grace).forEach(([domain, until]) => {
+    if (until > now) active[domain] = until;
+  });
+  return active;
+}
+
+/**
+ * Append entries to the migration log, newest first
+ * @private
+ * @param {Array<Object>} entries - Log entries
+ * @returns {Promise<void>}
+ */
+async function logMigrations(entries) {
+  const { migrationLog = [] } = await chrome.storage.local.get(STORAGE_KEYS.MIGRATION_LOG);
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.MIGRATION_LOG]: [...entries.reverse(), ...migrationLog].slice(0, MAX_MIGRATION_LOG_ENTRIES)
+  });
+}
+
+// Runs are chained so onInstalled and a manual run cannot interleave
+let migrationQueue = Promise.resolve();
+
+/**
+ * Run every migration above the stored schema version
+ * @param {Object} options - { dryRun }. A dry run plans each migration against
+ *   a working copy and writes nothing, not even the log.
+ * @returns {Promise<Object>} { fromVersion, toVersion, dryRun, results, error }
+ *   results holds { version, name, set, remove, summary } per migration
+ */
+function runMigrations({ dryRun = false } = {}) {
+  const run = migrationQueue.then(async () => {
+    const items = await chrome.storage.local.get(null);
+    const fromVersion = items[STORAGE_KEYS.SCHEMA_VERSION] || 0;
+    const pending = MIGRATIONS
+      .filter(migration => migration.version > fromVersion)
+      .sort((a, b) => a.version - b.version);
+
+    const report = { fromVersion, toVersion: fromVersion, dryRun, results: [], error: null };
+    const logEntries = [];
+
+    for (const migration of pending) {
+      const now = Date.now();
+      try {
+        const { set, remove, summary } = migration.plan(items, now);
+        if (!dryRun) {
+          await chrome.storage.local.set(set);
+          if (remove.length > 0) await chrome.storage.local.remove(remove);
+          // Recorded last, so a migration interrupted midway reruns (plans are idempotent)
+          await chrome.storage.local.set({ [STORAGE_KEYS.SCHEMA_VERSION]: migration.version });
+        }
+        // Later migrations plan against the migrated snapshot
+        Object.assign(items, set);
+        remove.forEach(key => delete items[key]);
+
+        report.toVersion = migration.version;
+        report.results.push({ version: migration.version, name: migration.name, set: Object.keys(set), remove, summary });
+        logEntries.push({ version: migration.version, name: migration.name, timestamp: now, summary });
+      } catch (error) {
+        // Stop here; the stored version still points below this migration, so it is retried next time
+        report.error = { version: migration.version, name: migration.name, message: error.message };
+        logEntries.push({ version: migration.version, name: migration.name, timestamp: now, error: error.message });
+        break;
+      }
+    }
+
+    if (!dryRun && logEntries.length > 0) {
+      await logMigrations(logEntries);
+    }
+    return report;
+  });
+  migrationQueue = run.catch(() => {});
+  return run;
+}
+
+// Export for use in other modules
+if (typeof self !== 'undefined') {
+  self.CURRENT_SCHEMA_VERSION = CURRENT_SCHEMA_VERSION;
+  self.pruneGraceEntries = pruneGraceEntries;
+  self.runMigrations = runMigrations;
+}
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Pomodoro Cycle Timeline
+ * @description Derives work/break phases of a pomodoro session from its start
+ * time, so the current phase can be recomputed after any worker or browser restart
+ * @version 1.0.0
+ */
+
+/**
+ * Alarm fired at the end of each pomodoro phase
+ * @constant {string}
+ */
+const POMODORO_ALARM_NAME = 'pomodoro-phase-end';
+
+/**
+ * Pomodoro phase names
+ * @constant {Object}
+ */
+const POMODORO_PHASES = {
+  WORK: 'work',
+  BREAK: 'break',
+  LONG_BREAK: 'long_break'
+};
+
+/**
+ * Default pomodoro configuration (minutes)
+ * @constant {Object}
+ */
+const DEFAULT_POMODORO_CONFIG = {
+  workMinutes: 25,
+  breakMinutes: 5,
+  cycles: 4,
+  longBreakMinutes: 15
+};
+
+/**
+ * Accepted range of each setting (minutes, cycles); matches the popup inputs
+ * @constant {Object}
+ */
+const POMODORO_LIMITS = {
+  workMinutes: { min: 1, max: 180 },
+  breakMinutes: { min: 1, max: 60 },
+  cycles: { min: 1, max: 12 },
+  longBreakMinutes: { min: 0, max: 120 }
+};
+
+/**
+ * Check a pomodoro configuration against POMODORO_LIMITS
+ * @param {Object} config - { workMinutes, breakMinutes, cycles, longBreakMinutes }
+ * @returns {boolean} True when every setting is a whole number in range
+ */
+function isValidPomodoroConfig(config) {
+  return Object.entries(POMODORO_LIMITS).every(([field, { min, max }]) =>
+    Number.isInteger(config[field]) && config[field] >= min && config[field] <= max);
+}
+
+/**
+ * Build the ordered phase list for a pomodoro session:
+ * work, break, work, break ... work, long break
+ * @param {Object} config - { workMinutes, breakMinutes, cycles, longBreakMinutes }
+ * @param {number} startTime - Session start timestamp
+ * @returns {Array<Object>} Phases as { cycle, phase, start, end }
+ */
+function buildPomodoroTimeline(config, startTime) {
+  const { workMinutes, breakMinutes, cycles, longBreakMinutes } = { ...DEFAULT_POMODORO_CONFIG, ...config };
+  const timeline = [];
+  let cursor = startTime;
+
+  const pushPhase = (cycle, phase, minutes) => {
+    if (minutes <= 0) return;
+    const end = cursor + minutes * 60 * 1000;
+    timeline.push({ cycle, phase, start: cursor, end });
+    cursor = end;
+  };
+
+  for (let cycle = 1; cycle <= cycles; cycle++) {
+    pushPhase(cycle, POMODORO_PHASES.WORK, workMinutes);
+    if (cycle < cycles) {
+      pushPhase(cycle, POMODORO_PHASES.BREAK, breakMinutes);
+    } else {
+      pushPhase(cycle, POMODORO_PHASES.LONG_BREAK, longBreakMinutes);
+    }
+  }
+
+  return timeline;
+}
+
+/**
+ * Find the phase running at a point in time
+ * @param {Array<Object>} timeline - Result of buildPomodoroTimeline
+ * @param {number} now - Reference timestamp
+ * @returns {Object|null} Current phase, or null once the timeline is over
+ */
+function getPomodoroPhaseAt(timeline, now = Date.now()) {
+  return timeline.find(p => p.start <= now && now < p.end) || null;
+}
+
+/**
+ * Total length of a pomodoro session
+ * @param {Object} config - Pomodoro configuration
+ * @returns {number} Duration in minutes
+ */
+function getPomodoroTotalMinutes(config) {
+  const timeline = buildPomodoroTimeline(config, 0);
+  return timeline.length ? timeline[timeline.length - 1].end / (60 * 1000) : 0;
+}
+
+// Export for use in other modules
+if (typeof self !== 'undefined') {
+  self.POMODORO_ALARM_NAME = POMODORO_ALARM_NAME;
+  self.POMODORO_PHASES = POMODORO_PHASES;
+  self.DEFAULT_POMODORO_CONFIG = DEFAULT_POMODORO_CONFIG;
+  self.POMODORO_LIMITS = POMODORO_LIMITS;
+  self.isValidPomodoroConfig = isValidPomodoroConfig;
+  self.buildPomodoroTimeline = buildPomodoroTimeline;
+  self.getPomodoroPhaseAt = getPomodoroPhaseAt;
+  self.getPomodoroTotalMinutes = getPomodoroTotalMinutes;
+}
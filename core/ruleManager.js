@@ -0,0 +1,155 @@
+/**
+ * @fileoverview DNR Rule Manager
+ * @description Single owner of chrome.declarativeNetRequest dynamic rules.
+ * Every feature that needs network rules registers them under an owner, which
+ * maps to a reserved rule ID range and a base priority. Updates only ever touch
+ * the calling owner's range, so focus blocking and tracker blocking no longer
+ * wipe each other's rules.
+ * @version 1.0.0
+ */
+
+/**
+ * Rule owners
+ * @constant {Object}
+ */
+const RULE_OWNERS = {
+  FOCUS_SESSION: 'focus_session',
+  STRICT_MODE: 'strict_mode',
+  GUARDIAN: 'guardian_lockout',
+  TRACKERS: 'trackers',
+  USER: 'user_rules'
+};
+
+/**
+ * Reserved ID ranges (inclusive) and base priorities per owner.
+ * Higher priority wins when rules from different owners overlap.
+ * @constant {Object}
+ */
+const RULE_RANGES = {
+  [RULE_OWNERS.FOCUS_SESSION]: { start: 1, end: 1999, priority: 10 },
+  [RULE_OWNERS.STRICT_MODE]: { start: 2000, end: 2499, priority: 10 },
+  [RULE_OWNERS.GUARDIAN]: { start: 2500, end: 2999, priority: 20 },
+  [RULE_OWNERS.USER]: { start: 3000, end: 4999, priority: 30 },
+  [RULE_OWNERS.TRACKERS]: { start: 5000, end: 6999, priority: 1 }
+};
+
+// Module state
+// Updates are chained so two owners never interleave read-modify-write cycles
+let ruleUpdateQueue = Promise.resolve();
+
+/**
+ * Find the owner of a rule ID
+ * @param {number} ruleId - Dynamic rule ID
+ * @returns {string|null} Owner name, or null if the ID is outside every range
+ */
+function getRuleOwner(ruleId) {
+  for (const [owner, range] of Object.entries(RULE_RANGES)) {
+    if (ruleId >= range.start && ruleId <= range.end) {
+      return owner;
+    }
+  }
+  return null;
+}
+
+/**
+ * Queue a rule update behind any update already in flight
+ * @private
+ * @param {Function} task - Async task to run
+ * @returns {Promise<any>} Task result
+ */
+function enqueueRuleUpdate(task) {
+  const run = ruleUpdateQueue.then(task, task);
+  ruleUpdateQueue = run.catch(() => { });
+  return run;
+}
+
+/**
+ * Replace all rules of one owner in a single atomic DNR update
+ * @async
+ * @param {string} owner - One of RULE_OWNERS
+ * @param {Array<Object>} rules - Rules without IDs; priority is optional and
+ *   defaults to the owner's base priority
+ * @returns {Promise<number>} Number of rules now active for the owner
+ */
+async function setOwnerRules(owner, rules = []) {
+  const range = RULE_RANGES[owner];
+  if (!range) {
+    throw new Error(`Unknown rule owner: ${owner}`);
+  }
+
+  const capacity = range.end - range.start + 1;
+  if (rules.length > capacity) {
+    console.warn(`[Rules] ${owner} requested ${rules.length} rules, truncating to ${capacity}`);
+    rules = rules.slice(0, capacity);
+  }
+
+  return enqueueRuleUpdate(async () => {
+    const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
+    const removeRuleIds = existingRules
+      .filter(rule => rule.id >= range.start && rule.id <= range.end)
+      .map(rule => rule.id);
+
+    const addRules = rules.map((rule, index) => ({
+      ...rule,
+      id: range.start + index,
+      priority: rule.priority || range.priority
+    }));
+
+    await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules });
+    console.log(`[Rules] ${owner}: ${addRules.length} rules active`);
+    return addRules.length;
+  });
+}
+
+/**
+ * Remove all rules of one owner
+ * @async
+ * @param {string} owner - One of RULE_OWNERS
+ * @returns {Promise<number>} Always 0
+ */
+async function clearOwnerRules(owner) {
+  return setOwnerRules(owner, []);
+}
+
+/**
+ * Remove dynamic rules that fall outside every reserved range
+ * (left behind by older versions of the extension)
+ * @async
+ * @returns {Promise<number>} Number of rules removed
+ */
+async function removeOrphanedRules() {
+  return enqueueRuleUpdate(async () => {
+    const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
+    const removeRuleIds = existingRules
+      .filter(rule => getRuleOwner(rule.id) === null)
+      .map(rule => rule.id);
+
+    if (removeRuleIds.length > 0) {
+      await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds });
+    }
+    return removeRuleIds.length;
+  });
+}
+
+/**
+ * List live dynamic rules annotated with their owner
+ * @async
+ * @returns {Promise<Array<Object>>} Rules with an added `owner` field
+ */
+async function getActiveRules() {
+  const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
+  return existingRules
+    .map(rule => ({ ...rule, owner: getRuleOwner(rule.id) }))
+    .sort((a, b) => a.id - b.id);
+}
+
+// Export for use in other modules
+if (typeof self !== 'undefined') {
+  self.RULE_OWNERS = RULE_OWNERS;
+  self.RULE_RANGES = RULE_RANGES;
+  self.getRuleOwner = getRuleOwner;
+  self.setOwnerRules = setOwnerRules;
+  self.clearOwnerRules = clearOwnerRules;
+  self.removeOrphanedRules = removeOrphanedRules;
+  self.getActiveRules = getActiveRules;
+}
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Focus Session Scheduler
+ * @description Weekly recurring focus-session windows driven by chrome.alarms
+ * @version 1.0.0
+ */
+
+/**
+ * Alarm fired at the start of the next schedule window
+ * @constant {string}
+ */
+const SCHEDULE_ALARM_NAME = 'focus-schedule-start';
+
+/**
+ * Parse an "HH:MM" string into minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number|null} Minutes after midnight, or null if invalid
+ */
+function parseTimeOfDay(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Expand schedules into concrete windows around a point in time.
+ * Covers yesterday (for windows spanning midnight) through the next 7 days.
+ * @param {Array<Object>} schedules - Stored focus schedules
+ * @param {number} now - Reference timestamp
+ * @returns {Array<Object>} Windows as { scheduleId, name, start, end, schedule }
+ */
+function getScheduleWindows(schedules, now) {
+  const windows = [];
+  if (!Array.isArray(schedules)) return windows;
+
+  for (let dayOffset = -1; dayOffset <= 7; dayOffset++) {
+    const day = new Date(now);
+    day.setDate(day.getDate() + dayOffset);
+    const weekday = day.getDay();
+
+    for (const schedule of schedules) {
+      if (!schedule.enabled || !schedule.days?.includes(weekday)) continue;
+
+      for (const slot of schedule.windows || []) {
+        const startMin = parseTimeOfDay(slot.start);
+        const endMin = parseTimeOfDay(slot.end);
+        if (startMin === null || endMin === null || startMin === endMin) continue;
+
+        const start = new Date(day);
+        start.setHours(Math.floor(startMin / 60), startMin % 60, 0, 0);
+
+        const end = new Date(day);
+        end.setHours(Math.floor(endMin / 60), endMin % 60, 0, 0);
+        if (endMin < startMin) {
+          // Spans midnight
+          end.setDate(end.getDate() + 1);
+        }
+
+        windows.push({
+          scheduleId: schedule.id,
+          name: schedule.name,
+          start: start.getTime(),
+          end: end.getTime(),
+          schedule
+        });
+      }
+    }
+  }
+
+  return windows;
+}
+
+/**
+ * Find the schedule window containing a point in time
+ * @param {Array<Object>} schedules - Stored focus schedules
+ * @param {number} now - Reference timestamp
+ * @returns {Object|null} Active window (latest-ending if several overlap)
+ */
+function getActiveScheduleWindow(schedules, now = Date.now()) {
+  const active = getScheduleWindows(schedules, now)
+    .filter(w => w.start <= now && now < w.end)
+    .sort((a, b) => b.end - a.end);
+
+  return active[0] || null;
+}
+
+/**
+ * Find the next schedule window that has not started yet
+ * @param {Array<Object>} schedules - Stored focus schedules
+ * @param {number} now - Reference timestamp
+ * @returns {Object|null} Next window
+ */
+function getNextScheduleWindow(schedules, now = Date.now()) {
+  const upcoming = getScheduleWindows(schedules, now)
+    .filter(w => w.start > now)
+    .sort((a, b) => a.start - b.start);
+
+  return upcoming[0] || null;
+}
+
+/**
+ * Point the schedule alarm at the next window start (or clear it)
+ * @async
+ * @param {Array<Object>} schedules - Stored focus schedules
+ * @param {number} now - Reference timestamp
+ * @returns {Promise<Object|null>} Window the alarm was set for
+ */
+async function syncScheduleAlarm(schedules, now = Date.now()) {
+  await chrome.alarms.clear(SCHEDULE_ALARM_NAME);
+
+  const next = getNextScheduleWindow(schedules, now);
+  if (next) {
+    chrome.alarms.create(SCHEDULE_ALARM_NAME, { when: next.start });
+  }
+
+  return next;
+}
+
+/**
+ * Limit multiplier of the Time Guardian schedule running at a point in time
+ * @param {Array<Object>|null} schedules - Stored Guardian time schedules, in
+ *   any format normalizeTimeSchedule (config.js) accepts
+ * @param {number} now - Reference timestamp
+ * @returns {number} Multiplier of the first enabled schedule (in list order)
+ *   whose window contains now, otherwise 1
+ */
+function getCurrentScheduleMultiplier(schedules = null, now = Date.now()) {
+  if (!schedules || schedules.length === 0) {
+    return 1.0; // No schedule, use default multiplier
+  }
+
+  // Windows are traced back to their schedule by position, since presets and
+  // schedules saved by older versions have no id
+  const active = getScheduleWindows(
+    schedules.map((schedule, index) => {
+      const normalized = normalizeTimeSchedule(schedule);
+      return { ...normalized, index, windows: [{ start: normalized.start, end: normalized.end }] };
+    }),
+    now
+  ).filter(w => w.start <= now && now < w.end);
+  if (active.length === 0) return 1.0;
+
+  const first = active.reduce((a, b) => (b.schedule.index < a.schedule.index ? b : a));
+  return first.schedule.limitMultiplier;
+}
+
+// Export for use in other modules
+if (typeof self !== 'undefined') {
+  self.SCHEDULE_ALARM_NAME = SCHEDULE_ALARM_NAME;
+  self.parseTimeOfDay = parseTimeOfDay;
+  self.getScheduleWindows = getScheduleWindows;
+  self.getActiveScheduleWindow = getActiveScheduleWindow;
+  self.getNextScheduleWindow = getNextScheduleWindow;
+  self.getCurrentScheduleMultiplier = getCurrentScheduleMultiplier;
+  self.syncScheduleAlarm = syncScheduleAlarm;
+}
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Session History Store
+ * @description One record per finished focus session, kept for statistics.
+ * Records are appended by the service worker when a session ends and read
+ * back through GET_SESSION_HISTORY.
+ *
+ * Record shape:
+ *   { id, profileId, scheduleId, sessionType, sessionMode, startTime, endTime,
+ *     plannedMinutes, actualMinutes, endReason, blockedAttempts, pomodoroCycles,
+ *     intent, reflection }
+ * reflection is { outcome, note, timestamp } once the user has answered the
+ * end-of-session prompt, otherwise null.
+ * @version 1.0.0
+ */
+
+/**
+ * Why a session ended
+ * @constant {Object}
+ */
+const SESSION_END_REASONS = {
+  COMPLETED: 'completed',
+  SCHEDULE: 'schedule',
+  PASSWORD_UNLOCK: 'password_unlock',
+  EMERGENCY_CODE: 'emergency_code',
+  COOLDOWN_UNLOCK: 'cooldown_unlock',
+  TYPING_CHALLENGE: 'typing_challenge',
+  MANUAL: 'manual'
+};
+
+/**
+ * Reasons counted as a session run to its end
+ * @constant {Array<string>}
+ */
+const COMPLETED_END_REASONS = [SESSION_END_REASONS.COMPLETED, SESSION_END_REASONS.SCHEDULE];
+
+/**
+ * Answers to the end-of-session reflection prompt
+ * @constant {Object}
+ */
+const REFLECTION_OUTCOMES = {
+  DONE: 'done',
+  PARTIAL: 'partial',
+  NOT_DONE: 'not_done'
+};
+
+/**
+ * Records older than this are dropped on the next append
+ * @constant {number}
+ */
+const SESSION_HISTORY_RETENTION_DAYS = 400;
+
+/**
+ * Check whether a record ran to its planned end
+ * @param {Object} record - Session history record
+ * @returns {boolean} True for completed and scheduled sessions
+ */
+function isCompletedSession(record) {
+  return COMPLETED_END_REASONS.includes(record.endReason);
+}
+
+/**
+ * Drop records past the retention period
+ * @param {Array<Object>} history - Stored records
+ * @param {number} now - Reference timestamp
+ * @returns {Array<Object>} Records still within retention
+ */
+function pruneSessionHistory(history, now = Date.now()) {
+  const cutoff = now - SESSION_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  return history.filter(record => record.endTime >= cutoff);
+}
+
+/**
+ * Filter records by date range and profile
+ * @param {Array<Object>} history - Stored records, oldest first
+ * @param {Object} filters - { from, to, profileId }. from/to are timestamps
+ *   matched against startTime; profileId null selects sessions started
+ *   without a profile, undefined selects all
+ * @returns {Array<Object>} Matching records, oldest first
+ */
+function querySessionHistory(history, { from = null, to = null, profileId } = {}) {
+  return history.filter(record => {
+    if (from !== null && record.startTime < from) return false;
+    if (to !== null && record.startTime > to) return false;
+    if (profileId !== undefined && String(record.profileId) !== String(profileId)) return false;
+    return true;
+  });
+}
+
+// Appends are chained so two sessions ending at once cannot overwrite each other
+let sessionHistoryQueue = Promise.resolve();
+
+/**
+ * Append a record, skipping ids already stored, and apply retention
+ * @param {Object} record - Session history record
+ * @returns {Promise<void>}
+ */
+function appendSessionRecord(record) {
+  sessionHistoryQueue = sessionHistoryQueue.then(async () => {
+    const { sessionHistory = [] } = await chrome.storage.local.get(STORAGE_KEYS.SESSION_HISTORY);
+    if (sessionHistory.some(existing => existing.id === record.id)) return;
+
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.SESSION_HISTORY]: pruneSessionHistory([...sessionHistory, record])
+    });
+  }).catch(error => {
+    console.error('Failed to store session record:', error);
+  });
+  return sessionHistoryQueue;
+}
+
+/**
+ * Merge changes into a stored record
+ * @param {string} id - Session id
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<boolean>} False if no record has this id
+ */
+function updateSessionRecord(id, changes) {
+  let found = false;
+  sessionHistoryQueue = sessionHistoryQueue.then(async () => {
+    const { sessionHistory = [] } = await chrome.storage.local.get(STORAGE_KEYS.SESSION_HISTORY);
+    const index = sessionHistory.findIndex(record => record.id === id);
+    if (index === -1) return;
+
+    sessionHistory[index] = { ...sessionHistory[index], ...changes };
+    await chrome.storage.local.set({ [STORAGE_KEYS.SESSION_HISTORY]: sessionHistory });
+    found = true;
+  }).catch(error => {
+    console.error('Failed to update session record:', error);
+  });
+  return sessionHistoryQueue.then(() => found);
+}
+
+// Export for use in other modules
+if (typeof self !== 'undefined') {
+  self.SESSION_END_REASONS = SESSION_END_REASONS;
+  self.REFLECTION_OUTCOMES = REFLECTION_OUTCOMES;
+  self.SESSION_HISTORY_RETENTION_DAYS = SESSION_HISTORY_RETENTION_DAYS;
+  self.isCompletedSession = isCompletedSession;
+  self.pruneSessionHistory = pruneSessionHistory;
+  self.querySessionHistory = querySessionHistory;
+  self.appendSessionRecord = appendSessionRecord;
+  self.updateSessionRecord = updateSessionRecord;
+}
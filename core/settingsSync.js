@@ -0,0 +1,464 @@
+/**
+ * @fileoverview Settings Sync
+ * @description Opt-in mirror of configuration keys from chrome.storage.local to
+ * chrome.storage.sync, so every browser signed in to the same profile shares
+ * blocklists, limits and schedules.
+ *
+ * Each synced key is stored remotely as a meta item plus chunks:
+ *   cfg:<key>     { updatedAt, deviceId, hash, chunks, deleted? }
+ *   cfg:<key>#<n> slice of the JSON-encoded value
+ * Chunks keep every item under QUOTA_BYTES_PER_ITEM. Keys merge with
+ * last-writer-wins on updatedAt; when both sides changed since the last sync
+ * the loser is recorded in the conflict log. Usage counters are the
+ * exception: they merge per field, keeping the higher count.
+ *
+ * Secrets (hashed codes and passwords) and usage counters are only synced
+ * when explicitly enabled. Session state is never synced.
+ * @version 1.0.0
+ */
+
+/**
+ * Configuration keys synced whenever sync is enabled
+ * @constant {Array<string>}
+ */
+const SYNC_CONFIG_KEYS = [
+  STORAGE_KEYS.OPTIONS_BLOCKED_SITES,
+  STORAGE_KEYS.OPTIONS_ALLOWED_SITES,
+  STORAGE_KEYS.OPTIONS_FOCUS_DURATION,
+  STORAGE_KEYS.OPTIONS_STRICT_MODE,
+  STORAGE_KEYS.OPTIONS_MAX_ATTEMPTS,
+  STORAGE_KEYS.OPTIONS_PROFILES,
+  STORAGE_KEYS.OPTIONS_UNLOCK_METHOD,
+  STORAGE_KEYS.OPTIONS_UNLOCK_COOLDOWN,
+  STORAGE_KEYS.OPTIONS_TYPING_CHALLENGE_LENGTH,
+  STORAGE_KEYS.OPTIONS_OPEN_TAB_ACTION,
+  STORAGE_KEYS.OPTIONS_SITE_ALLOWANCES,
+  STORAGE_KEYS.OPTIONS_BLOCKED_KEYWORDS,
+  STORAGE_KEYS.OPTIONS_KEYWORD_LISTS,
+  STORAGE_KEYS.OPTIONS_SEARCH_CHECK,
+  STORAGE_KEYS.FOCUS_SCHEDULES,
+  STORAGE_KEYS.TIME_GUARDIAN_ENABLED,
+  STORAGE_KEYS.GUARDIAN_LIMITS,
+  STORAGE_KEYS.DISTRACTING_SITES,
+  STORAGE_KEYS.GUARDIAN_AUDIBLE_POLICY,
+  STORAGE_KEYS.TIME_SCHEDULES,
+  STORAGE_KEYS.TIME_SCHEDULES_ENABLED,
+  SECURITY_STORAGE_KEYS.SETTINGS,
+  SECURITY_STORAGE_KEYS.WHITELIST
+];
+
+/**
+ * Hashed codes and passwords, synced only with includeSecrets
+ * @constant {Array<string>}
+ */
+const SYNC_SECRET_KEYS = [
+  STORAGE_KEYS.OPTIONS_EMERGENCY_CODE,
+  STORAGE_KEYS.OPTIONS_EMERGENCY_CODE_SALT,
+  STORAGE_KEYS.GUARDIAN_PASSWORD_HASH,
+  STORAGE_KEYS.GUARDIAN_PASSWORD_SALT
+];
+
+/**
+ * Usage counters and statistics, synced only with includeUsage. Merged per
+ * field rather than last-writer-wins (see reconcileCounterKey).
+ * @constant {Array<string>}
+ */
+const SYNC_USAGE_KEYS = [
+  STORAGE_KEYS.DAILY_USAGE,
+  STORAGE_KEYS.DAILY_AUDIO_USAGE,
+  SECURITY_STORAGE_KEYS.STATS,
+  SECURITY_STORAGE_KEYS.TRACKER_STATS
+];
+
+/**
+ * Usage counters of one day (STORAGE_KEYS.LAST_RESET_DATE). Each device
+ * rolls its own day over, so the date travels with the value instead of
+ * being synced as a key.
+ * @constant {Array<string>}
+ */
+const SYNC_DAILY_COUNTER_KEYS = [
+  STORAGE_KEYS.DAILY_USAGE,
+  STORAGE_KEYS.DAILY_AUDIO_USAGE
+];
+
+/**
+ * Default sync settings
+ * @constant {Object}
+ */
+const DEFAULT_SYNC_SETTINGS = {
+  enabled: false,
+  includeSecrets: false,
+  includeUsage: false
+};
+
+const SYNC_ITEM_PREFIX = 'cfg:';
+// Room left in each item for the item key
+const SYNC_CHUNK_BYTES = 8192 - 128;
+const SYNC_CHUNK_CHARS = 7000;
+const SYNC_DEBOUNCE_MS = 2000;
+const MAX_SYNC_CONFLICTS = 50;
+
+// Module state
+// Sync tasks are chained so local and remote changes never interleave
+let syncQueue = Promise.resolve();
+let pendingSyncKeys = new Set();
+let syncDebounceTimer = null;
+
+/**
+ * Keys synced with the given settings
+ * @param {Object} settings - Sync settings
+ * @returns {Array<string>} Storage keys
+ */
+function getSyncedKeys(settings) {
+  return [
+    ...SYNC_CONFIG_KEYS,
+    ...(settings.includeSecrets ? SYNC_SECRET_KEYS : []),
+    ...(settings.includeUsage ? SYNC_USAGE_KEYS : [])
+  ];
+}
+
+/**
+ * Map a chrome.storage.sync item name back to its storage key
+ * @param {string} itemName - Sync item name
+ * @returns {string|null} Storage key, or null for foreign items
+ */
+function getKeyFromSyncItem(itemName) {
+  if (!itemName.startsWith(SYNC_ITEM_PREFIX)) return null;
+  return itemName.slice(SYNC_ITEM_PREFIX.length).replace(/#\d+$/, '');
+}
+
+/**
+ * Stable hash of a value, used to spot changes without storing copies
+ * @private
+ * @param {*} value - Storage value
+ * @returns {string} Hash, 'none' for undefined
+ */
+function hashSyncValue(value) {
+  if (value === undefined) return 'none';
+  const text = JSON.stringify(value);
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return `${(hash >>> 0).toString(16)}:${text.length}`;
+}
+
+/**
+ * Size of a string once stored as a sync item value
+ * @private
+ * @param {string} piece - Chunk text
+ * @returns {number} UTF-8 bytes
+ */
+function getChunkBytes(piece) {
+  return new TextEncoder().encode(JSON.stringify(piece)).length;
+}
+
+/**
+ * Split JSON text into chunks that each fit in one sync item
+ * @param {string} text - JSON-encoded value
+ * @returns {Array<string>} Chunks, in order
+ */
+function splitSyncChunks(text) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(text.length, start + SYNC_CHUNK_CHARS);
+    // Escaping and multi-byte characters can grow a slice past the item quota
+    while (end - start > 1 && getChunkBytes(text.slice(start, end)) > SYNC_CHUNK_BYTES) {
+      end = start + Math.floor((end - start) / 2);
+    }
+    chunks.push(text.slice(start, end));
+    start = end;
+  }
+  return chunks;
+}
+
+/**
+ * Read a key's meta item and reassembled value from sync items
+ * @private
+ * @param {Object} items - All chrome.storage.sync items
+ * @param {string} key - Storage key
+ * @returns {Object|null} { meta, value }, or null if the key was never synced
+ */
+function readRemoteEntry(items, key) {
+  const meta = items[`${SYNC_ITEM_PREFIX}${key}`];
+  if (!meta) return null;
+  if (meta.deleted) return { meta, value: undefined };
+
+  let text = '';
+  for (let i = 0; i < meta.chunks; i++) {
+    const chunk = items[`${SYNC_ITEM_PREFIX}${key}#${i}`];
+    // Chunks of a newer write have not all arrived yet
+    if (typeof chunk !== 'string') return null;
+    text += chunk;
+  }
+
+  try {
+    return { meta, value: JSON.parse(text) };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Write a key to sync, replacing old chunks. Throws on quota errors.
+ * @private
+ * @param {Object} items - Current sync items
+ * @param {string} key - Storage key
+ * @param {*} value - Value, undefined to record a deletion
+ * @param {Object} meta - { updatedAt, deviceId, hash }
+ * @returns {Promise<void>}
+ */
+async function writeRemoteEntry(items, key, value, meta) {
+  const chunks = value === undefined ? [] : splitSyncChunks(JSON.stringify(value));
+  const update = {
+    [`${SYNC_ITEM_PREFIX}${key}`]: { ...meta, chunks: chunks.length, ...(value === undefined ? { deleted: true } : {}) }
+  };
+  chunks.forEach((chunk, i) => {
+    update[`${SYNC_ITEM_PREFIX}${key}#${i}`] = chunk;
+  });
+
+  const staleChunks = Object.keys(items).filter(name =>
+    name.startsWith(`${SYNC_ITEM_PREFIX}${key}#`) && !(name in update));
+
+  await chrome.storage.sync.set(update);
+  if (staleChunks.length) {
+    await chrome.storage.sync.remove(staleChunks);
+  }
+}
+
+/**
+ * Append an entry to the conflict log
+ * @private
+ * @param {Object} conflict - Conflict details
+ * @returns {Promise<void>}
+ */
+async function logSyncConflict(conflict) {
+  const { syncConflicts = [] } = await chrome.storage.local.get(STORAGE_KEYS.SYNC_CONFLICTS);
+  syncConflicts.unshift(conflict);
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.SYNC_CONFLICTS]: syncConflicts.slice(0, MAX_SYNC_CONFLICTS)
+  });
+}
+
+/**
+ * Merge one key between local and sync storage (last writer wins)
+ * @private
+ * @param {string} key - Storage key
+ * @param {Object} state - Sync state { deviceId, keys }, updated in place
+ * @param {Object} localItems - Local values of synced keys
+ * @param {Object} remoteItems - All sync items
+ * @returns {Promise<void>}
+ */
+async function reconcileSyncKey(key, state, localItems, remoteItems) {
+  const localValue = localItems[key];
+  const localHash = hashSyncValue(localValue);
+  const entry = state.keys[key] || { updatedAt: 0, syncedAt: 0, hash: null };
+
+  // Changed locally since the last look (a key never synced here stays at 0,
+  // so a device joining sync takes the shared configuration)
+  if (entry.hash !== null && entry.hash !== localHash) {
+    entry.updatedAt = Date.now();
+  }
+  entry.hash = localHash;
+  state.keys[key] = entry;
+
+  const remote = readRemoteEntry(remoteItems, key);
+  if (!remote) {
+    if (remoteItems[`${SYNC_ITEM_PREFIX}${key}`]) return; // incomplete write, retry later
+    if (localValue === undefined) return;
+
+    entry.updatedAt = entry.updatedAt || Date.now();
+    await writeRemoteEntry(remoteItems, key, localValue, { updatedAt: entry.updatedAt, deviceId: state.deviceId, hash: localHash });
+    entry.syncedAt = entry.updatedAt;
+    return;
+  }
+
+  const { meta, value: remoteValue } = remote;
+  if (meta.hash === localHash) {
+    entry.updatedAt = Math.max(entry.updatedAt, meta.updatedAt);
+    entry.syncedAt = entry.updatedAt;
+    return;
+  }
+
+  const localChanged = entry.updatedAt > entry.syncedAt;
+  const remoteChanged = meta.updatedAt > entry.syncedAt && meta.deviceId !== state.deviceId;
+  const remoteWins = meta.updatedAt > entry.updatedAt;
+
+  if (localChanged && remoteChanged) {
+    await logSyncConflict({
+      key,
+      timestamp: Date.now(),
+      winner: remoteWins ? 'remote' : 'local',
+      localUpdatedAt: entry.updatedAt,
+      remoteUpdatedAt: meta.updatedAt,
+      remoteDeviceId: meta.deviceId
+    });
+  }
+
+  if (remoteWins) {
+    // State is saved before the local write, so its change event is
+    // recognised as ours and not pushed back
+    entry.updatedAt = meta.updatedAt;
+    entry.syncedAt = meta.updatedAt;
+    entry.hash = meta.hash;
+    await chrome.storage.local.set({ [STORAGE_KEYS.SYNC_STATE]: state });
+    if (remoteValue === undefined) {
+      await removeStorage(key);
+    } else {
+      await writeStorage({ [key]: remoteValue });
+    }
+  } else {
+    await writeRemoteEntry(remoteItems, key, localValue, { updatedAt: entry.updatedAt, deviceId: state.deviceId, hash: localHash });
+    entry.syncedAt = entry.updatedAt;
+  }
+}
+
+/**
+ * Per-field maximum of two counter values
+ * @param {*} local - Local value
+ * @param {*} remote - Remote value
+ * @returns {*} Merged value; numbers keep the higher count, objects merge
+ *   field by field, anything else keeps the local value when there is one
+ */
+function mergeSyncCounters(local, remote) {
+  if (typeof local === 'number' && typeof remote === 'number') {
+    return Math.max(local, remote);
+  }
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (isObject(local) && isObject(remote)) {
+    const merged = { ...remote, ...local };
+    Object.keys(merged).forEach(field => {
+      merged[field] = mergeSyncCounters(local[field], remote[field]);
+    });
+    return merged;
+  }
+  return local === undefined ? remote : local;
+}
+
+/**
+ * Merge a usage counter key. Two devices counting the same day would
+ * overwrite each other's time under last-writer-wins, so both sides keep the
+ * higher count of every field. Not summed: once merged, each side's count
+ * already includes what it took over from the other.
+ * @private
+ * @param {string} key - Storage key in SYNC_USAGE_KEYS
+ * @param {Object} state - Sync state { deviceId, keys }, updated in place
+ * @param {Object} localItems - Local values of synced keys, plus
+ *   STORAGE_KEYS.LAST_RESET_DATE
+ * @param {Object} remoteItems - All sync items
+ * @returns {Promise<void>}
+ */
+async function reconcileCounterKey(key, state, localItems, remoteItems) {
+  const usageDate = SYNC_DAILY_COUNTER_KEYS.includes(key) ? localItems[STORAGE_KEYS.LAST_RESET_DATE] || null : null;
+  const entry = state.keys[key] || { updatedAt: 0, syncedAt: 0, hash: null };
+  state.keys[key] = entry;
+
+  const remote = readRemoteEntry(remoteItems, key);
+  if (!remote && remoteItems[`${SYNC_ITEM_PREFIX}${key}`]) return; // incomplete write, retry later
+
+  const remoteDate = remote ? remote.meta.usageDate || null : null;
+  // Another device already counts a later day: leave its counters alone
+  // until this one rolls over too
+  if (remoteDate && usageDate && Date.parse(remoteDate) > Date.parse(usageDate)) return;
+
+  const remoteValue = remote && remoteDate === usageDate ? remote.value : undefined;
+  const merged = mergeSyncCounters(localItems[key], remoteValue);
+  if (merged === undefined) return;
+  const hash = hashSyncValue(merged);
+
+  if (hash !== hashSyncValue(localItems[key])) {
+    // Read again right before writing: the usage accounting may have
+    // counted more time since localItems was read
+    const { [key]: latest } = await chrome.storage.local.get(key);
+    await chrome.storage.local.set({ [key]: mergeSyncCounters(latest, merged) });
+  }
+  if (!remote || remoteDate !== usageDate || remote.meta.hash !== hash) {
+    await writeRemoteEntry(remoteItems, key, merged, {
+      updatedAt: Date.now(),
+      deviceId: state.deviceId,
+      hash,
+      ...(usageDate ? { usageDate } : {})
+    });
+  }
+
+  entry.hash = hash;
+  entry.updatedAt = Date.now();
+  entry.syncedAt = entry.updatedAt;
+}
+
+/**
+ * Merge the given keys (all synced keys if omitted). No-op while sync is off.
+ * @param {Array<string>} [keys] - Storage keys to merge
+ * @returns {Promise<void>}
+ */
+function runSettingsSync(keys) {
+  syncQueue = syncQueue.then(async () => {
+    const { syncSettings, syncState } = await chrome.storage.local.get([
+      STORAGE_KEYS.SYNC_SETTINGS,
+      STORAGE_KEYS.SYNC_STATE
+    ]);
+    const settings = { ...DEFAULT_SYNC_SETTINGS, ...syncSettings };
+    if (!settings.enabled) return;
+
+    const syncedKeys = getSyncedKeys(settings);
+    const targetKeys = keys ? keys.filter(key => syncedKeys.includes(key)) : syncedKeys;
+    if (!targetKeys.length) return;
+
+    const state = {
+      deviceId: syncState?.deviceId || crypto.randomUUID(),
+      keys: syncState?.keys || {},
+      lastSyncAt: syncState?.lastSyncAt || null,
+      lastError: null
+    };
+    const localItems = await readStorage([...targetKeys, STORAGE_KEYS.LAST_RESET_DATE]);
+    const remoteItems = await chrome.storage.sync.get(null);
+
+    for (const key of targetKeys) {
+      try {
+        if (SYNC_USAGE_KEYS.includes(key)) {
+          await reconcileCounterKey(key, state, localItems, remoteItems);
+        } else {
+          await reconcileSyncKey(key, state, localItems, remoteItems);
+        }
+      } catch (error) {
+        // Usually a quota error; the key is retried on its next change
+        state.lastError = { key, message: error.message, timestamp: Date.now() };
+        console.warn('[Sync] Failed to sync', key, error);
+      }
+    }
+
+    state.lastSyncAt = Date.now();
+    await chrome.storage.local.set({ [STORAGE_KEYS.SYNC_STATE]: state });
+  }).catch(error => {
+    console.error('[Sync] Sync failed:', error);
+  });
+  return syncQueue;
+}
+
+/**
+ * Queue keys for a debounced sync, so bursts of writes cost one sync write
+ * @param {Array<string>} keys - Changed storage keys
+ */
+function scheduleSettingsSync(keys) {
+  keys.forEach(key => pendingSyncKeys.add(key));
+  if (syncDebounceTimer) clearTimeout(syncDebounceTimer);
+
+  syncDebounceTimer = setTimeout(() => {
+    const batch = [...pendingSyncKeys];
+    pendingSyncKeys = new Set();
+    syncDebounceTimer = null;
+    runSettingsSync(batch);
+  }, SYNC_DEBOUNCE_MS);
+}
+
+// Export for use in other modules
+if (typeof self !== 'undefined') {
+  self.DEFAULT_SYNC_SETTINGS = DEFAULT_SYNC_SETTINGS;
+  self.getSyncedKeys = getSyncedKeys;
+  self.mergeSyncCounters = mergeSyncCounters;
+  self.getKeyFromSyncItem = getKeyFromSyncItem;
+  self.splitSyncChunks = splitSyncChunks;
+  self.runSettingsSync = runSettingsSync;
+  self.scheduleSettingsSync = scheduleSettingsSync;
+}
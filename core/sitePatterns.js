@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Blocklist Site Patterns
+ * @description Parses blocklist entries into DNR conditions. Shared by the
+ * service worker (rule building) and the options page (input validation).
+ *
+ * Supported entry forms:
+ *   example.com               - whole domain, including subdomains
+ *   example.com/r/all         - path prefix
+ *   youtube.com/shorts/*      - wildcard (DNR urlFilter syntax)
+ *   /^https?:\/\/x\.com\/.*$/ - DNR regexFilter (RE2 syntax)
+ *   @@<any of the above>      - allow entry, overrides a broader block
+ * @version 1.0.0
+ */
+
+/**
+ * Site pattern types
+ * @constant {Object}
+ */
+const SITE_PATTERN_TYPES = {
+  DOMAIN: 'domain',
+  PATH: 'path',
+  WILDCARD: 'wildcard',
+  REGEX: 'regex'
+};
+
+/**
+ * Prefix marking an allow (exception) entry
+ * @constant {string}
+ */
+const ALLOW_PATTERN_PREFIX = '@@';
+
+/**
+ * Hostname validation (no wildcards, at least one dot)
+ * @constant {RegExp}
+ */
+const HOSTNAME_REGEX = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
+
+/**
+ * Check that a regex compiles and avoids features RE2 (used by DNR) rejects
+ * @param {string} regex - Regex source without delimiters
+ * @returns {boolean} True if usable as a regexFilter
+ */
+function isValidRegexPattern(regex) {
+  if (!regex) return false;
+
+  // Lookarounds and backreferences are not supported by RE2
+  if (/\(\?<?[=!]|\\[1-9]/.test(regex)) return false;
+
+  try {
+    new RegExp(regex);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Parse a blocklist entry
+ * @param {string} entry - Raw or stored blocklist entry
+ * @returns {Object|null} { action, type, canonical, domain, urlFilter | regexFilter },
+ *   or null if the entry is invalid
+ */
+function parseSitePattern(entry) {
+  if (typeof entry !== 'string') return null;
+
+  let pattern = entry.trim();
+  let action = 'block';
+  if (pattern.startsWith(ALLOW_PATTERN_PREFIX)) {
+    action = 'allow';
+    pattern = pattern.slice(ALLOW_PATTERN_PREFIX.length).trim();
+  }
+  const prefix = action === 'allow' ? ALLOW_PATTERN_PREFIX : '';
+
+  // Regex entries are wrapped in slashes
+  if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+    const regexFilter = pattern.slice(1, -1);
+    if (!isValidRegexPattern(regexFilter)) return null;
+
+    return {
+      action,
+      type: SITE_PATTERN_TYPES.REGEX,
+      canonical: `${prefix}/${regexFilter}/`,
+      domain: null,
+      regexFilter
+    };
+  }
+
+  // Strip scheme, leading "*." and "www."
+  const rest = pattern.replace(/^[a-z*]+:\/\//i, '').replace(/^\*\./, '');
+  const slashIndex = rest.indexOf('/');
+  const domain = (slashIndex === -1 ? rest : rest.slice(0, slashIndex))
+    .toLowerCase()
+    .replace(/^www\./, '');
+  const path = slashIndex === -1 ? '' : rest.slice(slashIndex).replace(/#.*$/, '');
+
+  if (!HOSTNAME_REGEX.test(domain)) return null;
+
+  if (!path || path === '/') {
+    return {
+      action,
+      type: SITE_PATTERN_TYPES.DOMAIN,
+      canonical: `${prefix}${domain}`,
+      domain,
+      urlFilter: `||${domain}^`
+    };
+  }
+
+  if (path.includes('*')) {
+    return {
+      action,
+      type: SITE_PATTERN_TYPES.WILDCARD,
+      canonical: `${prefix}${domain}${path}`,
+      domain,
+      urlFilter: `||${domain}${path}`
+    };
+  }
+
+  // "^" stops /r/all from also matching /r/allergies
+  return {
+    action,
+    type: SITE_PATTERN_TYPES.PATH,
+    canonical: `${prefix}${domain}${path}`,
+    domain,
+    urlFilter: path.endsWith('/') ? `||${domain}${path}` : `||${domain}${path}^`
+  };
+}
+
+/**
+ * Escape a literal string for use inside a regex
+ * @private
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a regex matching the full URL of a parsed pattern. Used for
+ * main_frame redirect rules, whose regexSubstitution needs the whole URL
+ * as capture \0.
+ * @param {Object} parsed - Result of parseSitePattern
+ * @returns {string} RE2-compatible regex
+ */
+function getSitePatternRegex(parsed) {
+  if (parsed.type === SITE_PATTERN_TYPES.REGEX) {
+    return `^.*(?:${parsed.regexFilter}).*$`;
+  }
+
+  const host = `^https?://([^/?#]*\\.)?${escapeRegex(parsed.domain)}(:[0-9]+)?`;
+
+  switch (parsed.type) {
+    case SITE_PATTERN_TYPES.PATH: {
+      const path = escapeRegex(parsed.canonical.slice(parsed.canonical.indexOf('/')));
+      return parsed.urlFilter.endsWith('^')
+        ? `${host}${path}([^a-zA-Z0-9_.%-].*)?$`
+        : `${host}${path}.*$`;
+    }
+    case SITE_PATTERN_TYPES.WILDCARD: {
+      const path = escapeRegex(parsed.canonical.slice(parsed.canonical.indexOf('/'))).replace(/\\\*/g, '.*');
+      return path.endsWith('.*') ? `${host}${path}$` : `${host}${path}.*$`;
+    }
+    default:
+      return `${host}([/?#].*)?$`;
+  }
+}
+
+// Export for use in other modules
+if (typeof self !== 'undefined') {
+  self.SITE_PATTERN_TYPES = SITE_PATTERN_TYPES;
+  self.ALLOW_PATTERN_PREFIX = ALLOW_PATTERN_PREFIX;
+  self.isValidRegexPattern = isValidRegexPattern;
+  self.parseSitePattern = parseSitePattern;
+  self.getSitePatternRegex = getSitePatternRegex;
+}
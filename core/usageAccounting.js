@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Usage Accounting
+ * @description Time Guardian usage kept as timestamped intervals, so it stays
+ * exact when the service worker is suspended or restarted.
+ *
+ * The background opens an interval when time starts counting for a domain
+ * (tab focused, audio playing, allowed site attended during a session...)
+ * and closes it when that stops. Open
+ * intervals are persisted with their start time. Every update (tab, window or
+ * idle event, or the heartbeat alarm) credits the time since that start to
+ * the day's usage and restarts the interval at the update time, so the stored
+ * usage is never more than one heartbeat behind.
+ *
+ * An interval whose start is older than MAX_CHECKPOINT_GAP_MS was left open
+ * by a browser exit, crash or sleep (the heartbeat would have advanced it
+ * otherwise). The gap is not credited; at most one heartbeat is lost.
+ * @version 1.0.0
+ */
+
+/**
+ * Alarm that checkpoints open intervals while any are open
+ * @constant {string}
+ */
+const USAGE_HEARTBEAT_ALARM = 'guardian-usage-heartbeat';
+
+const USAGE_HEARTBEAT_MINUTES = 0.5;
+
+const MAX_CHECKPOINT_GAP_MS = 3 * USAGE_HEARTBEAT_MINUTES * 60 * 1000;
+
+/**
+ * Which daily counter an interval is credited to
+ * @constant {Object}
+ */
+const USAGE_COUNTERS = {
+  USAGE: 'usage', // counts against limits (STORAGE_KEYS.DAILY_USAGE)
+  AUDIO: 'audio', // background audio, recorded only (STORAGE_KEYS.DAILY_AUDIO_USAGE)
+  ALLOWANCE: 'allowance' // in-session allowance spent (STORAGE_KEYS.SESSION_ALLOWANCES)
+};
+
+/**
+ * Date key of the usage day containing a timestamp (local time)
+ * @param {number} timestamp - Milliseconds
+ * @returns {string} Date.toDateString() form, as in STORAGE_KEYS.LAST_RESET_DATE
+ */
+function getUsageDate(timestamp) {
+  return new Date(timestamp).toDateString();
+}
+
+/**
+ * Split a time range at local midnights
+ * @param {number} start - Range start (ms)
+ * @param {number} end - Range end (ms)
+ * @returns {Array<{date: string, start: number, seconds: number}>} One piece per day
+ */
+function splitIntervalByDay(start, end) {
+  const pieces = [];
+  let cursor = start;
+  while (cursor < end) {
+    const midnight = new Date(cursor);
+    midnight.setHours(24, 0, 0, 0);
+    const pieceEnd = Math.min(end, midnight.getTime());
+    pieces.push({ date: getUsageDate(cursor), start: cursor, seconds: (pieceEnd - cursor) / 1000 });
+    cursor = pieceEnd;
+  }
+  return pieces;
+}
+
+/**
+ * Credit open intervals up to `now` and switch to a new set of intervals.
+ * Pure, so suspensions and crashes can be replayed with plain timestamps.
+ * @param {Object} state - { usage, audioUsage, usageDate, openIntervals,
+ *   allowances }. openIntervals holds { domain, counter, start }; allowances
+ *   is the session's { domain: { allowedSeconds, usedSeconds } } or null
+ * @param {Array<Object>|null} desired - { domain, counter } that should be
+ *   counting from now on, or null to keep the current set
+ * @param {number} now - Reference timestamp
+ * @returns {{state: Object, archived: Object, exhausted: Array<string>,
+ *   interrupted: Array<Object>}} New state, usage of finished days for the
+ *   history store (keyed by history date key, see core/usageHistory.js),
+ *   allowances used up by this update, and the intervals whose gap was
+ *   dropped
+ */
+function planUsageUpdate(state, desired, now) {
+  const usageDate = getUsageDate(now);
+  // A new day starts from zero; the finished day moves to the history
+  const rollover = state.usageDate !== usageDate;
+  const next = rollover
+    ? { usage: {}, audioUsage: {} }
+    : { usage: { ...state.usage }, audioUsage: { ...state.audioUsage } };
+  let allowances = state.allowances; // copied on write
+  const archived = {};
+  const exhausted = [];
+  const interrupted = [];
+  const archive = (timestamp, domain, seconds) => {
+    const dateKey = getHistoryDateKey(timestamp);
+    archived[dateKey] = archived[dateKey] || {};
+    archived[dateKey][domain] = (archived[dateKey][domain] || 0) + seconds;
+  };
+
+  if (rollover && state.usageDate) {
+    Object.entries(state.usage).forEach(([domain, seconds]) => archive(new Date(state.usageDate), domain, seconds));
+  }
+
+  for (const interval of state.openIntervals) {
+    const gap = now - interval.start;
+    if (gap < 0 || gap > MAX_CHECKPOINT_GAP_MS) {
+      interrupted.push(interval);
+      continue;
+    }
+    // Allowances belong to the session, not to a day
+    if (interval.counter === USAGE_COUNTERS.ALLOWANCE) {
+      const allowance = allowances?.[interval.domain];
+      if (!allowance || allowance.usedSeconds >= allowance.allowedSeconds) continue;
+      const usedSeconds = Math.min(allowance.allowedSeconds,
+        Math.round((allowance.usedSeconds + gap / 1000) * 1000) / 1000);
+      allowances = { ...allowances, [interval.domain]: { ...allowance, usedSeconds } };
+      if (usedSeconds >= allowance.allowedSeconds) exhausted.push(interval.domain);
+      continue;
+    }
+
+    const bucket = interval.counter === USAGE_COUNTERS.AUDIO ? next.audioUsage : next.usage;
+    splitIntervalByDay(interval.start, now).forEach(piece => {
+      if (piece.date === usageDate) {
+        bucket[interval.domain] = Math.round(((bucket[interval.domain] || 0) + piece.seconds) * 1000) / 1000;
+      } else if (interval.counter === USAGE_COUNTERS.USAGE) {
+        archive(piece.start, interval.domain, piece.seconds);
+      }
+    });
+  }
+
+  // An allowance used up by this update stops counting
+  const counting = (desired || state.openIntervals).filter(interval =>
+    interval.counter !== USAGE_COUNTERS.ALLOWANCE || !exhausted.includes(interval.domain));
+  return {
+    state: {
+      ...next,
+      usageDate,
+      openIntervals: counting.map(({ domain, counter }) => ({ domain, counter, start: now })),
+      allowances
+    },
+    archived,
+    exhausted,
+    interrupted
+  };
+}
+
+/**
+ * Usage of a domain including the part of open intervals not yet credited
+ * @param {Object} state - Accounting state
+ * @param {string} domain - Tracked domain
+ * @param {number} now - Reference timestamp
+ * @returns {number} Seconds counted against limits today
+ */
+function getLiveUsage(state, domain, now = Date.now()) {
+  const pending = state.openIntervals
+    .filter(interval => interval.domain === domain && interval.counter === USAGE_COUNTERS.USAGE)
+    .reduce((sum, interval) => sum + Math.max(0, Math.min(now - interval.start, MAX_CHECKPOINT_GAP_MS)) / 1000, 0);
+  return (state.usage[domain] || 0) + pending;
+}
+
+/**
+ * Run the heartbeat alarm only while something is counting
+ * @private
+ * @param {boolean} counting - Any open intervals
+ * @returns {Promise<void>}
+ */
+async function syncUsageHeartbeat(counting) {
+  const alarm = await chrome.alarms.get(USAGE_HEARTBEAT_ALARM);
+  if (counting && !alarm) {
+    chrome.alarms.create(USAGE_HEARTBEAT_ALARM, { periodInMinutes: USAGE_HEARTBEAT_MINUTES });
+  } else if (!counting && alarm) {
+    await chrome.alarms.clear(USAGE_HEARTBEAT_ALARM);
+  }
+}
+
+// Updates are chained so events arriving together never credit the same time twice
+let usageQueue = Promise.resolve();
+
+/**
+ * Checkpoint the stored intervals and optionally switch to a new set
+ * @param {Array<Object>|null} desired - See planUsageUpdate
+ * @param {number} now - Reference timestamp
+ * @returns {Promise<Object>} See planUsageUpdate
+ */
+function updateUsageIntervals(desired = null, now = Date.now()) {
+  const run = usageQueue.then(async () => {
+    const stored = await readStorage([
+      STORAGE_KEYS.DAILY_USAGE,
+      STORAGE_KEYS.DAILY_AUDIO_USAGE,
+      STORAGE_KEYS.LAST_RESET_DATE,
+      STORAGE_KEYS.GUARDIAN_OPEN_INTERVALS,
+      STORAGE_KEYS.USAGE_HISTORY,
+      STORAGE_KEYS.SESSION_ALLOWANCES
+    ]);
+    const storedAllowances = stored[STORAGE_KEYS.SESSION_ALLOWANCES] || null;
+    const result = planUsageUpdate({
+      usage: stored[STORAGE_KEYS.DAILY_USAGE] || {},
+      audioUsage: stored[STORAGE_KEYS.DAILY_AUDIO_USAGE] || {},
+      usageDate: stored[STORAGE_KEYS.LAST_RESET_DATE] || null,
+      openIntervals: stored[STORAGE_KEYS.GUARDIAN_OPEN_INTERVALS] || [],
+      allowances: storedAllowances
+    }, desired, now);
+
+    await writeStorage({
+      [STORAGE_KEYS.DAILY_USAGE]: result.state.usage,
+      [STORAGE_KEYS.DAILY_AUDIO_USAGE]: result.state.audioUsage,
+      [STORAGE_KEYS.LAST_RESET_DATE]: result.state.usageDate,
+      [STORAGE_KEYS.GUARDIAN_OPEN_INTERVALS]: result.state.openIntervals,
+      ...(Object.keys(result.archived).length > 0 ? {
+        [STORAGE_KEYS.USAGE_HISTORY]: archiveUsageDays(stored[STORAGE_KEYS.USAGE_HISTORY] || {}, result.archived, now)
+      } : {}),
+      // Only written when spent, so ended sessions' allowances are not recreated
+      ...(result.state.allowances !== storedAllowances ? { [STORAGE_KEYS.SESSION_ALLOWANCES]: result.state.allowances } : {})
+    });
+    await syncUsageHeartbeat(result.state.openIntervals.length > 0);
+    return result;
+  });
+  usageQueue = run.catch(() => {});
+  return run;
+}
+
+// Export for use in other modules
+if (typeof self !== 'undefined') {
+  self.USAGE_HEARTBEAT_ALARM = USAGE_HEARTBEAT_ALARM;
+  self.USAGE_COUNTERS = USAGE_COUNTERS;
+  self.splitIntervalByDay = splitIntervalByDay;
+  self.planUsageUpdate = planUsageUpdate;
+  self.getLiveUsage = getLiveUsage;
+  self.updateUsageIntervals = updateUsageIntervals;
+}
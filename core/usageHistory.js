@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Usage History Store
+ * @description Per-day Time Guardian usage kept after the day is over, for
+ * charts and exports. The service worker archives a day when the usage
+ * accounting rolls over to the next one (core/usageAccounting.js); the
+ * current day stays in STORAGE_KEYS.DAILY_USAGE until then.
+ *
+ * Stored shape, keyed by local date and rounded to whole seconds:
+ *   { "2026-10-18": { "youtube.com": 1260, "reddit.com": 95 }, ... }
+ * @version 1.0.0
+ */
+
+/**
+ * Days older than this are dropped whenever a day is archived
+ * @constant {number}
+ */
+const USAGE_HISTORY_RETENTION_DAYS = 180;
+
+/**
+ * Local date key of a timestamp
+ * @param {number|Date} timestamp - Milliseconds or Date
+ * @returns {string} YYYY-MM-DD
+ */
+function getHistoryDateKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Local midnight of a date key
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Date} Start of that day
+ */
+function parseHistoryDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Add finished days to the history and drop days past retention
+ * @param {Object} history - Stored history
+ * @param {Object} days - { <date key>: { <domain>: seconds } }
+ * @param {number} now - Reference timestamp
+ * @returns {Object} New history
+ */
+function archiveUsageDays(history, days, now = Date.now()) {
+  const next = { ...history };
+  Object.entries(days).forEach(([dateKey, usage]) => {
+    const day = { ...next[dateKey] };
+    Object.entries(usage).forEach(([domain, seconds]) => {
+      const total = Math.round((day[domain] || 0) + seconds);
+      if (total > 0) day[domain] = total;
+    });
+    if (Object.keys(day).length > 0) next[dateKey] = day;
+  });
+
+  const cutoff = new Date(now);
+  cutoff.setDate(cutoff.getDate() - USAGE_HISTORY_RETENTION_DAYS);
+  const cutoffKey = getHistoryDateKey(cutoff);
+  Object.keys(next).forEach(dateKey => {
+    if (dateKey < cutoffKey) delete next[dateKey];
+  });
+  return next;
+}
+
+/**
+ * Flatten the history, plus the day still in progress, into rows
+ * @param {Object} history - Stored history
+ * @param {Object} current - { usage, usageDate }: STORAGE_KEYS.DAILY_USAGE
+ *   and STORAGE_KEYS.LAST_RESET_DATE, not yet archived
+ * @param {Object} range - { from, to } date keys, inclusive; null for open
+ * @returns {Array<{date: string, domain: string, seconds: number}>} Rows,
+ *   oldest day first
+ */
+function getUsageHistoryRows(history, current = {}, { from = null, to = null } = {}) {
+  const days = current.usageDate && current.usage
+    ? archiveUsageDays(history, { [getHistoryDateKey(new Date(current.usageDate))]: current.usage })
+    : history;
+
+  return Object.keys(days)
+    .filter(dateKey => (!from || dateKey >= from) && (!to || dateKey <= to))
+    .sort()
+    .flatMap(dateKey => Object.entries(days[dateKey])
+      .map(([domain, seconds]) => ({ date: dateKey, domain, seconds })));
+}
+
+/**
+ * Start of the week or month containing a date
+ * @param {Date} date - Any time in the period
+ * @param {string} period - 'week' (weeks start on Monday) or 'month'
+ * @returns {Date} Local midnight the period starts on
+ */
+function getUsagePeriodStart(date, period) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (period === 'month') {
+    start.setDate(1);
+  } else {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  }
+  return start;
+}
+
+/**
+ * Total usage rows per week or month, ending with the current period
+ * @param {Array<Object>} rows - Result of getUsageHistoryRows
+ * @param {Object} options - { period: 'week'|'month', count, domain, now };
+ *   domain null totals all sites
+ * @returns {Array<{start: string, seconds: number}>} One entry per period,
+ *   oldest first, start as a date key
+ */
+function summarizeUsageByPeriod(rows, { period = 'week', count = 12, domain = null, now = Date.now() } = {}) {
+  const buckets = [];
+  let start = getUsagePeriodStart(new Date(now), period);
+  for (let i = 0; i < count; i++) {
+    buckets.unshift({ start: getHistoryDateKey(start), seconds: 0 });
+    start = period === 'month'
+      ? new Date(start.getFullYear(), start.getMonth() - 1, 1)
+      : new Date(start.getFullYear(), start.getMonth(), start.getDate() - 7);
+  }
+
+  rows
+    .filter(row => !domain || row.domain === domain)
+    .forEach(row => {
+      const bucket = buckets.find((entry, index) =>
+        row.date >= entry.start && (index === buckets.length - 1 || row.date < buckets[index + 1].start));
+      if (bucket) bucket.seconds += row.seconds;
+    });
+  return buckets;
+}
+
+// Export for use in other modules
+if (typeof self !== 'undefined') {
+  self.USAGE_HISTORY_RETENTION_DAYS = USAGE_HISTORY_RETENTION_DAYS;
+  self.getHistoryDateKey = getHistoryDateKey;
+  self.parseHistoryDateKey = parseHistoryDateKey;
+  self.getUsagePeriodStart = getUsagePeriodStart;
+  self.archiveUsageDays = archiveUsageDays;
+  self.getUsageHistoryRows = getUsageHistoryRows;
+  self.summarizeUsageByPeriod = summarizeUsageByPeriod;
+}
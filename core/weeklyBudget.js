@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Weekly Budgets
+ * @description Weekly Time Guardian budgets and daily rollover, worked out
+ * from the usage history (core/usageHistory.js) plus today's usage. Weeks
+ * start on Monday, as in the usage charts.
+ *
+ * Both live in the Guardian limits (STORAGE_KEYS.GUARDIAN_LIMITS):
+ *   weeklyBudgets: [{ id, name, domains, limit }] - limit in seconds, shared
+ *     by all domains of the budget (e.g. one budget for several video sites)
+ *   rollover: { enabled, cap } - daily time left unused carries over to the
+ *     next day of the same week, up to cap seconds
+ * @version 1.0.0
+ */
+
+/**
+ * Budget covering a domain
+ * @param {string} domain - Tracked domain
+ * @param {Object} limits - Guardian limits
+ * @returns {Object|null} First budget listing the domain
+ */
+function findWeeklyBudget(domain, limits) {
+  return (limits.weeklyBudgets || []).find(budget => budget.domains.includes(domain)) || null;
+}
+
+/**
+ * History rows of the days of this week before today
+ * @private
+ * @param {Object} history - Stored usage history
+ * @param {number} now - Reference timestamp
+ * @returns {Array<Object>} Rows as returned by getUsageHistoryRows
+ */
+function getPastDaysOfWeek(history, now) {
+  const today = new Date(now);
+  const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+  return getUsageHistoryRows(history, {}, {
+    from: getHistoryDateKey(getUsagePeriodStart(today, 'week')),
+    to: getHistoryDateKey(yesterday)
+  });
+}
+
+/**
+ * Unused daily time carried into today. Each earlier day of the week may use
+ * what it was given (its base limit plus the carry it received); whatever is
+ * left, capped, moves on. Past days use the current base limits, without
+ * time-based schedules.
+ * @param {string} domain - Tracked domain
+ * @param {Object} limits - Guardian limits
+ * @param {Array<Object>} pastRows - History rows of earlier days this week
+ * @param {number} now - Reference timestamp
+ * @returns {number} Seconds added to today's limit
+ */
+function getRolloverSeconds(domain, limits, pastRows, now = Date.now()) {
+  if (!limits.rollover?.enabled) return 0;
+
+  const today = new Date(now);
+  const day = getUsagePeriodStart(today, 'week');
+  let carry = 0;
+  while (getHistoryDateKey(day) < getHistoryDateKey(today)) {
+    const dateKey = getHistoryDateKey(day);
+    const used = pastRows
+      .filter(row => row.date === dateKey && row.domain === domain)
+      .reduce((sum, row) => sum + row.seconds, 0);
+    carry = Math.min(limits.rollover.cap, Math.max(0, getGuardianBaseLimit(domain, limits, day) + carry - used));
+    day.setDate(day.getDate() + 1);
+  }
+  return carry;
+}
+
+/**
+ * Daily and weekly standing of a domain
+ * @param {string} domain - Tracked domain
+ * @param {Object} context - { limits, dailyLimit, history, todayUsage, now }
+ *   dailyLimit is today's limit after schedules; todayUsage maps domains to
+ *   seconds used today and must cover the domains of the domain's budget
+ * @returns {{daily: Object, weekly: Object|null, exceeded: string|null}}
+ *   daily and weekly are { limit, used, remaining } (weekly also has the
+ *   budget name, daily the rollover included in its limit); exceeded is
+ *   'day', 'week' or null
+ */
+function getGuardianBudgetStatus(domain, { limits, dailyLimit, history, todayUsage, now = Date.now() }) {
+  const pastRows = getPastDaysOfWeek(history, now);
+  const rollover = getRolloverSeconds(domain, limits, pastRows, now);
+  const dailyUsed = todayUsage[domain] || 0;
+  const daily = {
+    limit: dailyLimit + rollover,
+    rollover,
+    used: dailyUsed,
+    remaining: Math.max(0, dailyLimit + rollover - dailyUsed)
+  };
+
+  const budget = findWeeklyBudget(domain, limits);
+  let weekly = null;
+  if (budget) {
+    const used = pastRows
+      .filter(row => budget.domains.includes(row.domain))
+      .reduce((sum, row) => sum + row.seconds, 0) +
+      budget.domains.reduce((sum, budgetDomain) => sum + (todayUsage[budgetDomain] || 0), 0);
+    weekly = { name: budget.name, limit: budget.limit, used, remaining: Math.max(0, budget.limit - used) };
+  }
+
+  let exceeded = null;
+  if (daily.used > daily.limit) exceeded = 'day';
+  else if (weekly && weekly.used > weekly.limit) exceeded = 'week';
+  return { daily, weekly, exceeded };
+}
+
+// Export for use in other modules
+if (typeof self !== 'undefined') {
+  self.findWeeklyBudget = findWeeklyBudget;
+  self.getRolloverSeconds = getRolloverSeconds;
+  self.getGuardianBudgetStatus = getGuardianBudgetStatus;
+}
@@ -1,23 +1,45 @@
 // options.js - Local state management for Cognitive Defense options/dashboard UI
-// STORAGE_KEYS and DISTRACTING_SITES are loaded from config.js
+// STORAGE_KEYS, DISTRACTING_SITES and the tracked-site helpers are loaded from config.js
 
 // Storage keys for options (using centralized STORAGE_KEYS)
 const OPTIONS_STORAGE_KEYS = {
     BLOCKED_SITES: STORAGE_KEYS.OPTIONS_BLOCKED_SITES,
+    ALLOWED_SITES: STORAGE_KEYS.OPTIONS_ALLOWED_SITES,
     FOCUS_DURATION: STORAGE_KEYS.OPTIONS_FOCUS_DURATION,
     EMERGENCY_CODE: STORAGE_KEYS.OPTIONS_EMERGENCY_CODE,
-    MAX_ATTEMPTS: STORAGE_KEYS.OPTIONS_MAX_ATTEMPTS
+    MAX_ATTEMPTS: STORAGE_KEYS.OPTIONS_MAX_ATTEMPTS,
+    UNLOCK_METHOD: STORAGE_KEYS.OPTIONS_UNLOCK_METHOD,
+    UNLOCK_COOLDOWN: STORAGE_KEYS.OPTIONS_UNLOCK_COOLDOWN,
+    TYPING_CHALLENGE_LENGTH: STORAGE_KEYS.OPTIONS_TYPING_CHALLENGE_LENGTH,
+    OPEN_TAB_ACTION: STORAGE_KEYS.OPTIONS_OPEN_TAB_ACTION,
+    SITE_ALLOWANCES: STORAGE_KEYS.OPTIONS_SITE_ALLOWANCES,
+    BLOCKED_KEYWORDS: STORAGE_KEYS.OPTIONS_BLOCKED_KEYWORDS,
+    KEYWORD_LISTS: STORAGE_KEYS.OPTIONS_KEYWORD_LISTS,
+    SEARCH_CHECK: STORAGE_KEYS.OPTIONS_SEARCH_CHECK
 };
 
 // Local state variables
 let blockedSites = [];
+let allowedSites = [];
+let siteAllowances = {}; // { domain: minutes per session }
+let blockedKeywords = [];
+let keywordLists = []; // distraction list categories blocked as keywords
+let searchCheck = { ...DEFAULT_SEARCH_CHECK };
 let focusDuration = 25; // minutes
-let emergencyRules = { code: '', maxAttempts: 3 };
-let guardianLimits = { global: 10, overrides: {} };
+let openTabAction = OPEN_TAB_ACTIONS.REDIRECT;
+let emergencyRules = { code: '', maxAttempts: 3, unlockMethod: UNLOCK_METHODS.PASSWORD, cooldownMinutes: DEFAULT_UNLOCK_COOLDOWN_MINUTES, typingLength: DEFAULT_TYPING_CHALLENGE_LENGTH };
+let guardianLimits = { global: 10, overrides: {}, dayLimits: [], weeklyBudgets: [], rollover: { ...DEFAULT_GUARDIAN_ROLLOVER } };
 let dailyUsage = {};
+let dailyAudioUsage = {};
+let usageDate = null; // day dailyUsage belongs to (STORAGE_KEYS.LAST_RESET_DATE)
+let usageHistory = {};
+let audiblePolicy = AUDIBLE_TAB_POLICIES.TRACK;
 let timeSchedules = [];
+let distractingSites = [...DISTRACTING_SITES]; // Time Guardian tracked sites
 let timeSchedulesEnabled = false;
 let securityLogs = [];
+let focusSchedules = [];
+let profiles = [];
 
 // DOM elements
 const tabBtns = document.querySelectorAll('.tab-btn');
@@ -38,6 +60,16 @@ document.body.appendChild(lockOverlay);
 const blocklistForm = document.getElementById('blocklist-form');
 const siteInput = document.getElementById('site-input');
 const blocklist = document.getElementById('blocklist');
+const keywordForm = document.getElementById('keyword-form');
+const keywordInput = document.getElementById('keyword-input');
+const keywordList = document.getElementById('keyword-list');
+const searchCheckEnabledToggle = document.getElementById('search-check-enabled');
+const searchCheckLogToggle = document.getElementById('search-check-log-queries');
+const termListsBody = document.getElementById('term-lists-body');
+const allowlistForm = document.getElementById('allowlist-form');
+const allowSiteInput = document.getElementById('allow-site-input');
+const allowlist = document.getElementById('allowlist');
+const openTabActionSelect = document.getElementById('open-tab-action');
 const durationForm = document.getElementById('duration-form');
 const durationInput = document.getElementById('duration-input');
 const currentDuration = document.getElementById('current-duration');
@@ -46,6 +78,11 @@ const unlockCodeInput = document.getElementById('unlock-code');
 const unlockCodeConfirm = document.getElementById('unlock-code-confirm');
 const codeMatchStatus = document.getElementById('code-match-status');
 const maxAttemptsInput = document.getElementById('max-attempts');
+const unlockMethodSelect = document.getElementById('unlock-method');
+const unlockCooldownInput = document.getElementById('unlock-cooldown');
+const unlockCooldownRow = document.getElementById('unlock-cooldown-row');
+const typingLengthInput = document.getElementById('typing-length');
+const typingLengthRow = document.getElementById('typing-length-row');
 const emergencyStatus = document.getElementById('emergency-status');
 // Emergency unlock panel elements
 const sessionIndicator = document.getElementById('session-indicator');
@@ -68,30 +105,83 @@ const riskAdvice = document.getElementById('risk-advice');
 const refreshRiskBtn = document.getElementById('refresh-risk');
 const globalLimitInput = document.getElementById('global-limit');
 const saveGuardianLimitBtn = document.getElementById('save-guardian-limit');
+const trackedSiteForm = document.getElementById('tracked-site-form');
+const trackedSiteInput = document.getElementById('tracked-site-input');
+const trackedSitesList = document.getElementById('tracked-sites-list');
+const resetTrackedSitesBtn = document.getElementById('reset-tracked-sites');
+const audiblePolicySelect = document.getElementById('guardian-audible-policy');
+const dayLimitsContainer = document.getElementById('day-limits-container');
+const addDayLimitBtn = document.getElementById('add-day-limit-btn');
+const weeklyBudgetsContainer = document.getElementById('weekly-budgets-container');
+const addWeeklyBudgetBtn = document.getElementById('add-weekly-budget-btn');
+const rolloverEnabledToggle = document.getElementById('guardian-rollover-enabled');
+const rolloverCapInput = document.getElementById('guardian-rollover-cap');
 const guardianUsageBody = document.getElementById('guardian-usage-body');
 const schedulesToggle = document.getElementById('schedules-toggle');
 const schedulesContainer = document.getElementById('schedules-container');
 const addScheduleBtn = document.getElementById('add-schedule-btn');
+const usageChartPeriodSelect = document.getElementById('usage-chart-period');
+const usageChartDomainSelect = document.getElementById('usage-chart-domain');
+const usageChart = document.getElementById('usage-chart');
+const usageExportFromInput = document.getElementById('usage-export-from');
+const usageExportToInput = document.getElementById('usage-export-to');
 const exportUsageCsvBtn = document.getElementById('export-usage-csv');
 const exportUsageJsonBtn = document.getElementById('export-usage-json');
 const exportLogsCsvBtn = document.getElementById('export-logs-csv');
 const exportLogsJsonBtn = document.getElementById('export-logs-json');
+const focusSchedulesContainer = document.getElementById('focus-schedules-container');
+const addFocusScheduleBtn = document.getElementById('add-focus-schedule-btn');
+const profilesContainer = document.getElementById('profiles-container');
+const addProfileBtn = document.getElementById('add-profile-btn');
+const activeRulesBody = document.getElementById('active-rules-body');
+const refreshRulesBtn = document.getElementById('refresh-rules');
+const syncEnabledToggle = document.getElementById('sync-enabled');
+const syncSecretsToggle = document.getElementById('sync-secrets');
+const syncUsageToggle = document.getElementById('sync-usage');
+const syncStatusEl = document.getElementById('sync-status');
+const syncConflictsBody = document.getElementById('sync-conflicts-body');
+const backupIncludeHistoryToggle = document.getElementById('backup-include-history');
+const exportBackupBtn = document.getElementById('export-backup');
+const importBackupBtn = document.getElementById('import-backup');
+const importBackupFile = document.getElementById('import-backup-file');
+const backupStatusEl = document.getElementById('backup-status');
+const backupPreview = document.getElementById('backup-preview');
+const backupPreviewSummary = document.getElementById('backup-preview-summary');
+const backupDiffBody = document.getElementById('backup-diff-body');
+const backupPasswordRow = document.getElementById('backup-password-row');
+const backupPasswordInput = document.getElementById('backup-password');
+const applyBackupBtn = document.getElementById('apply-backup');
+const cancelBackupBtn = document.getElementById('cancel-backup');
+
+// Display names for DNR rule owners (see core/ruleManager.js)
+const RULE_OWNER_LABELS = {
+    focus_session: 'Focus Session',
+    strict_mode: 'Strict Mode',
+    guardian_lockout: 'Time Guardian',
+    trackers: 'Tracker Blocking',
+    user_rules: 'User Rules'
+};
 
 // Initialize UI
 async function init() {
     await loadSettings();
     setupEventListeners();
     renderBlocklist();
+    renderKeywordList();
+    renderTermLists();
+    renderAllowlist();
+    renderActiveRules();
     renderLogs();
     renderRiskScore();
     renderGuardianSettings();
     updateUI();
     checkSessionStatus();
     updateEmergencyUnlockPanel();
+    loadSyncStatus();
 }
 
 async function checkSessionStatus() {
-    const { sessionEndTime } = await chrome.storage.local.get('sessionEndTime');
+    const { sessionEndTime } = await readStorage('sessionEndTime');
     if (sessionEndTime && Date.now() < sessionEndTime) {
         document.body.classList.add('session-locked');
         lockOverlay.style.display = 'flex';
@@ -108,7 +198,8 @@ async function checkSessionStatus() {
 }
 
 // Listen for session start/end
-chrome.storage.onChanged.addListener((changes) => {
+chrome.storage.onChanged.addListener((storageChanges) => {
+    const changes = getStorageChanges(storageChanges);
     if (changes.sessionEndTime) {
         checkSessionStatus();
         updateEmergencyUnlockPanel();
@@ -149,29 +240,32 @@ function addSite(e) {
 
 function removeSite(url) {
     blockedSites = blockedSites.filter(site => site !== url);
+    delete siteAllowances[url];
     renderBlocklist();
     saveSetting(OPTIONS_STORAGE_KEYS.BLOCKED_SITES, blockedSites);
+    saveSetting(OPTIONS_STORAGE_KEYS.SITE_ALLOWANCES, siteAllowances);
 }
 
-function normalizeUrlToPattern(url) {
-    try {
-        // Ensure protocol
-        if (!url.startsWith('http')) {
-            url = 'https://' + url;
-        }
-        const urlObj = new URL(url);
-        let domain = urlObj.hostname;
-
-        // Strip www. prefix for consistent storage
-        if (domain.startsWith('www.')) {
-            domain = domain.substring(4);
-        }
+// In-session allowance for a whole-site entry; 0 removes it
+function setSiteAllowance(domain, value) {
+    const minutes = Math.min(240, Math.max(0, parseInt(value, 10) || 0));
+    if (minutes > 0) {
+        siteAllowances[domain] = minutes;
+    } else {
+        delete siteAllowances[domain];
+    }
+    saveSetting(OPTIONS_STORAGE_KEYS.SITE_ALLOWANCES, siteAllowances);
+}
 
-        return domain; // Store just 'example.com'
-    } catch (e) {
-        alert('Invalid URL');
+function normalizeUrlToPattern(url) {
+    // Accepts domains, path prefixes, wildcards, /regex/ and @@ allow entries
+    const parsed = parseSitePattern(url);
+    if (!parsed) {
+        alert(`Invalid site pattern: ${url}`);
         return null;
     }
+
+    return parsed.canonical; // e.g. 'example.com', 'reddit.com/r/all', '@@reddit.com/r/javascript'
 }
 
 function renderBlocklist() {
@@ -179,13 +273,345 @@ function renderBlocklist() {
     blockedSites.forEach(site => {
         const li = document.createElement('li');
         li.innerHTML = `
-            <span>${site}</span>
-            <button class="remove-btn" data-url="${site}">Remove</button>
+            <span></span>
+            <div style="display: flex; gap: 8px; align-items: center;">
+                <button class="remove-btn">Remove</button>
+            </div>
         `;
+        // Patterns may contain markup characters (regex), so set them as text
+        li.querySelector('span').textContent = site;
+        li.querySelector('.remove-btn').dataset.url = site;
+
+        // Only whole-site entries can carry an in-session allowance
+        const parsed = parseSitePattern(site);
+        if (parsed && parsed.action === 'block' && parsed.type === SITE_PATTERN_TYPES.DOMAIN) {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.max = '240';
+            input.placeholder = '0';
+            input.title = 'Minutes allowed per focus session';
+            input.className = 'allowance-input';
+            input.style.width = '70px';
+            input.value = siteAllowances[parsed.domain] || '';
+            input.dataset.domain = parsed.domain;
+
+            const label = document.createElement('span');
+            label.textContent = 'min/session';
+            label.style.cssText = 'color: var(--text-secondary); font-size: 12px;';
+
+            li.querySelector('div').prepend(input, label);
+        }
         blocklist.appendChild(li);
     });
 }
 
+// Keyword management
+function addKeyword(e) {
+    e.preventDefault();
+    const keyword = normalizeKeyword(keywordInput.value);
+    if (!keyword) {
+        alert('Keywords must be 2 to 50 characters long.');
+        return;
+    }
+    if (!blockedKeywords.includes(keyword)) {
+        blockedKeywords.push(keyword);
+        renderKeywordList();
+        saveSetting(OPTIONS_STORAGE_KEYS.BLOCKED_KEYWORDS, blockedKeywords);
+    }
+    keywordInput.value = '';
+}
+
+function removeKeyword(keyword) {
+    blockedKeywords = blockedKeywords.filter(k => k !== keyword);
+    renderKeywordList();
+    saveSetting(OPTIONS_STORAGE_KEYS.BLOCKED_KEYWORDS, blockedKeywords);
+}
+
+function renderKeywordList() {
+    keywordList.innerHTML = '';
+    blockedKeywords.forEach(keyword => {
+        const li = document.createElement('li');
+        li.innerHTML = `
+            <span></span>
+            <button class="remove-btn">Remove</button>
+        `;
+        li.querySelector('span').textContent = keyword;
+        li.querySelector('.remove-btn').dataset.keyword = keyword;
+        keywordList.appendChild(li);
+    });
+}
+
+// Distraction term lists (search check and keyword blocking)
+async function renderTermLists() {
+    searchCheckEnabledToggle.checked = searchCheck.enabled;
+    searchCheckLogToggle.checked = searchCheck.logQueries;
+
+    const lists = await loadDistractionTerms();
+    termListsBody.innerHTML = '';
+    Object.entries(lists).forEach(([category, list]) => {
+        const row = document.createElement('tr');
+        row.style.borderBottom = '1px solid var(--glass-border)';
+        row.innerHTML = `
+            <td style="padding: 10px;"></td>
+            <td style="padding: 10px; color: var(--text-secondary); font-size: 13px;"></td>
+            <td style="padding: 10px;"><input type="checkbox" data-use="search"></td>
+            <td style="padding: 10px;"><input type="checkbox" data-use="keywords"></td>
+        `;
+        row.cells[0].textContent = list.label;
+        row.cells[1].textContent = list.terms.slice(0, 4).join(', ') + '…';
+        const [searchBox, keywordsBox] = row.querySelectorAll('input');
+        searchBox.checked = searchCheck.categories.includes(category);
+        keywordsBox.checked = keywordLists.includes(category);
+        searchBox.dataset.category = category;
+        keywordsBox.dataset.category = category;
+        termListsBody.appendChild(row);
+    });
+}
+
+function setTermListUse(category, use, checked) {
+    const toggle = (list) => checked ? [...new Set([...list, category])] : list.filter(c => c !== category);
+    if (use === 'search') {
+        searchCheck = { ...searchCheck, categories: toggle(searchCheck.categories) };
+        saveSetting(OPTIONS_STORAGE_KEYS.SEARCH_CHECK, searchCheck);
+    } else {
+        keywordLists = toggle(keywordLists);
+        saveSetting(OPTIONS_STORAGE_KEYS.KEYWORD_LISTS, keywordLists);
+    }
+}
+
+function saveSearchCheckToggles() {
+    searchCheck = { ...searchCheck, enabled: searchCheckEnabledToggle.checked, logQueries: searchCheckLogToggle.checked };
+    saveSetting(OPTIONS_STORAGE_KEYS.SEARCH_CHECK, searchCheck);
+}
+
+// Allowlist management (allowlist-only sessions)
+function addAllowedSite(e) {
+    e.preventDefault();
+    const url = allowSiteInput.value.trim();
+    if (url) {
+        // Every allowlist entry is already an exception, so drop any @@ prefix
+        const normalizedUrl = normalizeUrlToPattern(url.replace(/^@@/, ''));
+        if (normalizedUrl && !allowedSites.includes(normalizedUrl)) {
+            allowedSites.push(normalizedUrl);
+            renderAllowlist();
+            allowSiteInput.value = '';
+            saveSetting(OPTIONS_STORAGE_KEYS.ALLOWED_SITES, allowedSites);
+        }
+    }
+}
+
+function removeAllowedSite(url) {
+    allowedSites = allowedSites.filter(site => site !== url);
+    renderAllowlist();
+    saveSetting(OPTIONS_STORAGE_KEYS.ALLOWED_SITES, allowedSites);
+}
+
+function renderAllowlist() {
+    allowlist.innerHTML = '';
+    allowedSites.forEach(site => {
+        const li = document.createElement('li');
+        li.innerHTML = `
+            <span></span>
+            <button class="remove-btn">Remove</button>
+        `;
+        li.querySelector('span').textContent = site;
+        li.querySelector('.remove-btn').dataset.url = site;
+        allowlist.appendChild(li);
+    });
+}
+
+// Active rules inspector
+function renderActiveRules() {
+    chrome.runtime.sendMessage({ type: 'GET_ACTIVE_RULES' }, (response) => {
+        activeRulesBody.innerHTML = '';
+
+        if (!response || !response.success) {
+            activeRulesBody.innerHTML = '<tr><td colspan="4" style="padding: 10px; color: var(--danger-color);">Failed to load rules</td></tr>';
+            return;
+        }
+
+        if (response.rules.length === 0) {
+            activeRulesBody.innerHTML = '<tr><td colspan="4" style="padding: 10px; color: var(--text-secondary);">No rules active</td></tr>';
+            return;
+        }
+
+        response.rules.forEach(rule => {
+            const filter = rule.condition.urlFilter || rule.condition.regexFilter || '*';
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td style="padding: 10px;">${RULE_OWNER_LABELS[rule.owner] || 'Unknown'}</td>
+                <td style="padding: 10px; font-family: monospace;"></td>
+                <td style="padding: 10px;">${rule.action.type}</td>
+                <td style="padding: 10px;">${rule.priority}</td>
+            `;
+            tr.children[1].textContent = filter;
+            activeRulesBody.appendChild(tr);
+        });
+    });
+}
+
+// Settings sync
+function loadSyncStatus() {
+    chrome.runtime.sendMessage({ type: 'GET_SYNC_STATUS' }, renderSyncStatus);
+}
+
+function saveSyncSettings() {
+    chrome.runtime.sendMessage({
+        type: 'SET_SYNC_SETTINGS',
+        payload: {
+            enabled: syncEnabledToggle.checked,
+            includeSecrets: syncSecretsToggle.checked,
+            includeUsage: syncUsageToggle.checked
+        }
+    }, renderSyncStatus);
+}
+
+function renderSyncStatus(response) {
+    if (!response || !response.success) {
+        syncStatusEl.textContent = 'Failed to load sync status: ' + (response ? response.error : 'Unknown error');
+        return;
+    }
+
+    const { settings, lastSyncAt, lastError, conflicts, bytesInUse, quotaBytes } = response;
+    syncEnabledToggle.checked = settings.enabled;
+    syncSecretsToggle.checked = settings.includeSecrets;
+    syncUsageToggle.checked = settings.includeUsage;
+    syncSecretsToggle.disabled = !settings.enabled;
+    syncUsageToggle.disabled = !settings.enabled;
+
+    if (!settings.enabled) {
+        syncStatusEl.textContent = 'Sync is off. Settings stay on this browser only.';
+    } else {
+        const last = lastSyncAt ? new Date(lastSyncAt).toLocaleString() : 'never';
+        const usage = `${Math.round(bytesInUse / 1024)} of ${Math.round(quotaBytes / 1024)} KB used`;
+        syncStatusEl.textContent = lastError
+            ? `Last sync ${last} · ${usage} · Could not sync ${lastError.key}: ${lastError.message}`
+            : `Last sync ${last} · ${usage}`;
+    }
+
+    syncConflictsBody.innerHTML = '';
+    if (conflicts.length === 0) {
+        syncConflictsBody.innerHTML = '<tr><td colspan="3" style="padding: 10px; color: var(--text-secondary);">No conflicts</td></tr>';
+        return;
+    }
+    conflicts.forEach(conflict => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td style="padding: 10px;"></td>
+            <td style="padding: 10px; font-family: monospace;"></td>
+            <td style="padding: 10px;"></td>
+        `;
+        tr.children[0].textContent = new Date(conflict.timestamp).toLocaleString();
+        tr.children[1].textContent = conflict.key;
+        tr.children[2].textContent = conflict.winner === 'remote' ? 'Other browser' : 'This browser';
+        syncConflictsBody.appendChild(tr);
+    });
+}
+
+// Backup & restore
+let pendingBackup = null; // parsed file waiting for confirmation
+
+function showBackupStatus(message, isError = false) {
+    backupStatusEl.textContent = message;
+    backupStatusEl.style.color = isError ? 'var(--danger-color)' : 'var(--text-secondary)';
+    backupStatusEl.style.display = 'block';
+}
+
+function exportBackup() {
+    chrome.runtime.sendMessage({
+        type: 'EXPORT_BACKUP',
+        payload: { includeHistory: backupIncludeHistoryToggle.checked }
+    }, (response) => {
+        if (response && response.success) {
+            exportAsJSON(response.backup, 'cognitive-defense-backup');
+        } else {
+            alert('Failed to export backup: ' + (response ? response.error : 'Unknown error'));
+        }
+    });
+}
+
+function clearBackupPreview() {
+    pendingBackup = null;
+    importBackupFile.value = '';
+    backupPasswordInput.value = '';
+    backupPreview.style.display = 'none';
+}
+
+async function previewBackupFile() {
+    const file = importBackupFile.files[0];
+    if (!file) return;
+
+    clearBackupPreview();
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        showBackupStatus(`${file.name} is not valid JSON`, true);
+        return;
+    }
+
+    chrome.runtime.sendMessage({ type: 'PREVIEW_BACKUP', payload: { backup: data } }, (response) => {
+        if (!response || !response.success) {
+            showBackupStatus('Failed to read backup: ' + (response ? response.error : 'Unknown error'), true);
+            return;
+        }
+        if (!response.valid) {
+            showBackupStatus('This backup cannot be restored: ' + response.errors.join('; '), true);
+            return;
+        }
+        if (response.changes.length === 0) {
+            showBackupStatus('Your settings already match this backup.');
+            return;
+        }
+
+        pendingBackup = data;
+        backupStatusEl.style.display = 'none';
+        renderBackupPreview(response);
+    });
+}
+
+function renderBackupPreview({ changes, requiresPassword, exportDate, schemaVersion }) {
+    const exported = exportDate ? new Date(exportDate).toLocaleString() : 'an unknown date';
+    backupPreviewSummary.textContent = `Backup from ${exported} (schema v${schemaVersion}) changes ${changes.length} ${changes.length === 1 ? 'setting' : 'settings'}:`;
+
+    backupDiffBody.innerHTML = '';
+    changes.forEach(change => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td style="padding: 10px;"></td>
+            <td style="padding: 10px;"></td>
+            <td style="padding: 10px; color: var(--text-secondary);"></td>
+            <td style="padding: 10px;"></td>
+        `;
+        tr.children[0].textContent = change.section;
+        tr.children[1].textContent = change.label;
+        tr.children[2].textContent = change.from;
+        tr.children[3].textContent = change.to;
+        backupDiffBody.appendChild(tr);
+    });
+
+    backupPasswordRow.style.display = requiresPassword ? 'block' : 'none';
+    backupPreview.style.display = 'block';
+}
+
+function restoreBackup() {
+    if (!pendingBackup) return;
+
+    chrome.runtime.sendMessage({
+        type: 'RESTORE_BACKUP',
+        payload: { backup: pendingBackup, password: backupPasswordInput.value }
+    }, (response) => {
+        if (response && response.success) {
+            clearBackupPreview();
+            showBackupStatus(`Restored ${response.applied} ${response.applied === 1 ? 'setting' : 'settings'}. Reloading…`);
+            setTimeout(() => location.reload(), 1000);
+        } else {
+            showBackupStatus('Restore failed: ' + (response ? response.error : 'Unknown error'), true);
+        }
+    });
+}
+
 // Duration management
 function setDuration(e) {
     e.preventDefault();
@@ -214,17 +640,23 @@ async function saveEmergencyRules(e) {
     if (code) {
         const { hash, salt } = await hashPassword(code);
         emergencyRules.code = hash;
-        saveSetting('optionsEmergencyCodeSalt', salt);
+        saveSetting(STORAGE_KEYS.OPTIONS_EMERGENCY_CODE_SALT, salt);
         codeMatchStatus.textContent = '';
     } else {
         emergencyRules.code = ''; // Allow clearing
-        saveSetting('optionsEmergencyCodeSalt', null);
+        saveSetting(STORAGE_KEYS.OPTIONS_EMERGENCY_CODE_SALT, null);
     }
 
     emergencyRules.maxAttempts = parseInt(maxAttemptsInput.value) || 3;
+    emergencyRules.unlockMethod = unlockMethodSelect.value;
+    emergencyRules.cooldownMinutes = Math.min(Math.max(parseInt(unlockCooldownInput.value) || DEFAULT_UNLOCK_COOLDOWN_MINUTES, 1), 120);
+    emergencyRules.typingLength = Math.min(Math.max(parseInt(typingLengthInput.value) || DEFAULT_TYPING_CHALLENGE_LENGTH, 50), 2000);
     updateUI();
     saveSetting(OPTIONS_STORAGE_KEYS.EMERGENCY_CODE, emergencyRules.code);
     saveSetting(OPTIONS_STORAGE_KEYS.MAX_ATTEMPTS, emergencyRules.maxAttempts);
+    saveSetting(OPTIONS_STORAGE_KEYS.UNLOCK_METHOD, emergencyRules.unlockMethod);
+    saveSetting(OPTIONS_STORAGE_KEYS.UNLOCK_COOLDOWN, emergencyRules.cooldownMinutes);
+    saveSetting(OPTIONS_STORAGE_KEYS.TYPING_CHALLENGE_LENGTH, emergencyRules.typingLength);
 
     // Clear inputs
     unlockCodeInput.value = '';
@@ -239,7 +671,7 @@ async function saveEmergencyRules(e) {
 
 // Emergency unlock panel functionality
 async function updateEmergencyUnlockPanel() {
-    const { sessionEndTime, failedUnlockAttempts = 0, maxAttempts = 3 } = await chrome.storage.local.get([
+    const { sessionEndTime, failedUnlockAttempts = 0, maxAttempts = 3 } = await readStorage([
         'sessionEndTime',
         STORAGE_KEYS.FAILED_UNLOCK_ATTEMPTS,
         STORAGE_KEYS.MAX_ATTEMPTS
@@ -403,15 +835,21 @@ function refreshLogs() {
 // Risk score
 async function renderRiskScore() {
     // Fetch detailed risk data
-    const [riskResponse, logsResponse] = await Promise.all([
+    // A year of sessions covers the longest possible streak
+    const [riskResponse, historyResponse] = await Promise.all([
         new Promise(resolve => chrome.runtime.sendMessage({ type: 'GET_RISK_SCORE' }, resolve)),
-        new Promise(resolve => chrome.runtime.sendMessage({ type: 'GET_LOGS' }, resolve))
+        new Promise(resolve => chrome.runtime.sendMessage({
+            type: 'GET_SESSION_HISTORY',
+            payload: { from: Date.now() - 365 * 24 * 60 * 60 * 1000 }
+        }, resolve))
     ]);
+    const sessions = historyResponse && historyResponse.success ? historyResponse.sessions : [];
 
-    const { sessionEndTime, sessionTotalDuration, failedUnlockAttempts = 0 } = await chrome.storage.local.get([
+    const { sessionEndTime, sessionTotalDuration, failedUnlockAttempts = 0, blockedAttemptCounts = {} } = await readStorage([
         'sessionEndTime',
-        'sessionTotalDuration',
-        STORAGE_KEYS.FAILED_UNLOCK_ATTEMPTS
+        STORAGE_KEYS.SESSION_TOTAL_DURATION,
+        STORAGE_KEYS.FAILED_UNLOCK_ATTEMPTS,
+        STORAGE_KEYS.BLOCKED_ATTEMPTS
     ]);
 
     if (riskResponse && riskResponse.success) {
@@ -440,19 +878,10 @@ async function renderRiskScore() {
         if (riskAdvice) riskAdvice.textContent = advice;
 
         // Calculate individual factors for breakdown
-        const logs = logsResponse?.logs || [];
         const now = new Date();
-        const last24h = logs.filter(log => {
-            const logTime = new Date(log.timestamp);
-            return (now - logTime) < (24 * 60 * 60 * 1000);
-        });
-        const last3Days = logs.filter(log => {
-            const logTime = new Date(log.timestamp);
-            return (now - logTime) < (72 * 60 * 60 * 1000);
-        });
 
         // Factor 1: Blocked attempts
-        const blockedAttempts = last24h.filter(log => log.event === 'site_blocked').length;
+        const blockedAttempts = countBlockedAttempts(blockedAttemptCounts, now - 24 * 60 * 60 * 1000);
         const blockedScore = Math.min(blockedAttempts * 10, 30);
         updateRiskFactor('blocked', blockedScore, 30);
 
@@ -478,7 +907,8 @@ async function renderRiskScore() {
         updateRiskFactor('unlock', unlockScore, 45);
 
         // Factor 5: Consistency bonus
-        const completedSessions = last3Days.filter(log => log.event === 'session_ended').length;
+        const sessionsLast3Days = sessions.filter(session => (now - session.endTime) < (72 * 60 * 60 * 1000));
+        const completedSessions = sessionsLast3Days.filter(isCompletedSession).length;
         let consistencyBonus = 0;
         if (completedSessions >= 5) {
             consistencyBonus = 15;
@@ -487,8 +917,14 @@ async function renderRiskScore() {
         }
         updateRiskFactor('consistency', consistencyBonus, 15, true);
 
+        // Factor 6: Sessions reflected on as "not done"
+        const notDoneSessions = sessions.filter(session =>
+            (now - session.endTime) < (7 * 24 * 60 * 60 * 1000) &&
+            session.reflection?.outcome === REFLECTION_OUTCOMES.NOT_DONE).length;
+        updateRiskFactor('reflection', Math.min(notDoneSessions * 10, 20), 20);
+
         // Update statistics
-        updateFocusStatistics(logs, last24h, last3Days, completedSessions);
+        updateFocusStatistics(blockedAttemptCounts, blockedAttempts, sessions, sessionsLast3Days, completedSessions);
 
     } else {
         riskDescription.textContent = 'Failed to calculate risk score';
@@ -514,55 +950,110 @@ function updateRiskFactor(factorId, points, maxPoints, isBonus = false) {
     }
 }
 
-function updateFocusStatistics(allLogs, last24h, last3Days, completedSessions) {
+function updateFocusStatistics(blockedAttemptCounts, blockedLast24h, sessions, sessionsLast3Days, completedSessions) {
     // Sessions completed in 3 days
     const sessionsCompletedEl = document.getElementById('stat-sessions-completed');
     if (sessionsCompletedEl) sessionsCompletedEl.textContent = completedSessions;
 
     // Sites blocked today
     const blockedTodayEl = document.getElementById('stat-blocked-today');
-    if (blockedTodayEl) {
-        const blockedToday = last24h.filter(log => log.event === 'site_blocked').length;
-        blockedTodayEl.textContent = blockedToday;
-    }
+    if (blockedTodayEl) blockedTodayEl.textContent = blockedLast24h;
 
     // Current streak (consecutive days with completed sessions)
     const streakEl = document.getElementById('stat-current-streak');
     if (streakEl) {
-        const streak = calculateStreak(allLogs);
+        const streak = calculateStreak(sessions);
         streakEl.textContent = streak;
     }
 
-    // Average session length
+    // Average session length (time actually spent, including early unlocks)
     const avgSessionEl = document.getElementById('stat-avg-session');
     if (avgSessionEl) {
-        const sessionStarts = last3Days.filter(log => log.event === 'session_started');
-        if (sessionStarts.length > 0) {
-            // Calculate average from details if available
-            let totalMins = 0;
-            let count = 0;
-            sessionStarts.forEach(log => {
-                if (log.details && log.details.duration) {
-                    totalMins += log.details.duration;
-                    count++;
-                }
-            });
-            if (count > 0) {
-                avgSessionEl.textContent = `${Math.round(totalMins / count)}m`;
-            } else {
-                avgSessionEl.textContent = '--';
-            }
+        if (sessionsLast3Days.length > 0) {
+            const totalMins = sessionsLast3Days.reduce((sum, session) => sum + session.actualMinutes, 0);
+            avgSessionEl.textContent = `${Math.round(totalMins / sessionsLast3Days.length)}m`;
         } else {
             avgSessionEl.textContent = '--';
         }
     }
+
+    renderCompletionTrends(sessions);
+    renderMostAttemptedSites(blockedAttemptCounts);
+}
+
+// Weekly session counts and reflection outcomes, most recent week first.
+// Completion rate is "done" plus half of "partially" over reflected sessions.
+function renderCompletionTrends(sessions) {
+    const tbody = document.getElementById('completion-trends-body');
+    if (!tbody) return;
+
+    // Same Monday-based weeks as the usage history charts
+    const weekStart = getUsagePeriodStart(new Date(), 'week');
+
+    tbody.innerHTML = '';
+    for (let i = 0; i < 6; i++) {
+        const start = new Date(weekStart);
+        start.setDate(weekStart.getDate() - i * 7);
+        const end = new Date(start);
+        end.setDate(start.getDate() + 7);
+
+        const week = sessions.filter(session => session.endTime >= start.getTime() && session.endTime < end.getTime());
+        const outcomes = { done: 0, partial: 0, not_done: 0 };
+        week.forEach(session => {
+            if (session.reflection) outcomes[session.reflection.outcome]++;
+        });
+        const reflected = outcomes.done + outcomes.partial + outcomes.not_done;
+        const rate = reflected ? Math.round((outcomes.done + outcomes.partial / 2) / reflected * 100) : null;
+
+        const tr = document.createElement('tr');
+        tr.style.borderBottom = '1px solid var(--glass-border)';
+        [
+            start.toLocaleDateString([], { month: 'short', day: 'numeric' }),
+            week.length,
+            week.filter(isCompletedSession).length,
+            outcomes.done,
+            outcomes.partial,
+            outcomes.not_done,
+            rate === null ? '--' : `${rate}%`
+        ].forEach(value => {
+            const td = document.createElement('td');
+            td.style.padding = '10px';
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    }
 }
 
-function calculateStreak(logs) {
-    // Get unique days with completed sessions
+// Per-domain breakdown of blocked attempts over the retained days
+function renderMostAttemptedSites(blockedAttemptCounts) {
+    const listEl = document.getElementById('most-attempted-list');
+    if (!listEl) return;
+
+    const ranked = Object.entries(getBlockedAttemptsByDomain(blockedAttemptCounts))
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10);
+
+    listEl.innerHTML = '';
+    if (ranked.length === 0) {
+        listEl.innerHTML = '<li style="color: var(--text-secondary);">No blocked attempts recorded</li>';
+        return;
+    }
+
+    ranked.forEach(([domain, count]) => {
+        const li = document.createElement('li');
+        li.innerHTML = '<span></span><strong></strong>';
+        li.querySelector('span').textContent = domain;
+        li.querySelector('strong').textContent = `${count} attempt${count === 1 ? '' : 's'}`;
+        listEl.appendChild(li);
+    });
+}
+
+function calculateStreak(sessions) {
+    // Get unique days with completed sessions or completed pomodoro work cycles
     const sessionDays = new Set();
-    logs.filter(log => log.event === 'session_ended').forEach(log => {
-        const date = new Date(log.timestamp).toDateString();
+    sessions.filter(session => isCompletedSession(session) || session.pomodoroCycles > 0).forEach(session => {
+        const date = new Date(session.endTime).toDateString();
         sessionDays.add(date);
     });
 
@@ -593,29 +1084,75 @@ function refreshRiskScore() {
 // UI updates
 function updateUI() {
     currentDuration.textContent = `Current: ${focusDuration} minutes`;
+    openTabActionSelect.value = openTabAction;
     emergencyStatus.textContent = emergencyRules.code ? 'Master code configured' : '';
     emergencyStatus.style.color = emergencyRules.code ? 'var(--success-color)' : 'var(--text-secondary)';
     maxAttemptsInput.value = emergencyRules.maxAttempts;
+    unlockMethodSelect.value = emergencyRules.unlockMethod;
+    unlockCooldownInput.value = emergencyRules.cooldownMinutes;
+    typingLengthInput.value = emergencyRules.typingLength;
+    updateUnlockMethodRows(emergencyRules.unlockMethod);
+}
+
+// Show only the settings of the selected unlock method
+function updateUnlockMethodRows(method) {
+    unlockCooldownRow.style.display = method === UNLOCK_METHODS.COOLDOWN ? 'block' : 'none';
+    typingLengthRow.style.display = method === UNLOCK_METHODS.TYPING ? 'block' : 'none';
 }
 
 // Settings persistence
 async function loadSettings() {
     try {
-        const result = await chrome.storage.local.get([
+        const result = await readStorage([
             OPTIONS_STORAGE_KEYS.BLOCKED_SITES,
+            OPTIONS_STORAGE_KEYS.ALLOWED_SITES,
             OPTIONS_STORAGE_KEYS.FOCUS_DURATION,
             OPTIONS_STORAGE_KEYS.EMERGENCY_CODE,
-            OPTIONS_STORAGE_KEYS.MAX_ATTEMPTS
+            OPTIONS_STORAGE_KEYS.MAX_ATTEMPTS,
+            OPTIONS_STORAGE_KEYS.UNLOCK_METHOD,
+            OPTIONS_STORAGE_KEYS.UNLOCK_COOLDOWN,
+            OPTIONS_STORAGE_KEYS.TYPING_CHALLENGE_LENGTH,
+            OPTIONS_STORAGE_KEYS.OPEN_TAB_ACTION,
+            OPTIONS_STORAGE_KEYS.SITE_ALLOWANCES,
+            OPTIONS_STORAGE_KEYS.BLOCKED_KEYWORDS,
+            OPTIONS_STORAGE_KEYS.KEYWORD_LISTS,
+            OPTIONS_STORAGE_KEYS.SEARCH_CHECK
         ]);
         blockedSites = result[OPTIONS_STORAGE_KEYS.BLOCKED_SITES] || [];
+        allowedSites = result[OPTIONS_STORAGE_KEYS.ALLOWED_SITES] || [];
         focusDuration = result[OPTIONS_STORAGE_KEYS.FOCUS_DURATION] || 25;
         emergencyRules.code = result[OPTIONS_STORAGE_KEYS.EMERGENCY_CODE] || '';
         emergencyRules.maxAttempts = result[OPTIONS_STORAGE_KEYS.MAX_ATTEMPTS] || 3;
+        emergencyRules.unlockMethod = result[OPTIONS_STORAGE_KEYS.UNLOCK_METHOD] || UNLOCK_METHODS.PASSWORD;
+        emergencyRules.cooldownMinutes = result[OPTIONS_STORAGE_KEYS.UNLOCK_COOLDOWN] || DEFAULT_UNLOCK_COOLDOWN_MINUTES;
+        emergencyRules.typingLength = result[OPTIONS_STORAGE_KEYS.TYPING_CHALLENGE_LENGTH] || DEFAULT_TYPING_CHALLENGE_LENGTH;
+        openTabAction = result[OPTIONS_STORAGE_KEYS.OPEN_TAB_ACTION] || OPEN_TAB_ACTIONS.REDIRECT;
+        siteAllowances = result[OPTIONS_STORAGE_KEYS.SITE_ALLOWANCES] || {};
+        blockedKeywords = result[OPTIONS_STORAGE_KEYS.BLOCKED_KEYWORDS] || [];
+        keywordLists = result[OPTIONS_STORAGE_KEYS.KEYWORD_LISTS] || [];
+        searchCheck = { ...DEFAULT_SEARCH_CHECK, ...result[OPTIONS_STORAGE_KEYS.SEARCH_CHECK] };
 
         // Guardian
-        const guardianResult = await chrome.storage.local.get(['timeGuardianLimits', 'dailyUsage']);
-        guardianLimits = guardianResult.timeGuardianLimits || { global: 10, overrides: {} };
+        const guardianResult = await chrome.storage.local.get([
+            'timeGuardianLimits',
+            'dailyUsage',
+            STORAGE_KEYS.DAILY_AUDIO_USAGE,
+            STORAGE_KEYS.LAST_RESET_DATE,
+            STORAGE_KEYS.USAGE_HISTORY,
+            STORAGE_KEYS.GUARDIAN_AUDIBLE_POLICY
+        ]);
+        guardianLimits = {
+            dayLimits: [],
+            weeklyBudgets: [],
+            rollover: { ...DEFAULT_GUARDIAN_ROLLOVER },
+            ...(guardianResult.timeGuardianLimits || { global: 10, overrides: {} })
+        };
         dailyUsage = guardianResult.dailyUsage || {};
+        dailyAudioUsage = guardianResult[STORAGE_KEYS.DAILY_AUDIO_USAGE] || {};
+        usageDate = guardianResult[STORAGE_KEYS.LAST_RESET_DATE] || null;
+        usageHistory = guardianResult[STORAGE_KEYS.USAGE_HISTORY] || {};
+        audiblePolicy = guardianResult[STORAGE_KEYS.GUARDIAN_AUDIBLE_POLICY] || AUDIBLE_TAB_POLICIES.TRACK;
+        distractingSites = [...await loadDistractingSites()];
     } catch (error) {
         console.warn('Failed to load settings:', error);
     }
@@ -623,7 +1160,7 @@ async function loadSettings() {
 
 async function saveSetting(key, value) {
     try {
-        await chrome.storage.local.set({ [key]: value });
+        await writeStorage({ [key]: value });
     } catch (error) {
         console.warn('Failed to save setting:', error);
     }
@@ -631,11 +1168,20 @@ async function saveSetting(key, value) {
 
 async function saveAllSettings() {
     try {
-        await chrome.storage.local.set({
+        await writeStorage({
             [OPTIONS_STORAGE_KEYS.BLOCKED_SITES]: blockedSites,
+            [OPTIONS_STORAGE_KEYS.ALLOWED_SITES]: allowedSites,
             [OPTIONS_STORAGE_KEYS.FOCUS_DURATION]: focusDuration,
             [OPTIONS_STORAGE_KEYS.EMERGENCY_CODE]: emergencyRules.code,
-            [OPTIONS_STORAGE_KEYS.MAX_ATTEMPTS]: emergencyRules.maxAttempts
+            [OPTIONS_STORAGE_KEYS.MAX_ATTEMPTS]: emergencyRules.maxAttempts,
+            [OPTIONS_STORAGE_KEYS.UNLOCK_METHOD]: emergencyRules.unlockMethod,
+            [OPTIONS_STORAGE_KEYS.UNLOCK_COOLDOWN]: emergencyRules.cooldownMinutes,
+            [OPTIONS_STORAGE_KEYS.TYPING_CHALLENGE_LENGTH]: emergencyRules.typingLength,
+            [OPTIONS_STORAGE_KEYS.OPEN_TAB_ACTION]: openTabAction,
+            [OPTIONS_STORAGE_KEYS.SITE_ALLOWANCES]: siteAllowances,
+            [OPTIONS_STORAGE_KEYS.BLOCKED_KEYWORDS]: blockedKeywords,
+            [OPTIONS_STORAGE_KEYS.KEYWORD_LISTS]: keywordLists,
+            [OPTIONS_STORAGE_KEYS.SEARCH_CHECK]: searchCheck
         });
         alert('Settings saved successfully!');
     } catch (error) {
@@ -646,18 +1192,36 @@ async function saveAllSettings() {
 async function resetSettings() {
     if (confirm('Reset all settings to defaults?')) {
         blockedSites = [];
+        allowedSites = [];
         focusDuration = 25;
-        emergencyRules = { code: '', maxAttempts: 3 };
+        openTabAction = OPEN_TAB_ACTIONS.REDIRECT;
+        siteAllowances = {};
+        blockedKeywords = [];
+        keywordLists = [];
+        searchCheck = { ...DEFAULT_SEARCH_CHECK };
+        emergencyRules = { code: '', maxAttempts: 3, unlockMethod: UNLOCK_METHODS.PASSWORD, cooldownMinutes: DEFAULT_UNLOCK_COOLDOWN_MINUTES, typingLength: DEFAULT_TYPING_CHALLENGE_LENGTH };
         renderBlocklist();
+        renderKeywordList();
+        renderTermLists();
+        renderAllowlist();
         updateUI();
         renderLogs();
         renderRiskScore();
         try {
-            await chrome.storage.local.remove([
+            await removeStorage([
                 OPTIONS_STORAGE_KEYS.BLOCKED_SITES,
+                OPTIONS_STORAGE_KEYS.ALLOWED_SITES,
                 OPTIONS_STORAGE_KEYS.FOCUS_DURATION,
                 OPTIONS_STORAGE_KEYS.EMERGENCY_CODE,
-                OPTIONS_STORAGE_KEYS.MAX_ATTEMPTS
+                OPTIONS_STORAGE_KEYS.MAX_ATTEMPTS,
+                OPTIONS_STORAGE_KEYS.UNLOCK_METHOD,
+                OPTIONS_STORAGE_KEYS.UNLOCK_COOLDOWN,
+                OPTIONS_STORAGE_KEYS.TYPING_CHALLENGE_LENGTH,
+                OPTIONS_STORAGE_KEYS.OPEN_TAB_ACTION,
+                OPTIONS_STORAGE_KEYS.SITE_ALLOWANCES,
+                OPTIONS_STORAGE_KEYS.BLOCKED_KEYWORDS,
+                OPTIONS_STORAGE_KEYS.KEYWORD_LISTS,
+                OPTIONS_STORAGE_KEYS.SEARCH_CHECK
             ]);
         } catch (error) {
             console.warn('Failed to clear storage:', error);
@@ -677,9 +1241,39 @@ function setupEventListeners() {
             removeSite(e.target.dataset.url);
         }
     });
+    blocklist.addEventListener('change', (e) => {
+        if (e.target.classList.contains('allowance-input')) {
+            setSiteAllowance(e.target.dataset.domain, e.target.value);
+        }
+    });
+    keywordForm.addEventListener('submit', addKeyword);
+    keywordList.addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-btn')) {
+            removeKeyword(e.target.dataset.keyword);
+        }
+    });
+    searchCheckEnabledToggle.addEventListener('change', saveSearchCheckToggles);
+    searchCheckLogToggle.addEventListener('change', saveSearchCheckToggles);
+    termListsBody.addEventListener('change', (e) => {
+        if (e.target.dataset.category) {
+            setTermListUse(e.target.dataset.category, e.target.dataset.use, e.target.checked);
+        }
+    });
+    allowlistForm.addEventListener('submit', addAllowedSite);
+    allowlist.addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-btn')) {
+            removeAllowedSite(e.target.dataset.url);
+        }
+    });
+
+    openTabActionSelect.addEventListener('change', () => {
+        openTabAction = openTabActionSelect.value;
+        saveSetting(OPTIONS_STORAGE_KEYS.OPEN_TAB_ACTION, openTabAction);
+    });
 
     durationForm.addEventListener('submit', setDuration);
     emergencyForm.addEventListener('submit', saveEmergencyRules);
+    unlockMethodSelect.addEventListener('change', () => updateUnlockMethodRows(unlockMethodSelect.value));
 
     // Emergency unlock panel listeners
     if (emergencyUnlockBtn) {
@@ -691,14 +1285,58 @@ function setupEventListeners() {
     }
 
     refreshLogsBtn.addEventListener('click', refreshLogs);
+    refreshRulesBtn.addEventListener('click', renderActiveRules);
+    [syncEnabledToggle, syncSecretsToggle, syncUsageToggle].forEach(toggle => {
+        toggle.addEventListener('change', saveSyncSettings);
+    });
+    exportBackupBtn.addEventListener('click', exportBackup);
+    importBackupBtn.addEventListener('click', () => importBackupFile.click());
+    importBackupFile.addEventListener('change', previewBackupFile);
+    applyBackupBtn.addEventListener('click', restoreBackup);
+    cancelBackupBtn.addEventListener('click', clearBackupPreview);
     saveAllBtn.addEventListener('click', saveAllSettings);
     resetBtn.addEventListener('click', resetSettings);
     refreshRiskBtn.addEventListener('click', refreshRiskScore);
     saveGuardianLimitBtn.addEventListener('click', saveGuardianLimit);
-
-    // Time schedules
+    trackedSiteForm.addEventListener('submit', addTrackedSite);
+    trackedSitesList.addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-btn')) {
+            removeTrackedSite(e.target.dataset.site);
+        }
+    });
+    resetTrackedSitesBtn.addEventListener('click', resetTrackedSites);
+    audiblePolicySelect.addEventListener('change', () => {
+        audiblePolicy = audiblePolicySelect.value;
+        saveSetting(STORAGE_KEYS.GUARDIAN_AUDIBLE_POLICY, audiblePolicy);
+    });
+    addDayLimitBtn.addEventListener('click', addDayLimit);
+    dayLimitsContainer.addEventListener('change', handleDayLimitChange);
+    dayLimitsContainer.addEventListener('click', handleDayLimitClick);
+    addWeeklyBudgetBtn.addEventListener('click', addWeeklyBudget);
+    weeklyBudgetsContainer.addEventListener('change', handleWeeklyBudgetChange);
+    weeklyBudgetsContainer.addEventListener('click', handleWeeklyBudgetClick);
+    rolloverEnabledToggle.addEventListener('change', saveRollover);
+    rolloverCapInput.addEventListener('change', saveRollover);
+
+    // Time schedules (delegated, since items are re-rendered)
     schedulesToggle.addEventListener('change', toggleTimeSchedules);
     addScheduleBtn.addEventListener('click', addSchedule);
+    schedulesContainer.addEventListener('change', handleScheduleChange);
+    schedulesContainer.addEventListener('click', handleScheduleClick);
+
+    // Focus schedules (delegated, since items are re-rendered)
+    addFocusScheduleBtn.addEventListener('click', addFocusSchedule);
+    focusSchedulesContainer.addEventListener('change', handleFocusScheduleChange);
+    focusSchedulesContainer.addEventListener('click', handleFocusScheduleClick);
+
+    // Blocklist profiles
+    addProfileBtn.addEventListener('click', addProfile);
+    profilesContainer.addEventListener('change', handleProfileChange);
+    profilesContainer.addEventListener('click', handleProfileClick);
+
+    // Usage history chart and export range
+    usageChartPeriodSelect.addEventListener('change', renderUsageHistory);
+    usageChartDomainSelect.addEventListener('change', renderUsageHistory);
 
     // Export buttons
     exportUsageCsvBtn.addEventListener('click', () => exportUsageData('csv'));
@@ -710,7 +1348,14 @@ function setupEventListeners() {
 // Guardian Functions
 function renderGuardianSettings() {
     globalLimitInput.value = Math.floor(guardianLimits.global / 60); // Convert seconds to minutes for display
+    renderDayLimits();
+    renderWeeklyBudgets();
+    rolloverEnabledToggle.checked = guardianLimits.rollover.enabled;
+    rolloverCapInput.value = Math.floor(guardianLimits.rollover.cap / 60);
+    renderTrackedSites();
+    audiblePolicySelect.value = audiblePolicy;
     renderGuardianUsage();
+    renderUsageHistory();
 }
 
 function saveGuardianLimit() {
@@ -727,31 +1372,303 @@ function saveGuardianSettings() {
     renderGuardianSettings();
 }
 
+// Tracked sites: the background registers guardian.js for added ones
+function addTrackedSite(e) {
+    e.preventDefault();
+    const site = normalizeDistractingSite(trackedSiteInput.value);
+    if (!site) {
+        alert('Enter a domain such as linkedin.com');
+        return;
+    }
+    if (!distractingSites.includes(site)) {
+        distractingSites.push(site);
+        saveTrackedSites();
+    }
+    trackedSiteInput.value = '';
+}
+
+function removeTrackedSite(site) {
+    distractingSites = distractingSites.filter(s => s !== site);
+    saveTrackedSites();
+}
+
+function resetTrackedSites() {
+    distractingSites = [...DISTRACTING_SITES];
+    saveTrackedSites();
+}
+
+function saveTrackedSites() {
+    saveSetting(STORAGE_KEYS.DISTRACTING_SITES, distractingSites);
+    renderTrackedSites();
+    renderGuardianUsage();
+}
+
+function renderTrackedSites() {
+    trackedSitesList.innerHTML = '';
+    distractingSites.forEach(site => {
+        const li = document.createElement('li');
+        li.innerHTML = `
+            <span></span>
+            <button class="remove-btn">Remove</button>
+        `;
+        li.querySelector('span').textContent = site;
+        li.querySelector('.remove-btn').dataset.site = site;
+        trackedSitesList.appendChild(li);
+    });
+}
+
+// Day-of-week limits: { id, name, days, global } replacing the global limit on their days
+function addDayLimit() {
+    guardianLimits.dayLimits.push({
+        id: Date.now(),
+        name: 'Weekend',
+        days: [0, 6],
+        global: guardianLimits.global * 2
+    });
+    saveGuardianSettings();
+}
+
+function handleDayLimitChange(e) {
+    const item = e.target.closest('.day-limit-item');
+    if (!item) return;
+
+    const rule = guardianLimits.dayLimits.find(r => r.id === Number(item.dataset.id));
+    if (!rule) return;
+
+    switch (e.target.dataset.field) {
+        case 'name':
+            rule.name = e.target.value.trim() || 'Day Limit';
+            break;
+        case 'day': {
+            const dayNum = Number(e.target.dataset.day);
+            rule.days = e.target.checked
+                ? [...new Set([...rule.days, dayNum])].sort((a, b) => a - b)
+                : rule.days.filter(d => d !== dayNum);
+            break;
+        }
+        case 'minutes': {
+            const mins = parseInt(e.target.value, 10);
+            if (!(mins > 0)) {
+                e.target.value = Math.floor(rule.global / 60);
+                return;
+            }
+            rule.global = mins * 60;
+            break;
+        }
+        default:
+            return;
+    }
+
+    saveGuardianSettings();
+}
+
+function handleDayLimitClick(e) {
+    if (e.target.dataset.action !== 'remove-day-limit') return;
+    const item = e.target.closest('.day-limit-item');
+    guardianLimits.dayLimits = guardianLimits.dayLimits.filter(r => r.id !== Number(item.dataset.id));
+    saveGuardianSettings();
+}
+
+function renderDayLimits() {
+    dayLimitsContainer.innerHTML = '';
+
+    guardianLimits.dayLimits.forEach(rule => {
+        const item = document.createElement('div');
+        item.className = 'focus-schedule-item day-limit-item';
+        item.dataset.id = rule.id;
+
+        const dayPicker = DAY_LABELS.map((label, day) => `
+            <label>
+                <input type="checkbox" data-field="day" data-day="${day}" ${rule.days.includes(day) ? 'checked' : ''}>
+                ${label}
+            </label>
+        `).join('');
+
+        item.innerHTML = `
+            <div class="focus-schedule-header">
+                <input type="text" data-field="name">
+                <button class="btn secondary small" data-action="remove-day-limit">Remove</button>
+            </div>
+            <div class="day-picker">${dayPicker}</div>
+            <div style="display: flex; gap: 8px; align-items: center;">
+                <input type="number" data-field="minutes" min="1" max="1440" value="${Math.floor(rule.global / 60)}" style="width: 100px; margin-bottom: 0;">
+                <span style="color: var(--text-secondary);">minutes per day</span>
+            </div>
+        `;
+        item.querySelector('[data-field="name"]').value = rule.name;
+
+        dayLimitsContainer.appendChild(item);
+    });
+}
+
+// Weekly budgets: one budget can be shared by several tracked sites
+function addWeeklyBudget() {
+    guardianLimits.weeklyBudgets.push({
+        id: Date.now(),
+        name: 'Weekly Budget',
+        domains: [],
+        limit: 3 * 60 * 60
+    });
+    saveGuardianSettings();
+}
+
+function handleWeeklyBudgetChange(e) {
+    const item = e.target.closest('.weekly-budget-item');
+    if (!item) return;
+
+    const budget = guardianLimits.weeklyBudgets.find(b => b.id === Number(item.dataset.id));
+    if (!budget) return;
+
+    switch (e.target.dataset.field) {
+        case 'name':
+            budget.name = e.target.value.trim() || 'Weekly Budget';
+            break;
+        case 'domains':
+            budget.domains = [...new Set(e.target.value.split(',').map(normalizeDistractingSite).filter(Boolean))];
+            break;
+        case 'minutes': {
+            const mins = parseInt(e.target.value, 10);
+            if (!(mins > 0)) {
+                e.target.value = Math.floor(budget.limit / 60);
+                return;
+            }
+            budget.limit = mins * 60;
+            break;
+        }
+        default:
+            return;
+    }
+
+    saveGuardianSettings();
+}
+
+function handleWeeklyBudgetClick(e) {
+    if (e.target.dataset.action !== 'remove-weekly-budget') return;
+    const item = e.target.closest('.weekly-budget-item');
+    guardianLimits.weeklyBudgets = guardianLimits.weeklyBudgets.filter(b => b.id !== Number(item.dataset.id));
+    saveGuardianSettings();
+}
+
+function renderWeeklyBudgets() {
+    weeklyBudgetsContainer.innerHTML = '';
+
+    guardianLimits.weeklyBudgets.forEach(budget => {
+        const item = document.createElement('div');
+        item.className = 'focus-schedule-item weekly-budget-item';
+        item.dataset.id = budget.id;
+
+        item.innerHTML = `
+            <div class="focus-schedule-header">
+                <input type="text" data-field="name">
+                <button class="btn secondary small" data-action="remove-weekly-budget">Remove</button>
+            </div>
+            <input type="text" data-field="domains" placeholder="youtube.com, twitch.tv">
+            <div style="display: flex; gap: 8px; align-items: center;">
+                <input type="number" data-field="minutes" min="1" max="10080" value="${Math.floor(budget.limit / 60)}" style="width: 100px; margin-bottom: 0;">
+                <span style="color: var(--text-secondary);">minutes per week</span>
+            </div>
+        `;
+        item.querySelector('[data-field="name"]').value = budget.name;
+        item.querySelector('[data-field="domains"]').value = budget.domains.join(', ');
+
+        weeklyBudgetsContainer.appendChild(item);
+    });
+}
+
+function saveRollover() {
+    const mins = parseInt(rolloverCapInput.value, 10);
+    if (!(mins > 0)) {
+        rolloverCapInput.value = Math.floor(guardianLimits.rollover.cap / 60);
+        return;
+    }
+    guardianLimits.rollover = { enabled: rolloverEnabledToggle.checked, cap: mins * 60 };
+    saveGuardianSettings();
+}
+
 function renderGuardianUsage() {
     guardianUsageBody.innerHTML = '';
-    // Use centralized DISTRACTING_SITES from config.js
-
-    // Merge known sites with any other usage data
-    const allDomains = new Set([...DISTRACTING_SITES, ...Object.keys(dailyUsage)]);
+    // Merge tracked sites with any other usage data
+    const allDomains = new Set([...distractingSites, ...Object.keys(dailyUsage), ...Object.keys(dailyAudioUsage)]);
 
     allDomains.forEach(domain => {
         const usageSec = dailyUsage[domain] || 0;
         const usageMins = Math.floor(usageSec / 60);
 
         // Determine limit
-        const limitSec = guardianLimits.overrides[domain] !== undefined ? guardianLimits.overrides[domain] : guardianLimits.global;
+        const limitSec = getGuardianBaseLimit(domain, guardianLimits);
         const limitMins = Math.floor(limitSec / 60);
 
         const tr = document.createElement('tr');
         tr.innerHTML = `
             <td style="padding: 10px;">${domain}</td>
             <td style="padding: 10px; font-weight: bold;">${usageMins}m</td>
+            <td style="padding: 10px;">${Math.floor((dailyAudioUsage[domain] || 0) / 60)}m</td>
             <td style="padding: 10px;">${limitMins}m</td>
         `;
         guardianUsageBody.appendChild(tr);
     });
 }
 
+// Past days from the history store plus today, for the chart and export
+function getUsageRows(range) {
+    return getUsageHistoryRows(usageHistory, { usage: dailyUsage, usageDate }, range);
+}
+
+function formatUsageMinutes(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+function renderUsageHistory() {
+    const rows = getUsageRows();
+
+    // Domain filter: tracked sites plus anything with recorded history
+    const selectedDomain = usageChartDomainSelect.value;
+    const domains = [...new Set([...distractingSites, ...rows.map(row => row.domain)])].sort();
+    usageChartDomainSelect.length = 1; // keep "All sites"
+    domains.forEach(domain => usageChartDomainSelect.add(new Option(domain, domain)));
+    usageChartDomainSelect.value = domains.includes(selectedDomain) ? selectedDomain : '';
+
+    const period = usageChartPeriodSelect.value;
+    const buckets = summarizeUsageByPeriod(rows, {
+        period,
+        count: period === 'month' ? 6 : 12,
+        domain: usageChartDomainSelect.value || null
+    });
+    const maxSeconds = Math.max(...buckets.map(bucket => bucket.seconds), 1);
+
+    usageChart.innerHTML = '';
+    buckets.forEach(bucket => {
+        const start = parseHistoryDateKey(bucket.start);
+        const column = document.createElement('div');
+        const value = document.createElement('span');
+        const bar = document.createElement('div');
+        const label = document.createElement('span');
+        column.className = 'usage-chart-column';
+        value.className = 'usage-chart-value';
+        bar.className = 'usage-chart-bar';
+        label.className = 'usage-chart-label';
+        value.textContent = bucket.seconds > 0 ? formatUsageMinutes(bucket.seconds) : '';
+        bar.style.height = `${(bucket.seconds / maxSeconds) * 100}%`;
+        label.textContent = period === 'month'
+            ? start.toLocaleDateString(undefined, { month: 'short' })
+            : start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        column.title = `${period === 'month' ? 'Month' : 'Week'} of ${start.toLocaleDateString()}`;
+        column.append(value, bar, label);
+        usageChart.appendChild(column);
+    });
+
+    // Export range defaults to the last 30 days, within what is kept
+    const today = new Date();
+    const oldest = new Date(today.getFullYear(), today.getMonth(), today.getDate() - USAGE_HISTORY_RETENTION_DAYS);
+    usageExportFromInput.min = usageExportToInput.min = getHistoryDateKey(oldest);
+    usageExportFromInput.max = usageExportToInput.max = getHistoryDateKey(today);
+    if (!usageExportFromInput.value) {
+        usageExportFromInput.value = getHistoryDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 29));
+    }
+    if (!usageExportToInput.value) usageExportToInput.value = getHistoryDateKey(today);
+}
+
 // ==========================================
 // Time-Based Schedules Functions
 // ==========================================
@@ -771,8 +1688,9 @@ function addSchedule() {
     const newSchedule = {
         id: Date.now(),
         name: 'New Schedule',
-        startHour: 9,
-        endHour: 17,
+        days: [1, 2, 3, 4, 5], // Mon-Fri
+        start: '09:00',
+        end: '17:00',
         limitMultiplier: 0.5,
         enabled: true
     };
@@ -787,12 +1705,50 @@ function removeSchedule(id) {
     renderTimeSchedules();
 }
 
-function updateSchedule(id, field, value) {
-    const schedule = timeSchedules.find(s => s.id === id);
-    if (schedule) {
-        schedule[field] = value;
-        saveTimeSchedules();
+function handleScheduleChange(e) {
+    const item = e.target.closest('.time-schedule-item');
+    if (!item) return;
+
+    const schedule = timeSchedules.find(s => s.id === Number(item.dataset.id));
+    if (!schedule) return;
+
+    const { field, day } = e.target.dataset;
+    switch (field) {
+        case 'name':
+            schedule.name = e.target.value.trim() || 'New Schedule';
+            break;
+        case 'enabled':
+            schedule.enabled = e.target.checked;
+            break;
+        case 'day': {
+            const dayNum = Number(day);
+            schedule.days = e.target.checked
+                ? [...new Set([...schedule.days, dayNum])].sort((a, b) => a - b)
+                : schedule.days.filter(d => d !== dayNum);
+            break;
+        }
+        case 'start':
+        case 'end':
+            if (parseTimeOfDay(e.target.value) === null) return;
+            schedule[field] = e.target.value;
+            break;
+        case 'limitMultiplier': {
+            const multiplier = parseFloat(e.target.value);
+            if (!(multiplier > 0)) return;
+            schedule.limitMultiplier = multiplier;
+            break;
+        }
+        default:
+            return;
     }
+
+    saveTimeSchedules();
+    renderTimeSchedules();
+}
+
+function handleScheduleClick(e) {
+    if (e.target.dataset.action !== 'remove-schedule') return;
+    removeSchedule(Number(e.target.closest('.time-schedule-item').dataset.id));
 }
 
 function saveTimeSchedules() {
@@ -804,7 +1760,7 @@ async function loadTimeSchedules() {
         STORAGE_KEYS.TIME_SCHEDULES,
         STORAGE_KEYS.TIME_SCHEDULES_ENABLED
     ]);
-    timeSchedules = result[STORAGE_KEYS.TIME_SCHEDULES] || [];
+    timeSchedules = (result[STORAGE_KEYS.TIME_SCHEDULES] || []).map(normalizeTimeSchedule);
     timeSchedulesEnabled = result[STORAGE_KEYS.TIME_SCHEDULES_ENABLED] || false;
     schedulesToggle.checked = timeSchedulesEnabled;
     renderTimeSchedules();
@@ -821,75 +1777,389 @@ function renderTimeSchedules() {
 
     timeSchedules.forEach(schedule => {
         const scheduleDiv = document.createElement('div');
-        scheduleDiv.className = 'schedule-item';
+        scheduleDiv.className = 'schedule-item time-schedule-item';
+        scheduleDiv.dataset.id = schedule.id;
         scheduleDiv.style.cssText = 'background: rgba(0,0,0,0.2); padding: 16px; border-radius: 8px; margin-bottom: 12px; border: 1px solid var(--glass-border);';
 
+        const dayPicker = DAY_LABELS.map((label, day) => `
+            <label>
+                <input type="checkbox" data-field="day" data-day="${day}" ${schedule.days.includes(day) ? 'checked' : ''}>
+                ${label}
+            </label>
+        `).join('');
+        const dayNames = schedule.days.length === 7 ? 'Every day' : schedule.days.map(day => DAY_LABELS[day]).join(', ') || 'No days';
+
         scheduleDiv.innerHTML = `
             <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 12px;">
-                <input type="text" value="${schedule.name}"
-                    style="background: transparent; border: none; color: white; font-size: 14px; font-weight: 500; width: 60%;"
-                    onchange="updateSchedule(${schedule.id}, 'name', this.value)">
+                <input type="text" data-field="name"
+                    style="background: transparent; border: none; color: white; font-size: 14px; font-weight: 500; width: 60%;">
                 <label style="display: flex; align-items: center; gap: 8px; font-size: 13px;">
-                    <input type="checkbox" ${schedule.enabled ? 'checked' : ''}
-                        onchange="updateSchedule(${schedule.id}, 'enabled', this.checked)">
+                    <input type="checkbox" data-field="enabled" ${schedule.enabled ? 'checked' : ''}>
                     <span>Enabled</span>
                 </label>
             </div>
+            <div class="day-picker">${dayPicker}</div>
             <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 12px; margin-bottom: 12px;">
                 <div>
-                    <label style="display: block; font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">Start Hour</label>
-                    <input type="number" min="0" max="23" value="${schedule.startHour}"
-                        style="width: 100%; padding: 6px; background: rgba(0,0,0,0.3); border: 1px solid var(--glass-border); border-radius: 4px; color: white;"
-                        onchange="updateSchedule(${schedule.id}, 'startHour', parseInt(this.value))">
+                    <label style="display: block; font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">Start</label>
+                    <input type="time" data-field="start" value="${schedule.start}"
+                        style="width: 100%; padding: 6px; background: rgba(0,0,0,0.3); border: 1px solid var(--glass-border); border-radius: 4px; color: white;">
                 </div>
                 <div>
-                    <label style="display: block; font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">End Hour</label>
-                    <input type="number" min="0" max="23" value="${schedule.endHour}"
-                        style="width: 100%; padding: 6px; background: rgba(0,0,0,0.3); border: 1px solid var(--glass-border); border-radius: 4px; color: white;"
-                        onchange="updateSchedule(${schedule.id}, 'endHour', parseInt(this.value))">
+                    <label style="display: block; font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">End</label>
+                    <input type="time" data-field="end" value="${schedule.end}"
+                        style="width: 100%; padding: 6px; background: rgba(0,0,0,0.3); border: 1px solid var(--glass-border); border-radius: 4px; color: white;">
                 </div>
                 <div>
                     <label style="display: block; font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">Limit Multiplier</label>
-                    <input type="number" min="0.1" max="2" step="0.1" value="${schedule.limitMultiplier}"
-                        style="width: 100%; padding: 6px; background: rgba(0,0,0,0.3); border: 1px solid var(--glass-border); border-radius: 4px; color: white;"
-                        onchange="updateSchedule(${schedule.id}, 'limitMultiplier', parseFloat(this.value))">
+                    <input type="number" data-field="limitMultiplier" min="0.1" max="2" step="0.1" value="${schedule.limitMultiplier}"
+                        style="width: 100%; padding: 6px; background: rgba(0,0,0,0.3); border: 1px solid var(--glass-border); border-radius: 4px; color: white;">
                 </div>
             </div>
             <div style="display: flex; justify-content: space-between; align-items: center;">
                 <span style="font-size: 12px; color: var(--text-secondary);">
-                    ${schedule.startHour}:00 - ${schedule.endHour}:00
-                    (${Math.floor((schedule.limitMultiplier * 100))}% of base limit)
+                    ${dayNames}, ${schedule.start} - ${schedule.end}
+                    (${Math.floor((schedule.limitMultiplier * 100))}% of the day's limit)
                 </span>
-                <button onclick="removeSchedule(${schedule.id})" class="btn secondary small"
+                <button data-action="remove-schedule" class="btn secondary small"
                     style="padding: 4px 12px; font-size: 12px;">Remove</button>
             </div>
         `;
 
+        // User-entered text is assigned as a property, never interpolated into HTML
+        scheduleDiv.querySelector('[data-field="name"]').value = schedule.name;
+
         schedulesContainer.appendChild(scheduleDiv);
     });
 }
 
-// Make functions globally available for inline event handlers
-window.updateSchedule = updateSchedule;
-window.removeSchedule = removeSchedule;
+// ==========================================
+// Recurring Focus Schedule Functions
+// ==========================================
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+async function loadFocusSchedules() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.FOCUS_SCHEDULES);
+    focusSchedules = result[STORAGE_KEYS.FOCUS_SCHEDULES] || [];
+    renderFocusSchedules();
+}
+
+// Saving a schedule whose window covers the current time starts a session
+// right away, so that needs a confirmation. Declining keeps the stored list.
+async function saveFocusSchedules() {
+    const now = Date.now();
+    const { sessionEndTime, scheduleSuppressedUntil, focusSchedules: storedSchedules = [] } = await readStorage([
+        STORAGE_KEYS.SESSION_END_TIME,
+        STORAGE_KEYS.SCHEDULE_SUPPRESSED_UNTIL,
+        STORAGE_KEYS.FOCUS_SCHEDULES
+    ]);
+    const activeWindow = getActiveScheduleWindow(focusSchedules, now);
+    const startsNow = activeWindow &&
+        !(sessionEndTime && now < sessionEndTime) &&
+        !(scheduleSuppressedUntil && now < scheduleSuppressedUntil);
+
+    if (startsNow) {
+        const endLabel = new Date(activeWindow.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        if (!confirm(`"${activeWindow.schedule.name}" covers the current time. Saving starts a focus session now that runs until ${endLabel}. Save anyway?`)) {
+            focusSchedules = storedSchedules;
+            renderFocusSchedules();
+            return;
+        }
+    }
+
+    await chrome.storage.local.set({ [STORAGE_KEYS.FOCUS_SCHEDULES]: focusSchedules });
+}
+
+function addFocusSchedule() {
+    focusSchedules.push({
+        id: Date.now(),
+        name: 'Focus Block',
+        enabled: true,
+        days: [1, 2, 3, 4, 5], // Mon-Fri
+        windows: [{ start: '09:00', end: '12:00' }],
+        strictMode: false,
+        blockedSites: [] // Empty = use the main blocklist
+    });
+    saveFocusSchedules();
+    renderFocusSchedules();
+}
+
+function handleFocusScheduleChange(e) {
+    const item = e.target.closest('.focus-schedule-item');
+    if (!item) return;
+
+    const schedule = focusSchedules.find(s => s.id === Number(item.dataset.id));
+    if (!schedule) return;
+
+    const { field, day, index } = e.target.dataset;
+    switch (field) {
+        case 'name':
+            schedule.name = e.target.value.trim() || 'Focus Block';
+            break;
+        case 'enabled':
+        case 'strictMode':
+            schedule[field] = e.target.checked;
+            break;
+        case 'day': {
+            const dayNum = Number(day);
+            schedule.days = e.target.checked
+                ? [...new Set([...schedule.days, dayNum])].sort((a, b) => a - b)
+                : schedule.days.filter(d => d !== dayNum);
+            break;
+        }
+        case 'start':
+        case 'end':
+            schedule.windows[Number(index)][field] = e.target.value;
+            break;
+        case 'blockedSites':
+            schedule.blockedSites = e.target.value
+                .split(/[,\s]+/)
+                .filter(Boolean)
+                .map(normalizeUrlToPattern)
+                .filter(Boolean);
+            break;
+        default:
+            return;
+    }
+
+    saveFocusSchedules();
+    renderFocusSchedules();
+}
+
+function handleFocusScheduleClick(e) {
+    const action = e.target.dataset.action;
+    const item = e.target.closest('.focus-schedule-item');
+    if (!action || !item) return;
+
+    const schedule = focusSchedules.find(s => s.id === Number(item.dataset.id));
+    if (!schedule) return;
+
+    if (action === 'remove-schedule') {
+        focusSchedules = focusSchedules.filter(s => s !== schedule);
+    } else if (action === 'add-window') {
+        schedule.windows.push({ start: '14:00', end: '17:00' });
+    } else if (action === 'remove-window') {
+        schedule.windows.splice(Number(e.target.dataset.index), 1);
+    }
+
+    saveFocusSchedules();
+    renderFocusSchedules();
+}
+
+function renderFocusSchedules() {
+    focusSchedulesContainer.innerHTML = '';
+
+    if (focusSchedules.length === 0) {
+        focusSchedulesContainer.innerHTML = '<p class="empty-state">No schedules configured. Click "Add Schedule" to create one.</p>';
+        return;
+    }
+
+    focusSchedules.forEach(schedule => {
+        const item = document.createElement('div');
+        item.className = 'focus-schedule-item';
+        item.dataset.id = schedule.id;
+
+        const dayPicker = DAY_LABELS.map((label, day) => `
+            <label>
+                <input type="checkbox" data-field="day" data-day="${day}" ${schedule.days.includes(day) ? 'checked' : ''}>
+                ${label}
+            </label>
+        `).join('');
+
+        const windowRows = schedule.windows.map((w, index) => `
+            <div class="schedule-window">
+                <input type="time" data-field="start" data-index="${index}" value="${w.start}">
+                <span>to</span>
+                <input type="time" data-field="end" data-index="${index}" value="${w.end}">
+                <button class="remove-btn" data-action="remove-window" data-index="${index}">Remove</button>
+            </div>
+        `).join('');
+
+        item.innerHTML = `
+            <div class="focus-schedule-header">
+                <input type="text" data-field="name">
+                <label style="display: flex; align-items: center; gap: 8px; font-size: 13px; white-space: nowrap;">
+                    <input type="checkbox" data-field="enabled" ${schedule.enabled ? 'checked' : ''}>
+                    <span>Enabled</span>
+                </label>
+            </div>
+            <div class="day-picker">${dayPicker}</div>
+            ${windowRows}
+            <button class="btn secondary small" data-action="add-window" style="margin-bottom: 12px;">+ Add Time Window</button>
+            <label style="display: block; font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">
+                Sites to block (comma separated, leave empty to use the main blocklist)
+            </label>
+            <input type="text" data-field="blockedSites">
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <label style="display: flex; align-items: center; gap: 8px; font-size: 13px;">
+                    <input type="checkbox" data-field="strictMode" ${schedule.strictMode ? 'checked' : ''}>
+                    <span>Strict mode</span>
+                </label>
+                <button class="btn secondary small" data-action="remove-schedule">Remove Schedule</button>
+            </div>
+        `;
+
+        // User-entered text is assigned as properties, never interpolated into HTML
+        item.querySelector('[data-field="name"]').value = schedule.name;
+        item.querySelector('[data-field="blockedSites"]').value = schedule.blockedSites.join(', ');
+
+        focusSchedulesContainer.appendChild(item);
+    });
+}
+
+// ==========================================
+// Blocklist Profile Functions
+// ==========================================
+
+async function loadProfiles() {
+    const result = await readStorage(STORAGE_KEYS.OPTIONS_PROFILES);
+    profiles = result[STORAGE_KEYS.OPTIONS_PROFILES] || [];
+    renderProfiles();
+}
+
+function saveProfiles() {
+    writeStorage({ [STORAGE_KEYS.OPTIONS_PROFILES]: profiles });
+}
+
+function addProfile() {
+    profiles.push({
+        id: Date.now(),
+        name: 'New Profile',
+        blockedSites: [],
+        keywords: [],
+        duration: 25,
+        strictMode: false,
+        maxAttempts: 3
+    });
+    saveProfiles();
+    renderProfiles();
+}
+
+function handleProfileChange(e) {
+    const item = e.target.closest('.profile-item');
+    if (!item) return;
+
+    const profile = profiles.find(p => p.id === Number(item.dataset.id));
+    if (!profile) return;
+
+    const field = e.target.dataset.field;
+    switch (field) {
+        case 'name':
+            profile.name = e.target.value.trim() || 'Untitled Profile';
+            break;
+        case 'duration':
+            profile.duration = Math.min(Math.max(parseInt(e.target.value) || 25, 1), 480);
+            break;
+        case 'maxAttempts':
+            profile.maxAttempts = Math.min(Math.max(parseInt(e.target.value) || 3, 1), 10);
+            break;
+        case 'strictMode':
+            profile.strictMode = e.target.checked;
+            break;
+        case 'blockedSites':
+            profile.blockedSites = e.target.value
+                .split(/[,\s]+/)
+                .filter(Boolean)
+                .map(normalizeUrlToPattern)
+                .filter(Boolean);
+            break;
+        case 'keywords':
+            profile.keywords = parseKeywordList(e.target.value);
+            break;
+        default:
+            return;
+    }
+
+    saveProfiles();
+    renderProfiles();
+}
+
+function handleProfileClick(e) {
+    if (e.target.dataset.action !== 'remove-profile') return;
+
+    const item = e.target.closest('.profile-item');
+    if (!item) return;
+
+    profiles = profiles.filter(p => p.id !== Number(item.dataset.id));
+    saveProfiles();
+    renderProfiles();
+}
+
+function renderProfiles() {
+    profilesContainer.innerHTML = '';
+
+    if (profiles.length === 0) {
+        profilesContainer.innerHTML = '<p class="empty-state">No profiles yet. Click "Add Profile" to create one.</p>';
+        return;
+    }
+
+    profiles.forEach(profile => {
+        const item = document.createElement('div');
+        item.className = 'profile-item';
+        item.dataset.id = profile.id;
+
+        item.innerHTML = `
+            <div class="profile-header">
+                <input type="text" data-field="name">
+                <button class="btn secondary small" data-action="remove-profile">Remove</button>
+            </div>
+            <label style="display: block; font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">
+                Sites to block (comma separated)
+            </label>
+            <input type="text" data-field="blockedSites">
+            <label style="display: block; font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">
+                Keywords to block (comma separated)
+            </label>
+            <input type="text" data-field="keywords">
+            <div class="profile-settings">
+                <div>
+                    <label>Duration (minutes)</label>
+                    <input type="number" data-field="duration" min="1" max="480" value="${profile.duration}">
+                </div>
+                <div>
+                    <label>Max unlock attempts</label>
+                    <input type="number" data-field="maxAttempts" min="1" max="10" value="${profile.maxAttempts}">
+                </div>
+            </div>
+            <label style="display: flex; align-items: center; gap: 8px; font-size: 13px;">
+                <input type="checkbox" data-field="strictMode" ${profile.strictMode ? 'checked' : ''}>
+                <span>Strict mode</span>
+            </label>
+        `;
+
+        // User-entered text is assigned as properties, never interpolated into HTML
+        item.querySelector('[data-field="name"]').value = profile.name;
+        item.querySelector('[data-field="blockedSites"]').value = profile.blockedSites.join(', ');
+        item.querySelector('[data-field="keywords"]').value = (profile.keywords || []).join(', ');
+
+        profilesContainer.appendChild(item);
+    });
+}
 
 // ==========================================
 // Data Export Functions
 // ==========================================
 
 function exportUsageData(format) {
-    const data = Object.entries(dailyUsage).map(([domain, seconds]) => ({
+    const from = usageExportFromInput.value || null;
+    const to = usageExportToInput.value || null;
+    if (from && to && from > to) {
+        alert('The start date must be before the end date');
+        return;
+    }
+
+    // limit is today's setting for that day of the week; past limits are not kept
+    const data = getUsageRows({ from, to }).map(({ date, domain, seconds }) => ({
         domain,
         timeSpentSeconds: seconds,
         timeSpentMinutes: Math.floor(seconds / 60),
-        limit: guardianLimits.overrides[domain] !== undefined
-            ? guardianLimits.overrides[domain]
-            : guardianLimits.global,
-        date: new Date().toISOString().split('T')[0]
+        limit: getGuardianBaseLimit(domain, guardianLimits, parseHistoryDateKey(date)),
+        date
     }));
 
     if (format === 'csv') {
-        exportAsCSV(data, 'usage-data', ['domain', 'timeSpentMinutes', 'limit', 'date']);
+        exportAsCSV(data, 'usage-data', ['date', 'domain', 'timeSpentMinutes', 'limit']);
     } else {
         exportAsJSON(data, 'usage-data');
     }
@@ -963,4 +2233,6 @@ function downloadFile(content, filename, mimeType) {
 document.addEventListener('DOMContentLoaded', async () => {
     await init();
     await loadTimeSchedules();
+    await loadFocusSchedules();
+    await loadProfiles();
 });
\ No newline at end of file
@@ -6,6 +6,9 @@ let timerInterval = null;
 let sessionStartTime = null;
 let blockEnabled = false;
 let guardianEnabled = false;
+let startUnlockMethod = 'password';
+let cooldownInterval = null;
+let cooldownState = null;
 
 // DOM elements
 const timerDisplay = document.getElementById('timer-display');
@@ -17,17 +20,46 @@ const guardianToggle = document.getElementById('guardian-toggle');
 const guardianStats = document.getElementById('guardian-stats');
 const dashboardLink = document.getElementById('dashboard-link');
 const progressCircle = document.querySelector('.progress-ring__circle');
+const nextScheduleEl = document.getElementById('next-schedule');
+const phaseDisplay = document.getElementById('phase-display');
+const restoreTabsBtn = document.getElementById('restore-tabs-btn');
+const allowanceList = document.getElementById('allowance-list');
 
 // Modals
 const startModal = document.getElementById('start-modal');
 const unlockModal = document.getElementById('unlock-modal');
 const sessionPwdInput = document.getElementById('session-password');
+const sessionIntentInput = document.getElementById('session-intent');
 const unlockPwdInput = document.getElementById('unlock-password');
 const unlockError = document.getElementById('unlock-error');
 const confirmStartBtn = document.getElementById('confirm-start');
 const cancelStartBtn = document.getElementById('cancel-start');
 const confirmStopBtn = document.getElementById('confirm-stop');
 const cancelStopBtn = document.getElementById('cancel-stop');
+const sessionTypeSelect = document.getElementById('session-type');
+const sessionModeSelect = document.getElementById('session-mode');
+const sessionProfileSelect = document.getElementById('session-profile');
+const pomodoroFields = document.getElementById('pomodoro-fields');
+const startPasswordHint = document.getElementById('start-password-hint');
+
+// Cooldown unlock modal
+const cooldownModal = document.getElementById('cooldown-modal');
+const cooldownStatus = document.getElementById('cooldown-status');
+const cooldownTimer = document.getElementById('cooldown-timer');
+const cooldownError = document.getElementById('cooldown-error');
+const cooldownActionBtn = document.getElementById('cooldown-action');
+const cooldownCancelBtn = document.getElementById('cooldown-cancel');
+const cooldownCloseBtn = document.getElementById('cooldown-close');
+const cooldownUseCodeLink = document.getElementById('cooldown-use-code');
+
+// Typing challenge modal
+const typingModal = document.getElementById('typing-modal');
+const typingPassage = document.getElementById('typing-passage');
+const typingInput = document.getElementById('typing-input');
+const typingError = document.getElementById('typing-error');
+const typingSubmitBtn = document.getElementById('typing-submit');
+const typingCancelBtn = document.getElementById('typing-cancel');
+const typingUseCodeLink = document.getElementById('typing-use-code');
 
 // Incognito Elements
 const incognitoWarning = document.getElementById('incognito-warning');
@@ -53,6 +85,7 @@ const guardianCancelUnlock = document.getElementById('guardian-cancel-unlock');
 // Constants
 const RADIUS = 52;
 const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+const PHASE_LABELS = { work: 'Work', break: 'Break', long_break: 'Long Break' };
 
 // Initialize UI
 function init() {
@@ -61,6 +94,7 @@ function init() {
     checkIncognitoAccess();
     setupEventListeners();
     updateSecurityStatus();
+    updateNextSchedule();
 }
 
 function setupRing() {
@@ -87,7 +121,7 @@ function checkIncognitoAccess() {
 // Load state from storage
 async function loadStateFromStorage() {
     try {
-        const result = await chrome.storage.local.get(['sessionEndTime', 'blockedSites', 'strictMode', 'sessionTotalDuration', 'timeGuardianEnabled', 'dailyUsage', 'timeGuardianLimits']);
+        const result = await readStorage(['sessionEndTime', 'blockedSites', 'strictMode', 'sessionMode', 'sessionTotalDuration', 'pomodoroState', 'sessionAllowances', 'timeGuardianEnabled', 'dailyUsage', 'timeGuardianLimits']);
         const sessionEndTime = result.sessionEndTime;
         const blockedSites = result.blockedSites || [];
         const strictMode = result.strictMode || false;
@@ -95,14 +129,19 @@ async function loadStateFromStorage() {
 
         if (sessionEndTime && Date.now() < sessionEndTime) {
             sessionActive = true;
-            startTimer(sessionEndTime, totalDuration);
+            if (result.pomodoroState) {
+                startPomodoroTimer(result.pomodoroState);
+            } else {
+                startTimer(sessionEndTime, totalDuration);
+            }
         }
 
-        blockEnabled = blockedSites.length > 0 || strictMode;
+        blockEnabled = blockedSites.length > 0 || strictMode || result.sessionMode === 'allowlist';
         guardianEnabled = result.timeGuardianEnabled || false;
 
         updateBlockToggle();
         updateGuardianUI(result.dailyUsage, result.timeGuardianLimits);
+        renderAllowances(sessionActive ? result.sessionAllowances : null);
         updateUI();
     } catch (error) {
         console.warn('Failed to load state:', error);
@@ -118,38 +157,106 @@ async function requestStartSession() {
         return;
     }
 
+    await populateProfileSelect();
+
+    // Cooldown and typing sessions are not unlocked by a password
+    const { optionsUnlockMethod } = await readStorage('optionsUnlockMethod');
+    startUnlockMethod = optionsUnlockMethod || 'password';
+    const passwordOptional = startUnlockMethod !== 'password';
+    sessionPwdInput.classList.toggle('hidden', passwordOptional);
+    startPasswordHint.textContent = {
+        cooldown: 'Unlocking early will require a cooldown wait.',
+        typing: 'Unlocking early will require retyping a passage.'
+    }[startUnlockMethod] || 'Enter a password to lock this session.';
+
     startModal.classList.remove('hidden');
     sessionPwdInput.value = '';
-    sessionPwdInput.focus();
+    sessionIntentInput.value = '';
+    sessionTypeSelect.value = 'standard';
+    sessionModeSelect.value = 'blocklist';
+    pomodoroFields.classList.add('hidden');
+    sessionIntentInput.focus();
+}
+
+// Fill the profile picker; the first option is the default (main blocklist)
+async function populateProfileSelect() {
+    const { optionsProfiles = [] } = await readStorage('optionsProfiles');
+
+    sessionProfileSelect.length = 1;
+    optionsProfiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        sessionProfileSelect.appendChild(option);
+    });
+    sessionProfileSelect.value = '';
+}
+
+// Values are clamped to POMODORO_LIMITS
+function readPomodoroConfig() {
+    const read = (id, field, fallback) => {
+        const value = parseInt(document.getElementById(id).value);
+        const { min, max } = POMODORO_LIMITS[field];
+        return Math.min(Math.max(isNaN(value) ? fallback : value, min), max);
+    };
+    return {
+        workMinutes: read('pomodoro-work', 'workMinutes', 25),
+        breakMinutes: read('pomodoro-break', 'breakMinutes', 5),
+        cycles: read('pomodoro-cycles', 'cycles', 4),
+        longBreakMinutes: read('pomodoro-long-break', 'longBreakMinutes', 0)
+    };
 }
 
 async function startSession() {
-    const password = sessionPwdInput.value;
-    if (!password) return; // Add validation UI?
+    const passwordOptional = startUnlockMethod !== 'password';
+    const password = passwordOptional ? null : sessionPwdInput.value;
+    if (!password && !passwordOptional) return; // Add validation UI?
 
     try {
-        const result = await chrome.storage.local.get([
+        const result = await readStorage([
             'optionsBlockedSites',
+            'optionsAllowedSites',
             'optionsFocusDuration',
             'optionsStrictMode',
-            'optionsMaxAttempts'
+            'optionsMaxAttempts',
+            'optionsProfiles',
+            'optionsBlockedKeywords'
         ]);
-        const blockedSites = result.optionsBlockedSites || [];
-        const duration = result.optionsFocusDuration || 25;
-        const strictMode = result.optionsStrictMode || false;
-        const maxAttempts = result.optionsMaxAttempts || 3;
+        const profileId = sessionProfileSelect.value ? Number(sessionProfileSelect.value) : null;
+        const profile = profileId ? (result.optionsProfiles || []).find(p => p.id === profileId) : null;
+
+        const blockedSites = profile ? profile.blockedSites : (result.optionsBlockedSites || []);
+        const duration = profile ? profile.duration : (result.optionsFocusDuration || 25);
+        const strictMode = profile ? profile.strictMode : (result.optionsStrictMode || false);
+        const maxAttempts = profile ? profile.maxAttempts : (result.optionsMaxAttempts || 3);
+        const keywords = profile ? (profile.keywords || []) : (result.optionsBlockedKeywords || []);
+        const sessionType = sessionTypeSelect.value;
+        const pomodoro = sessionType === 'pomodoro' ? readPomodoroConfig() : null;
+        const sessionMode = sessionModeSelect.value;
+        const allowedSites = result.optionsAllowedSites || [];
+        const intent = sessionIntentInput.value.trim();
+
+        if (sessionMode === 'allowlist' && allowedSites.length === 0) {
+            alert('Add at least one allowed site in Options before starting an allowlist-only session.');
+            return;
+        }
 
         chrome.runtime.sendMessage({
             type: 'START_SESSION',
-            payload: { duration, password, blockedSites, strictMode, maxAttempts }
+            payload: { duration, password, blockedSites, strictMode, maxAttempts, profileId: profile ? profileId : null, sessionType, pomodoro, sessionMode, allowedSites, intent, keywords }
         }, (response) => {
             if (response && response.success) {
                 sessionActive = true;
-                blockEnabled = blockedSites.length > 0 || strictMode;
+                blockEnabled = blockedSites.length > 0 || strictMode || sessionMode === 'allowlist';
                 startModal.classList.add('hidden');
 
-                const endTime = Date.now() + (duration * 60 * 1000);
-                startTimer(endTime, duration * 60 * 1000);
+                if (pomodoro) {
+                    // Phase timing comes from the stored pomodoro state
+                    loadStateFromStorage();
+                } else {
+                    const endTime = Date.now() + (duration * 60 * 1000);
+                    startTimer(endTime, duration * 60 * 1000);
+                }
                 updateBlockToggle();
                 updateUI();
             } else {
@@ -163,12 +270,158 @@ async function startSession() {
 
 // Stop Session
 function requestStopSession() {
+    chrome.runtime.sendMessage({ type: 'GET_UNLOCK_STATE' }, (response) => {
+        if (response && response.success && response.method === 'cooldown') {
+            openCooldownModal(response);
+        } else if (response && response.success && response.method === 'typing') {
+            openTypingModal();
+        } else {
+            openUnlockModal();
+        }
+    });
+}
+
+function openUnlockModal() {
     unlockModal.classList.remove('hidden');
     unlockPwdInput.value = '';
     unlockError.classList.add('hidden');
     unlockPwdInput.focus();
 }
 
+// Session ended by any unlock path
+function handleSessionUnlocked() {
+    sessionActive = false;
+    blockEnabled = false;
+    updateBlockToggle();
+
+    clearInterval(timerInterval);
+    timerInterval = null;
+    setProgress(0);
+    timerDisplay.textContent = '00:00:00';
+    phaseDisplay.classList.add('hidden');
+    renderAllowances(null);
+    progressCircle.classList.remove('break');
+
+    unlockModal.classList.add('hidden');
+    typingModal.classList.add('hidden');
+    closeCooldownModal();
+    updateUI();
+}
+
+// Typing challenge: the passage comes from (and is checked by) the background
+function openTypingModal() {
+    typingInput.value = '';
+    typingError.classList.add('hidden');
+    typingModal.classList.remove('hidden');
+    loadTypingChallenge();
+}
+
+function loadTypingChallenge() {
+    typingPassage.textContent = 'Loading...';
+    chrome.runtime.sendMessage({ type: 'GET_TYPING_CHALLENGE' }, (response) => {
+        if (response && response.success) {
+            typingPassage.textContent = response.passage;
+            typingInput.focus();
+        } else {
+            typingPassage.textContent = '';
+            typingError.textContent = response ? response.error : 'Failed to load challenge';
+            typingError.classList.remove('hidden');
+        }
+    });
+}
+
+function submitTypingChallenge() {
+    chrome.runtime.sendMessage({
+        type: 'EMERGENCY_UNLOCK',
+        payload: { challengeResponse: typingInput.value }
+    }, (response) => {
+        if (response && response.success) {
+            handleSessionUnlocked();
+            return;
+        }
+
+        typingError.textContent = response ? response.error : 'Unlock failed';
+        typingError.classList.remove('hidden');
+        typingInput.value = '';
+        // A failed attempt discards the passage; fetch the new one
+        loadTypingChallenge();
+    });
+}
+
+// Cooldown unlock: request -> wait -> confirm (cancel resets)
+function openCooldownModal(state) {
+    cooldownState = state;
+    cooldownError.classList.add('hidden');
+    cooldownModal.classList.remove('hidden');
+
+    renderCooldown();
+    if (cooldownInterval) clearInterval(cooldownInterval);
+    cooldownInterval = setInterval(renderCooldown, 1000);
+}
+
+function closeCooldownModal() {
+    cooldownModal.classList.add('hidden');
+    clearInterval(cooldownInterval);
+    cooldownInterval = null;
+}
+
+function renderCooldown() {
+    const { pending, cooldownMinutes, confirmWindowMs } = cooldownState;
+    const now = Date.now();
+
+    if (!pending || now > pending.readyAt + confirmWindowMs) {
+        cooldownState.pending = null;
+        cooldownStatus.textContent = `Unlocking requires waiting ${cooldownMinutes} minutes, then confirming.`;
+        cooldownTimer.classList.add('hidden');
+        cooldownActionBtn.textContent = 'Request Unlock';
+        cooldownActionBtn.disabled = false;
+        cooldownCancelBtn.classList.add('hidden');
+        return;
+    }
+
+    cooldownTimer.classList.remove('hidden');
+    cooldownCancelBtn.classList.remove('hidden');
+
+    if (now < pending.readyAt) {
+        cooldownStatus.textContent = 'Unlock requested. You can confirm once the wait is over.';
+        cooldownTimer.textContent = formatCountdown(pending.readyAt - now);
+        cooldownActionBtn.textContent = 'Waiting...';
+        cooldownActionBtn.disabled = true;
+    } else {
+        cooldownStatus.textContent = 'Cooldown complete. Confirm before the request expires.';
+        cooldownTimer.textContent = formatCountdown(pending.readyAt + confirmWindowMs - now);
+        cooldownActionBtn.textContent = 'Confirm Unlock';
+        cooldownActionBtn.disabled = false;
+    }
+}
+
+function handleCooldownAction() {
+    const type = cooldownState.pending ? 'CONFIRM_COOLDOWN_UNLOCK' : 'REQUEST_COOLDOWN_UNLOCK';
+
+    chrome.runtime.sendMessage({ type }, (response) => {
+        if (!response || !response.success) {
+            cooldownError.textContent = response ? response.error : 'Unlock failed';
+            cooldownError.classList.remove('hidden');
+            return;
+        }
+
+        cooldownError.classList.add('hidden');
+        if (type === 'CONFIRM_COOLDOWN_UNLOCK') {
+            handleSessionUnlocked();
+        } else {
+            cooldownState.pending = response.pending;
+            renderCooldown();
+        }
+    });
+}
+
+function cancelCooldownUnlock() {
+    chrome.runtime.sendMessage({ type: 'CANCEL_COOLDOWN_UNLOCK' }, () => {
+        cooldownState.pending = null;
+        renderCooldown();
+    });
+}
+
 function stopSession() {
     const password = unlockPwdInput.value;
     if (!password) return;
@@ -178,17 +431,7 @@ function stopSession() {
         payload: { password }
     }, (response) => {
         if (response && response.success) {
-            sessionActive = false;
-            blockEnabled = false;
-            updateBlockToggle();
-
-            clearInterval(timerInterval);
-            timerInterval = null;
-            setProgress(0);
-            timerDisplay.textContent = '00:00:00';
-
-            unlockModal.classList.add('hidden');
-            updateUI();
+            handleSessionUnlocked();
         } else {
             unlockError.classList.remove('hidden');
             unlockPwdInput.value = '';
@@ -212,12 +455,7 @@ function startTimer(endTime, totalDuration) {
             return;
         }
 
-        const totalSeconds = Math.floor(diff / 1000);
-        const h = Math.floor(totalSeconds / 3600);
-        const m = Math.floor((totalSeconds % 3600) / 60);
-        const s = totalSeconds % 60;
-
-        timerDisplay.textContent = `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
+        timerDisplay.textContent = formatCountdown(diff);
 
         // Progress calculation
         // Default to 25m if totalDuration is missing (fallback)
@@ -230,6 +468,47 @@ function startTimer(endTime, totalDuration) {
     timerInterval = setInterval(update, 1000);
 }
 
+// Pomodoro timer: counts down the current phase and labels cycle/phase
+function startPomodoroTimer(pomodoroState) {
+    if (timerInterval) clearInterval(timerInterval);
+
+    const timeline = buildPomodoroTimeline(pomodoroState, pomodoroState.startTime);
+
+    const update = () => {
+        const now = Date.now();
+        const phase = getPomodoroPhaseAt(timeline, now);
+
+        if (!phase) {
+            clearInterval(timerInterval);
+            timerDisplay.textContent = '00:00:00';
+            phaseDisplay.classList.add('hidden');
+            progressCircle.classList.remove('break');
+            sessionActive = false;
+            updateUI();
+            return;
+        }
+
+        timerDisplay.textContent = formatCountdown(phase.end - now);
+        setProgress(((phase.end - now) / (phase.end - phase.start)) * 100);
+
+        phaseDisplay.textContent = `${PHASE_LABELS[phase.phase]} · ${phase.cycle}/${pomodoroState.cycles}`;
+        phaseDisplay.classList.remove('hidden');
+        progressCircle.classList.toggle('break', phase.phase !== POMODORO_PHASES.WORK);
+    };
+
+    update();
+    timerInterval = setInterval(update, 1000);
+}
+
+function formatCountdown(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const s = totalSeconds % 60;
+
+    return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
+}
+
 // UI State
 function updateUI() {
     if (sessionActive) {
@@ -252,6 +531,29 @@ function updateUI() {
         modeStatus.className = 'status-badge break';
         blockToggle.disabled = false;
     }
+    updateParkedTabs();
+}
+
+// Parked tabs (discarded when a session started) can be restored once it ends
+async function updateParkedTabs() {
+    const { parkedTabs = [] } = await chrome.storage.local.get('parkedTabs');
+    if (sessionActive || parkedTabs.length === 0) {
+        restoreTabsBtn.classList.add('hidden');
+        return;
+    }
+
+    restoreTabsBtn.textContent = `Restore ${parkedTabs.length} parked tab${parkedTabs.length === 1 ? '' : 's'}`;
+    restoreTabsBtn.classList.remove('hidden');
+}
+
+function restoreParkedTabs() {
+    chrome.runtime.sendMessage({ type: 'RESTORE_PARKED_TABS' }, (response) => {
+        if (response && response.success) {
+            restoreTabsBtn.classList.add('hidden');
+        } else {
+            alert('Failed to restore tabs: ' + (response ? response.error : 'Unknown error'));
+        }
+    });
 }
 
 // Toggle
@@ -273,7 +575,7 @@ function toggleBlock() {
         let strictMode = false;
 
         if (blockEnabled) {
-            const settings = await chrome.storage.local.get(['optionsBlockedSites', 'optionsStrictMode']);
+            const settings = await readStorage(['optionsBlockedSites', 'optionsStrictMode']);
             blockedSites = settings.optionsBlockedSites || [];
             strictMode = settings.optionsStrictMode || false;
         }
@@ -400,20 +702,96 @@ function updateGuardianUI(dailyUsage, limits) {
 
         const m = Math.floor(totalSeconds / 60);
         guardianStats.textContent = `${m}m tracked today`;
+
+        // On a tracked site, show what is left of its daily limit and weekly budget
+        chrome.runtime.sendMessage({ type: 'GET_GUARDIAN_STATUS' }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.status) return;
+            const { daily, weekly } = response.status;
+            let text = `${response.domain}: ${formatGuardianTime(daily.remaining)} left today`;
+            if (weekly) text += `, ${formatGuardianTime(weekly.remaining)} this week`;
+            guardianStats.textContent = text;
+        });
     } else {
         guardianStats.style.display = 'none';
     }
 }
 
+function formatGuardianTime(seconds) {
+    const m = Math.floor(seconds / 60);
+    return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m`;
+}
+
+// In-session allowances: time left per site, saved by the background at least every 30s
+function renderAllowances(allowances) {
+    allowanceList.innerHTML = '';
+    const domains = allowances ? Object.keys(allowances) : [];
+    allowanceList.classList.toggle('hidden', domains.length === 0);
+
+    domains.forEach(domain => {
+        const { allowedSeconds, usedSeconds } = allowances[domain];
+        const remaining = Math.max(0, allowedSeconds - usedSeconds);
+
+        const li = document.createElement('li');
+        const name = document.createElement('span');
+        const left = document.createElement('span');
+        name.textContent = domain;
+        left.textContent = remaining > 0 ? `${Math.ceil(remaining / 60)}m left` : 'Used up';
+        li.classList.toggle('used-up', remaining === 0);
+        li.append(name, left);
+        allowanceList.appendChild(li);
+    });
+}
+
+// Next scheduled session
+function updateNextSchedule() {
+    chrome.runtime.sendMessage({ type: 'GET_NEXT_SCHEDULED_SESSION' }, (response) => {
+        if (!response || !response.success || !response.next) {
+            nextScheduleEl.classList.add('hidden');
+            return;
+        }
+
+        const start = new Date(response.next.start);
+        const end = new Date(response.next.end);
+        const day = start.toLocaleDateString([], { weekday: 'short' });
+        const fmt = (d) => d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        nextScheduleEl.textContent = `Next: ${response.next.name} · ${day} ${fmt(start)}–${fmt(end)}`;
+        nextScheduleEl.classList.remove('hidden');
+    });
+}
+
 // Listeners
 function setupEventListeners() {
     startBtn.addEventListener('click', requestStartSession);
     confirmStartBtn.addEventListener('click', startSession);
     cancelStartBtn.addEventListener('click', () => startModal.classList.add('hidden'));
+    sessionTypeSelect.addEventListener('change', () => {
+        pomodoroFields.classList.toggle('hidden', sessionTypeSelect.value !== 'pomodoro');
+    });
 
     stopBtn.addEventListener('click', requestStopSession);
+    restoreTabsBtn.addEventListener('click', restoreParkedTabs);
     confirmStopBtn.addEventListener('click', stopSession);
     cancelStopBtn.addEventListener('click', () => unlockModal.classList.add('hidden'));
+    cooldownActionBtn.addEventListener('click', handleCooldownAction);
+    cooldownCancelBtn.addEventListener('click', cancelCooldownUnlock);
+    cooldownCloseBtn.addEventListener('click', closeCooldownModal);
+    typingSubmitBtn.addEventListener('click', submitTypingChallenge);
+    typingCancelBtn.addEventListener('click', () => typingModal.classList.add('hidden'));
+    typingUseCodeLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        typingModal.classList.add('hidden');
+        openUnlockModal();
+    });
+    // The passage must be typed, not pasted
+    ['paste', 'drop'].forEach(eventName => {
+        typingInput.addEventListener(eventName, (e) => e.preventDefault());
+    });
+    cooldownUseCodeLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        closeCooldownModal();
+        openUnlockModal();
+    });
 
     // Incognito Listeners
     fixIncognitoBtn.addEventListener('click', () => incognitoModal.classList.remove('hidden'));
@@ -435,10 +813,15 @@ function setupEventListeners() {
         }
     });
 
-    chrome.storage.onChanged.addListener((changes, namespace) => {
+    chrome.storage.onChanged.addListener((storageChanges, namespace) => {
         if (namespace === 'local') {
+            const changes = getStorageChanges(storageChanges);
             if (changes.sessionEndTime) {
                 loadStateFromStorage();
+                updateNextSchedule();
+            }
+            if (changes.sessionAllowances) {
+                renderAllowances(sessionActive ? changes.sessionAllowances.newValue : null);
             }
         }
     });
@@ -0,0 +1,69 @@
+// reflection.js - End-of-session prompt: did the session achieve its intent?
+// STORAGE_KEYS is loaded from config.js
+
+const sessionId = new URLSearchParams(location.search).get('session');
+
+// DOM elements
+const summaryEl = document.getElementById('session-summary');
+const intentBox = document.getElementById('intent-box');
+const intentText = document.getElementById('intent-text');
+const outcomeBtns = document.querySelectorAll('.btn-outcome');
+const noteInput = document.getElementById('note-input');
+const saveBtn = document.getElementById('save-btn');
+const skipBtn = document.getElementById('skip-btn');
+const statusEl = document.getElementById('status');
+
+let selectedOutcome = null;
+
+async function loadSession() {
+    const { sessionHistory = [] } = await chrome.storage.local.get(STORAGE_KEYS.SESSION_HISTORY);
+    const session = sessionHistory.find(record => record.id === sessionId);
+    if (!session) {
+        summaryEl.textContent = 'This session is no longer in your history.';
+        saveBtn.disabled = true;
+        outcomeBtns.forEach(btn => { btn.disabled = true; });
+        return;
+    }
+
+    summaryEl.textContent = `${session.actualMinutes} minutes focused · ${session.blockedAttempts} blocked attempts`;
+    if (session.intent) {
+        intentText.textContent = session.intent;
+        intentBox.classList.remove('hidden');
+    }
+}
+
+function selectOutcome(outcome) {
+    selectedOutcome = outcome;
+    outcomeBtns.forEach(btn => btn.classList.toggle('selected', btn.dataset.outcome === outcome));
+    saveBtn.disabled = false;
+}
+
+function saveReflection() {
+    if (!selectedOutcome) return;
+
+    chrome.runtime.sendMessage({
+        type: 'SAVE_SESSION_REFLECTION',
+        payload: { sessionId, outcome: selectedOutcome, note: noteInput.value }
+    }, (response) => {
+        statusEl.classList.remove('hidden', 'error-text');
+        if (response && response.success) {
+            statusEl.textContent = 'Reflection saved.';
+            setTimeout(() => window.close(), 800);
+        } else {
+            statusEl.classList.add('error-text');
+            statusEl.textContent = 'Failed to save reflection: ' + (response ? response.error : 'Unknown error');
+        }
+    });
+}
+
+function init() {
+    outcomeBtns.forEach(btn => {
+        btn.addEventListener('click', () => selectOutcome(btn.dataset.outcome));
+    });
+    saveBtn.addEventListener('click', saveReflection);
+    skipBtn.addEventListener('click', () => window.close());
+
+    loadSession();
+}
+
+init();
@@ -0,0 +1,71 @@
+// search-check.js - Focus-session pause before a search that looks like a distraction
+// STORAGE_KEYS is loaded from config.js, loadDistractionTerms from keywordFilter.js
+
+const params = new URLSearchParams(location.search);
+const category = params.get('category');
+// Everything after &url= is the original search URL, unencoded
+const searchUrl = location.search.includes('&url=')
+    ? location.search.slice(location.search.indexOf('&url=') + 5)
+    : null;
+
+// DOM elements
+const summaryEl = document.getElementById('search-summary');
+const intentBox = document.getElementById('intent-box');
+const intentText = document.getElementById('intent-text');
+const backBtn = document.getElementById('back-btn');
+const continueBtn = document.getElementById('continue-btn');
+const statusEl = document.getElementById('status');
+
+async function loadCheck() {
+    const [lists, { sessionIntent }] = await Promise.all([
+        loadDistractionTerms(),
+        readStorage(STORAGE_KEYS.SESSION_INTENT)
+    ]);
+
+    const label = lists[category]?.label || 'distracting';
+    summaryEl.textContent = `This search looks like ${label.toLowerCase()} content, and you are in a focus session.`;
+    if (sessionIntent) {
+        intentText.textContent = sessionIntent;
+        intentBox.classList.remove('hidden');
+    }
+    continueBtn.disabled = !searchUrl;
+}
+
+function sendDecision(related, callback) {
+    chrome.runtime.sendMessage({
+        type: 'SEARCH_CHECK_DECISION',
+        payload: { url: searchUrl, category, related }
+    }, callback);
+}
+
+function continueToSearch() {
+    continueBtn.disabled = true;
+    sendDecision(true, (response) => {
+        if (response && response.success) {
+            location.replace(searchUrl);
+        } else {
+            continueBtn.disabled = false;
+            statusEl.textContent = 'Could not continue: ' + (response ? response.error : 'Unknown error');
+            statusEl.classList.remove('hidden');
+        }
+    });
+}
+
+function backToWork() {
+    sendDecision(false, () => {
+        if (history.length > 1) {
+            history.back();
+        } else {
+            chrome.tabs.getCurrent(tab => chrome.tabs.remove(tab.id));
+        }
+    });
+}
+
+function init() {
+    backBtn.addEventListener('click', backToWork);
+    continueBtn.addEventListener('click', continueToSearch);
+
+    loadCheck();
+}
+
+init();
@@ -206,11 +206,12 @@ function cleanUrl(url) {
 
 /**
  * Generate declarativeNetRequest rules for tracker blocking
+ * IDs and priority are assigned by the rule manager
  * @returns {Array} Array of DNR rules
  */
 function getTrackerBlockingRules() {
   const rules = [];
-  let ruleId = 5000; // Start with high ID to avoid conflicts
+  const maxRules = 1000; // Limit rules to prevent performance issues
 
   if (!trackerDomains || !privacySettings?.blockTrackers) {
     return rules;
@@ -221,20 +222,16 @@ function getTrackerBlockingRules() {
     if (!privacySettings.trackerCategories?.[category]) continue;
 
     for (const domain of domains) {
+      if (rules.length >= maxRules) return rules;
+
       rules.push({
-        id: ruleId++,
-        priority: 1,
         action: { type: 'block' },
         condition: {
           urlFilter: `||${domain}^`,
           resourceTypes: ['script', 'image', 'xmlhttprequest', 'sub_frame', 'ping']
         }
       });
-
-      // Limit rules to prevent performance issues
-      if (ruleId > 6000) break;
     }
-    if (ruleId > 6000) break;
   }
 
   return rules;
@@ -246,7 +243,7 @@ function getTrackerBlockingRules() {
  * @param {Object} categories - Categories to enable/disable
  * @returns {Promise<boolean>} Success status
  */
-async function updateBlockingRules(categories) {
+async function updateTrackerBlockingRules(categories) {
   try {
     // Update settings
     privacySettings.trackerCategories = { ...privacySettings.trackerCategories, ...categories };
@@ -260,22 +257,10 @@ async function updateBlockingRules(categories) {
       }
     });
 
-    // Get new rules
-    const newRules = getTrackerBlockingRules();
-
-    // Get existing security rules (IDs 5000+)
-    const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-    const securityRuleIds = existingRules
-      .filter(r => r.id >= 5000)
-      .map(r => r.id);
-
-    // Update rules
-    await chrome.declarativeNetRequest.updateDynamicRules({
-      removeRuleIds: securityRuleIds,
-      addRules: newRules
-    });
+    // Replace only the tracker-owned rules
+    const count = await setOwnerRules(RULE_OWNERS.TRACKERS, getTrackerBlockingRules());
 
-    console.log(`[Security] Updated ${newRules.length} tracker blocking rules`);
+    console.log(`[Security] Updated ${count} tracker blocking rules`);
     return true;
   } catch (error) {
     console.error('[Security] Failed to update blocking rules:', error);
@@ -365,7 +350,7 @@ if (typeof self !== 'undefined') {
   self.cleanTrackingParams = cleanTrackingParams;
   self.isTrackerDomain = isTrackerDomain;
   self.getTrackerBlockingRules = getTrackerBlockingRules;
-  self.updateBlockingRules = updateBlockingRules;
+  self.updateTrackerBlockingRules = updateTrackerBlockingRules;
   self.getPrivacyStats = getPrivacyStats;
   self.recordBlockedTracker = recordBlockedTracker;
   self.resetPrivacyStats = resetPrivacyStats;
@@ -56,7 +56,7 @@ async function initializeSecurity() {
       console.log('[Security] All security modules initialized successfully');
 
       // Set up tracker blocking rules
-      await updateBlockingRules({});
+      await updateTrackerBlockingRules({});
     } else {
       console.warn('[Security] Some modules failed to initialize');
     }
@@ -404,7 +404,7 @@ async function updateSecuritySettings(settings) {
       updatePrivacySettings(settings.privacy);
       // Update tracker blocking rules
       if (settings.privacy.trackerCategories) {
-        await updateBlockingRules(settings.privacy.trackerCategories);
+        await updateTrackerBlockingRules(settings.privacy.trackerCategories);
       }
     }
 
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Usage accounting tests
+ * @description Replays service worker suspensions, crashes and midnight
+ * crossings against core/usageAccounting.js. The extension scripts are plain
+ * browser scripts, so they are loaded into a shared VM context, as the
+ * service worker's importScripts does.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+const SECOND = 1000;
+
+// Values from the VM context have its own prototypes, which deepEqual rejects
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// In-memory chrome.storage.local and chrome.alarms, enough for updateUsageIntervals
+function createChrome(items = {}) {
+  const store = { ...items };
+  const alarmStore = new Map();
+  return {
+    store,
+    alarmStore,
+    storage: {
+      local: {
+        get: async (keys) => Object.fromEntries([].concat(keys).filter(key => key in store).map(key => [key, store[key]])),
+        set: async (values) => { Object.assign(store, values); }
+      },
+      onChanged: { addListener: () => {} }
+    },
+    alarms: {
+      get: async (name) => alarmStore.get(name),
+      create: (name, info) => { alarmStore.set(name, { name, ...info }); },
+      clear: async (name) => alarmStore.delete(name)
+    }
+  };
+}
+
+function loadAccounting(chrome = createChrome()) {
+  const context = vm.createContext({ console, chrome, fetch: () => Promise.reject(new Error('offline')) });
+  context.self = context;
+  ['config.js', 'core/usageHistory.js', 'core/usageAccounting.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+  return context;
+}
+
+const accounting = loadAccounting();
+const { planUsageUpdate, USAGE_COUNTERS } = accounting;
+
+// Wednesday 21 October 2026, local time
+const at = (hours, minutes = 0, seconds = 0, day = 21) => new Date(2026, 9, day, hours, minutes, seconds).getTime();
+
+function openState(start, extra = {}) {
+  return {
+    usage: {},
+    audioUsage: {},
+    usageDate: new Date(start).toDateString(),
+    openIntervals: [{ domain: 'youtube.com', counter: USAGE_COUNTERS.USAGE, start }],
+    allowances: null,
+    ...extra
+  };
+}
+
+test('a worker suspended between heartbeats is credited exactly on the next event', () => {
+  // Suspended 25s after the last checkpoint, woken by the heartbeat alarm 75s in
+  const { state, interrupted } = planUsageUpdate(openState(at(10)), null, at(10, 1, 15));
+
+  assert.equal(state.usage['youtube.com'], 75);
+  assert.deepEqual(plain(interrupted), []);
+  assert.equal(state.openIntervals.length, 1);
+  assert.equal(state.openIntervals[0].start, at(10, 1, 15));
+});
+
+test('checkpoints in a row add up without counting any time twice', () => {
+  let state = openState(at(10));
+  for (let i = 1; i <= 10; i++) {
+    state = planUsageUpdate(state, null, at(10) + i * 30 * SECOND).state;
+  }
+  assert.equal(state.usage['youtube.com'], 300);
+});
+
+test('a crash gap longer than 90s is dropped, not credited', () => {
+  const state = openState(at(10), { usage: { 'youtube.com': 600 } });
+  const result = planUsageUpdate(state, [], at(12));
+
+  assert.equal(result.state.usage['youtube.com'], 600);
+  assert.equal(result.interrupted.length, 1);
+  assert.equal(result.interrupted[0].domain, 'youtube.com');
+  assert.deepEqual(plain(result.state.openIntervals), []);
+});
+
+test('an interval crossing midnight is split across the two days', () => {
+  const start = at(23, 59, 30, 20);
+  const state = openState(start, { usage: { 'youtube.com': 600 } });
+  const result = planUsageUpdate(state, null, at(0, 0, 45));
+
+  // Today only holds the 45s after midnight
+  assert.equal(result.state.usage['youtube.com'], 45);
+  assert.equal(result.state.usageDate, new Date(at(0, 0, 45)).toDateString());
+  // Yesterday's usage plus its last 30s go to the history
+  assert.deepEqual(plain(result.archived['2026-10-20']), { 'youtube.com': 630 });
+});
+
+test('background audio is kept apart from usage and never archived', () => {
+  const state = openState(at(23, 59, 30, 20), {
+    openIntervals: [{ domain: 'spotify.com', counter: USAGE_COUNTERS.AUDIO, start: at(23, 59, 30, 20) }]
+  });
+  const result = planUsageUpdate(state, null, at(0, 0, 30));
+
+  assert.equal(result.state.audioUsage['spotify.com'], 30);
+  assert.equal(result.state.usage['spotify.com'], undefined);
+  assert.deepEqual(plain(result.archived), {});
+});
+
+test('allowance intervals spend the session allowance and report when it runs out', () => {
+  const allowances = { 'reddit.com': { allowedSeconds: 300, usedSeconds: 280 } };
+  const state = openState(at(10), {
+    openIntervals: [{ domain: 'reddit.com', counter: USAGE_COUNTERS.ALLOWANCE, start: at(10) }],
+    allowances
+  });
+  const result = planUsageUpdate(state, null, at(10, 0, 45));
+
+  assert.equal(result.state.allowances['reddit.com'].usedSeconds, 300);
+  assert.deepEqual(plain(result.exhausted), ['reddit.com']);
+  assert.deepEqual(plain(result.state.openIntervals), []);
+  assert.equal(result.state.usage['reddit.com'], undefined);
+  // The stored object is not modified
+  assert.equal(allowances['reddit.com'].usedSeconds, 280);
+});
+
+test('a suspended allowance is charged from its stored start time', () => {
+  const state = openState(at(10), {
+    openIntervals: [{ domain: 'reddit.com', counter: USAGE_COUNTERS.ALLOWANCE, start: at(10) }],
+    allowances: { 'reddit.com': { allowedSeconds: 600, usedSeconds: 0 } }
+  });
+  const result = planUsageUpdate(state, null, at(10, 1));
+
+  assert.equal(result.state.allowances['reddit.com'].usedSeconds, 60);
+  assert.deepEqual(plain(result.exhausted), []);
+  assert.equal(result.state.openIntervals.length, 1);
+});
+
+test('a rollover checkpoint archives the finished day into the usage history', async () => {
+  const chrome = createChrome();
+  const context = loadAccounting(chrome);
+  const { STORAGE_KEYS } = vm.runInContext('({ STORAGE_KEYS })', context);
+  Object.assign(chrome.store, {
+    [STORAGE_KEYS.DAILY_USAGE]: { 'youtube.com': 1200, 'reddit.com': 90.4 },
+    [STORAGE_KEYS.LAST_RESET_DATE]: new Date(at(12, 0, 0, 20)).toDateString(),
+    [STORAGE_KEYS.GUARDIAN_OPEN_INTERVALS]: [
+      { domain: 'youtube.com', counter: USAGE_COUNTERS.USAGE, start: at(23, 59, 40, 20) }
+    ],
+    [STORAGE_KEYS.USAGE_HISTORY]: { '2026-10-19': { 'youtube.com': 300 } }
+  });
+
+  await context.updateUsageIntervals([], at(0, 0, 10));
+
+  assert.deepEqual(plain(chrome.store[STORAGE_KEYS.USAGE_HISTORY]), {
+    '2026-10-19': { 'youtube.com': 300 },
+    '2026-10-20': { 'youtube.com': 1220, 'reddit.com': 90 }
+  });
+  assert.deepEqual(plain(chrome.store[STORAGE_KEYS.DAILY_USAGE]), { 'youtube.com': 10 });
+  assert.deepEqual(plain(chrome.store[STORAGE_KEYS.GUARDIAN_OPEN_INTERVALS]), []);
+  // Nothing left counting, so the heartbeat stops
+  assert.equal(chrome.alarmStore.size, 0);
+});